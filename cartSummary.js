@@ -0,0 +1,60 @@
+// Cart / order line-item summary for message placeholders.
+//
+// summarizeLineItems(line_items) ->
+//   { itemCount: 4, itemsSummary: "Kundan Necklace (Gold) ×2, Jhumka Earrings +1 more", moreCount: 1 }
+//
+// itemCount is the number of units, itemsSummary lists the first
+// CART_SUMMARY_MAX_TITLES lines (default 2) with their variant options and a
+// "+N more" suffix for the remaining lines. WhatsApp rejects placeholders with
+// newlines, so everything stays on one line.
+
+const DEFAULT_MAX_TITLES = 2;
+const MAX_TITLE_LENGTH = 40;
+
+function getMaxTitles() {
+  const n = Number(process.env.CART_SUMMARY_MAX_TITLES);
+  return Number.isInteger(n) && n > 0 ? n : DEFAULT_MAX_TITLES;
+}
+
+function truncate(text, max) {
+  const value = String(text || "").replace(/\s+/g, " ").trim();
+  return value.length > max ? `${value.slice(0, max - 1).trimEnd()}…` : value;
+}
+
+// "Default Title" is what Shopify calls a product without options.
+function getVariantOptions(item) {
+  const variant = String(item?.variant_title || "").trim();
+  if (variant && variant !== "Default Title") return variant;
+  const options = (Array.isArray(item?.variant_options) ? item.variant_options : [])
+    .map((o) => String(o || "").trim())
+    .filter((o) => o && o !== "Default Title");
+  return options.join(" / ");
+}
+
+function formatLineItemTitle(item) {
+  const title = truncate(item?.title || item?.name || "Item", MAX_TITLE_LENGTH);
+  const variant = getVariantOptions(item);
+  const quantity = Number(item?.quantity) || 1;
+  return `${title}${variant ? ` (${variant})` : ""}${quantity > 1 ? ` ×${quantity}` : ""}`;
+}
+
+function summarizeLineItems(lineItems, { maxTitles = getMaxTitles() } = {}) {
+  const lines = (Array.isArray(lineItems) ? lineItems : []).filter(
+    (item) => Number(item?.quantity ?? 1) > 0,
+  );
+  const itemCount = lines.reduce((sum, item) => sum + (Number(item?.quantity) || 1), 0);
+  const moreCount = Math.max(lines.length - maxTitles, 0);
+  const titles = lines.slice(0, maxTitles).map(formatLineItemTitle).join(", ");
+
+  return {
+    itemCount,
+    itemsSummary: moreCount ? `${titles} +${moreCount} more` : titles,
+    moreCount,
+  };
+}
+
+module.exports = {
+  getVariantOptions,
+  formatLineItemTitle,
+  summarizeLineItems,
+};
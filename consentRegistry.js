@@ -0,0 +1,213 @@
+const fs = require("fs");
+const path = require("path");
+
+// Messaging consent / suppression list, keyed by phone digits with country
+// code. Each record combines:
+//   whatsapp: explicit choices made over WhatsApp (STOP / START) or by staff
+//   shopify:  SMS and email marketing consent copied from Shopify payloads
+//
+// checkConsent(phone, category) decides whether a message may go out:
+//   transactional - blocked only by a WhatsApp opt-out with scope "all"
+//   marketing     - also blocked by a "marketing" opt-out or an unsubscribed
+//                   Shopify marketing state. With MARKETING_REQUIRES_OPT_IN=true
+//                   it needs an explicit opt-in (START, admin, or Shopify
+//                   "subscribed").
+//   internal      - staff alerts; never suppressed
+
+const CONSENT_FILE = path.resolve(__dirname, "customer-consent.json");
+// Opt-outs recorded before the consent registry existed.
+const LEGACY_OPT_OUTS_FILE = path.resolve(__dirname, "whatsapp-opt-outs.json");
+const HISTORY_LIMIT = 20;
+
+// Digits with country code; bare 10-digit numbers are treated as Indian.
+function consentPhoneKey(phone) {
+  const digits = String(phone || "").replace(/\D/g, "");
+  if (digits.length === 10) return `91${digits}`;
+  return digits;
+}
+
+function importLegacyOptOuts() {
+  let legacy;
+  try {
+    legacy = JSON.parse(fs.readFileSync(LEGACY_OPT_OUTS_FILE, "utf8"));
+  } catch {
+    return {};
+  }
+
+  const registry = {};
+  for (const [key, entry] of Object.entries(legacy || {})) {
+    registry[key] = {
+      phone: key,
+      whatsapp: {
+        status: "opted_out",
+        scope: "all",
+        source: entry?.source || "inbound_stop",
+        note: entry?.text || null,
+        updatedAt: entry?.optedOutAt || new Date().toISOString(),
+      },
+      shopify: null,
+      history: [],
+    };
+  }
+  return registry;
+}
+
+function loadConsentRegistry() {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(CONSENT_FILE, "utf8"));
+    if (!parsed || typeof parsed !== "object") return {};
+    return parsed;
+  } catch {
+    return importLegacyOptOuts();
+  }
+}
+
+function saveConsentRegistry(registry) {
+  fs.writeFileSync(CONSENT_FILE, JSON.stringify(registry || {}, null, 2), "utf8");
+}
+
+function updateConsentRecord(phone, mutate) {
+  const key = consentPhoneKey(phone);
+  if (!key) throw new Error("Missing phone for consent record");
+
+  const registry = loadConsentRegistry();
+  const record = registry[key] || { phone: key, whatsapp: null, shopify: null, history: [] };
+  const change = mutate(record);
+
+  if (change) {
+    record.history = [
+      ...(record.history || []),
+      { ...change, at: new Date().toISOString() },
+    ].slice(-HISTORY_LIMIT);
+    record.updatedAt = new Date().toISOString();
+    registry[key] = record;
+    saveConsentRegistry(registry);
+  }
+  return record;
+}
+
+// status: "opted_out" | "opted_in" | null (clear). scope applies to opt-outs:
+// "all" stops every customer message, "marketing" only marketing ones.
+function setWhatsAppConsent(phone, status, { scope = "all", source = "admin", note = null } = {}) {
+  if (status && !["opted_out", "opted_in"].includes(status)) {
+    throw new Error(`Invalid WhatsApp consent status: ${status}`);
+  }
+  if (!["all", "marketing"].includes(scope)) {
+    throw new Error(`Invalid WhatsApp consent scope: ${scope}`);
+  }
+
+  return updateConsentRecord(phone, (record) => {
+    record.whatsapp = status
+      ? { status, scope, source, note, updatedAt: new Date().toISOString() }
+      : null;
+    return { type: "whatsapp", status: status || "cleared", scope, source };
+  });
+}
+
+function normalizeShopifyConsentState(value) {
+  if (value === true) return "subscribed";
+  const state = String(value || "").trim().toLowerCase();
+  return ["subscribed", "not_subscribed", "unsubscribed", "pending", "redacted", "invalid"].includes(state)
+    ? state
+    : null;
+}
+
+// Pull SMS / email marketing consent out of a Shopify customer, order or
+// checkout payload. Returns null when the payload carries neither.
+function extractShopifyMarketingConsent(payload) {
+  const customer = payload?.customer || payload || {};
+  const sms = normalizeShopifyConsentState(
+    customer.sms_marketing_consent?.state ??
+    (payload?.buyer_accepts_sms === true ? true : null),
+  );
+  const email = normalizeShopifyConsentState(
+    customer.email_marketing_consent?.state ??
+    (customer.accepts_marketing === true || payload?.buyer_accepts_marketing === true
+      ? true
+      : null),
+  );
+  if (!sms && !email) return null;
+  return { sms, email, customerId: customer.id || null };
+}
+
+// Only records a change when the Shopify state differs from what we have.
+function recordShopifyMarketingConsent(phone, consent, { source = "shopify" } = {}) {
+  if (!consent || !consentPhoneKey(phone)) return null;
+
+  return updateConsentRecord(phone, (record) => {
+    const prev = record.shopify || {};
+    const sms = consent.sms || prev.smsMarketing || null;
+    const email = consent.email || prev.emailMarketing || null;
+    if (sms === prev.smsMarketing && email === prev.emailMarketing) return null;
+
+    record.shopify = {
+      smsMarketing: sms,
+      emailMarketing: email,
+      customerId: consent.customerId || prev.customerId || null,
+      source,
+      updatedAt: new Date().toISOString(),
+    };
+    return { type: "shopify", smsMarketing: sms, emailMarketing: email, source };
+  });
+}
+
+function getConsentRecord(phone) {
+  const key = consentPhoneKey(phone);
+  if (!key) return null;
+  return loadConsentRegistry()[key] || null;
+}
+
+function marketingRequiresOptIn() {
+  return String(process.env.MARKETING_REQUIRES_OPT_IN || "").toLowerCase() === "true";
+}
+
+// Returns { allowed, reason } for sending a `category` message to `phone`.
+function checkConsent(phone, category = "transactional") {
+  if (category === "internal") return { allowed: true, reason: null };
+
+  const record = getConsentRecord(phone);
+  const whatsapp = record?.whatsapp || null;
+  const shopify = record?.shopify || null;
+
+  if (whatsapp?.status === "opted_out" && whatsapp.scope === "all") {
+    return { allowed: false, reason: "opted_out" };
+  }
+  if (category !== "marketing") return { allowed: true, reason: null };
+
+  if (whatsapp?.status === "opted_out") {
+    return { allowed: false, reason: "marketing_opted_out" };
+  }
+  if (whatsapp?.status === "opted_in") return { allowed: true, reason: null };
+
+  if (shopify?.smsMarketing === "unsubscribed" || shopify?.emailMarketing === "unsubscribed") {
+    return { allowed: false, reason: "shopify_marketing_unsubscribed" };
+  }
+  if (
+    marketingRequiresOptIn() &&
+    shopify?.smsMarketing !== "subscribed" &&
+    shopify?.emailMarketing !== "subscribed"
+  ) {
+    return { allowed: false, reason: "no_marketing_opt_in" };
+  }
+  return { allowed: true, reason: null };
+}
+
+// Records that block at least one category.
+function listSuppressedConsentRecords() {
+  return Object.values(loadConsentRegistry()).filter(
+    (record) =>
+      !checkConsent(record.phone, "marketing").allowed ||
+      !checkConsent(record.phone, "transactional").allowed,
+  );
+}
+
+module.exports = {
+  consentPhoneKey,
+  loadConsentRegistry,
+  setWhatsAppConsent,
+  extractShopifyMarketingConsent,
+  recordShopifyMarketingConsent,
+  getConsentRecord,
+  checkConsent,
+  listSuppressedConsentRecords,
+};
@@ -11,11 +11,49 @@ const {
 } = require("@shopify/shopify-api");
 const { nodeAdapter } = require("@shopify/shopify-api/adapters/node");
 const { razorpayClient } = require("./razorpayClient");
-const { countries } = require("country-data");
 const cheerio = require("cheerio");
+const {
+  sendTemplateMessage,
+  isProviderOutageError,
+  sendTextMessage,
+  getProvider,
+  providers: messagingProviders,
+} = require("./messagingProviders");
+const {
+  loadTemplateRegistry,
+  renderTemplateMessage,
+  loadLanguagePreferences,
+  setLanguagePreference,
+  resolveLanguageCandidates,
+  getEventCategory,
+  getTemplateDefinition,
+  resolveTemplateName,
+} = require("./templateRegistry");
+const {
+  consentPhoneKey,
+  setWhatsAppConsent,
+  extractShopifyMarketingConsent,
+  recordShopifyMarketingConsent,
+  getConsentRecord,
+  checkConsent,
+  listSuppressedConsentRecords,
+} = require("./consentRegistry");
+const { getQuietHoursDeferral } = require("./quietHours");
+const { getVariantOptions, summarizeLineItems } = require("./cartSummary");
+const {
+  applyTrackedButton,
+  recordShortLinkClick,
+  summarizeShortLinks,
+} = require("./shortLinks");
+const {
+  extractDigitsPhone,
+  normalizePhoneE164,
+  isSamePhoneNumber,
+  resolveRecipient,
+} = require("./phoneNumbers");
 
-const DOUBLETICK_TEMPLATE_ENDPOINT =
-  "https://public.doubletick.io/whatsapp/message/template";
+// Fail fast on a broken template registry rather than at the first send.
+loadTemplateRegistry();
 
 const app = express();
 
@@ -36,28 +74,66 @@ app.use(express.urlencoded({ extended: true }));
 
 // Message queue and suppression logic
 const CHECK_INTERVAL = 60 * 1000; // 1 minute
-const SEND_MESSAGE_DELAY = 60 * 60 * 1000; // Change
 const MINUTES_FOR_PAYMENT_CHECK = 120; // Payment check from 2 hours ago
 let isSending = false;
-const messageQueue = [];
-const processingPayments = new Set();
-const queuedAbandonedCartTokens = new Set();
 
-function enqueueAbandonedCheckout(checkout, reason = "") {
+// Abandoned checkout reminder sequence as "<delay>:<event>[:<discount>]"
+// steps, e.g. "1h:abandoned_checkout,24h:abandoned_checkout_followup:10%".
+// Delays count from the checkout's last update; units are m, h or d (plain
+// numbers are minutes). A discount ("10%" or a fixed amount like "150") makes
+// the step carry a single-use discount code for that cart.
+const DEFAULT_ABANDONED_CHECKOUT_SEQUENCE =
+  "1h:abandoned_checkout,24h:abandoned_checkout_followup:10%,72h:abandoned_checkout_final:10%";
+
+function parseAbandonedCheckoutSequence(raw) {
+  const unitMs = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+  const steps = String(raw || DEFAULT_ABANDONED_CHECKOUT_SEQUENCE)
+    .split(",")
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) => {
+      const m = part.match(
+        /^(\d+(?:\.\d+)?)\s*([mhd]?)\s*:\s*([a-z0-9_]+)(?:\s*:\s*(\d+(?:\.\d+)?)\s*(%?))?$/i,
+      );
+      if (!m) {
+        throw new Error(`Invalid ABANDONED_CHECKOUT_SEQUENCE step "${part}"`);
+      }
+      const delayMs = Number(m[1]) * unitMs[(m[2] || "m").toLowerCase()];
+      // Throws for events missing from the template registry.
+      getTemplateDefinition(m[3]);
+      const discount = m[4]
+        ? { valueType: m[5] ? "percentage" : "fixed_amount", value: Number(m[4]) }
+        : null;
+      return { delayMs, event: m[3], discount };
+    })
+    .sort((a, b) => a.delayMs - b.delayMs);
+
+  if (!steps.length) throw new Error("ABANDONED_CHECKOUT_SEQUENCE has no steps");
+  return steps.map((step, i) => ({ ...step, step: i + 1 }));
+}
+
+const ABANDONED_CHECKOUT_SEQUENCE = parseAbandonedCheckoutSequence(
+  process.env.ABANDONED_CHECKOUT_SEQUENCE,
+);
+
+// Called by verifyCheckout once no order or payment was found; the send queue
+// itself is the set of "queued" records in debounced-checkouts.json.
+function enqueueAbandonedCheckout(checkout, reason = "", step = 1) {
   const cartToken = checkout?.cart_token;
   if (!cartToken) return;
 
-  if (queuedAbandonedCartTokens.has(cartToken)) {
-    if (reason) {
-      console.log(
-        `Abandoned checkout already queued for cart_token: ${cartToken}. Skipping enqueue (${reason}).`,
-      );
-    }
+  const record = setAbandonedCheckoutState(
+    cartToken,
+    "queued",
+    { reason: reason || null, currentStep: step, queuedAt: new Date().toISOString() },
+    { from: ["verifying"] },
+  );
+  if (!record) {
+    console.log(
+      `Abandoned checkout for cart_token: ${cartToken} is not being verified. Skipping enqueue (${reason}).`,
+    );
     return;
   }
-
-  queuedAbandonedCartTokens.add(cartToken);
-  messageQueue.push({ checkout, cartToken });
   processQueue();
 }
 
@@ -65,7 +141,15 @@ const shopify = shopifyApi({
   apiKey: process.env.SHOPIFY_API_KEY,
   apiSecretKey: process.env.SHOPIFY_API_SECRET,
   adminApiAccessToken: process.env.SHOPIFY_ADMIN_TOKEN,
-  scopes: ["read_orders", "write_orders", "read_checkouts", "read_customers"],
+  scopes: [
+    "read_orders",
+    "write_orders",
+    "read_checkouts",
+    "read_customers",
+    "write_price_rules",
+    "write_discounts",
+    "write_order_edits",
+  ],
   shop: process.env.SHOPIFY_DOMAIN,
   apiVersion: LATEST_API_VERSION,
   isCustomStoreApp: true,
@@ -189,6 +273,7 @@ function orderHasStorePickupTag(order) {
 const dataFiles = {
   checkouts: path.resolve(__dirname, "debounced-checkouts.json"),
   orders: path.resolve(__dirname, "processed-orders.json"),
+  storePickupAlerts: path.resolve(__dirname, "processed-store-pickup-alerts.json"),
   fulfillments: path.resolve(__dirname, "processed-fulfillments.json"),
   deliveries: path.resolve(__dirname, "processed-deliveries.json"),
   pickupPrepared: path.resolve(__dirname, "processed-pickup-prepared.json"),
@@ -204,6 +289,35 @@ const dataFiles = {
   ),
   payments: path.resolve(__dirname, "processed-payments.json"),
   locks: path.resolve(__dirname, "in-process-locks.json"),
+  outbox: path.resolve(__dirname, "message-outbox.json"),
+  messageStatus: path.resolve(__dirname, "message-status.json"),
+  inboundMessages: path.resolve(__dirname, "processed-inbound-messages.json"),
+  abandonedCheckoutSteps: path.resolve(
+    __dirname,
+    "processed-abandoned-checkout-steps.json",
+  ),
+  abandonedCheckoutDiscounts: path.resolve(
+    __dirname,
+    "abandoned-checkout-discounts.json",
+  ),
+  abandonedCheckoutRecovery: path.resolve(
+    __dirname,
+    "abandoned-checkout-recovery.json",
+  ),
+  paymentReconciliation: path.resolve(__dirname, "payment-reconciliation.json"),
+  razorpayPayments: path.resolve(__dirname, "razorpay-payments.json"),
+  paymentRecoveries: path.resolve(__dirname, "payment-recoveries.json"),
+  paymentRecoveryMessages: path.resolve(
+    __dirname,
+    "processed-payment-recoveries.json",
+  ),
+  codPrepaidOffers: path.resolve(__dirname, "cod-prepaid-offers.json"),
+  codPrepaidMessages: path.resolve(__dirname, "processed-cod-prepaid.json"),
+  codConfirmations: path.resolve(__dirname, "cod-confirmations.json"),
+  codConfirmationMessages: path.resolve(
+    __dirname,
+    "processed-cod-confirmations.json",
+  ),
 };
 
 const deliveryWebhookLogFile = path.resolve(
@@ -231,6 +345,54 @@ const deliveryReviewLogFile = path.resolve(
   "delivery-review-logs.jsonl",
 );
 
+const outboxLogFile = path.resolve(__dirname, "message-outbox-logs.jsonl");
+
+const messageStatusLogFile = path.resolve(
+  __dirname,
+  "message-status-logs.jsonl",
+);
+
+const inboundMessageLogFile = path.resolve(
+  __dirname,
+  "inbound-messages-logs.jsonl",
+);
+
+const consentLogFile = path.resolve(__dirname, "consent-logs.jsonl");
+
+const abandonedCheckoutLogFile = path.resolve(
+  __dirname,
+  "abandoned-checkout-logs.jsonl",
+);
+
+const paymentReconciliationLogFile = path.resolve(
+  __dirname,
+  "payment-reconciliation-logs.jsonl",
+);
+
+const razorpayWebhookLogFile = path.resolve(
+  __dirname,
+  "razorpay-webhook-logs.jsonl",
+);
+
+const paymentRecoveryLogFile = path.resolve(
+  __dirname,
+  "payment-recovery-logs.jsonl",
+);
+
+const codPrepaidLogFile = path.resolve(__dirname, "cod-prepaid-logs.jsonl");
+
+const codConfirmationLogFile = path.resolve(
+  __dirname,
+  "cod-confirmation-logs.jsonl",
+);
+
+const redirectLogFile = path.resolve(__dirname, "redirect-logs.jsonl");
+
+const shopifyWebhookLogFile = path.resolve(
+  __dirname,
+  "shopify-webhook-logs.jsonl",
+);
+
 // In-memory timers to send review messages close to the target delay.
 // Persistence + periodic scan still acts as a fallback across restarts.
 const __reviewTimersByFulfillmentId = new Map();
@@ -282,6 +444,117 @@ function verifyShopifyWebhookHmac(req) {
   }
 }
 
+// ALLOW_UNVERIFIED_SHOPIFY_WEBHOOKS=true skips the HMAC check for local
+// testing; it is ignored unless NODE_ENV=development.
+function allowUnverifiedShopifyWebhooks() {
+  return (
+    String(process.env.ALLOW_UNVERIFIED_SHOPIFY_WEBHOOKS || "").toLowerCase() ===
+      "true" && process.env.NODE_ENV === "development"
+  );
+}
+
+// Shopify webhook routes and the topics each accepts (see
+// ops/upsertShopifyWebhooks.js). Every route must be listed here: the
+// verification middleware is registered before the handlers.
+const SHOPIFY_WEBHOOK_ROUTE_TOPICS = {
+  "/webhook/order-confirmation": ["orders/create"],
+  "/webhook/fulfillment-creation": ["fulfillments/create"],
+  "/webhook/abandoned-checkouts": ["checkouts/create", "checkouts/update"],
+  "/webhook/order-cancellation": ["orders/cancelled"],
+  "/webhook/customers-update": ["customers/update"],
+  "/webhook/customers/update": ["customers/update"],
+  "/webhook/fulfillments-update": ["fulfillments/update"],
+  "/webhook/fulfillments/update": ["fulfillments/update"],
+  "/webhook/fulfillments/update-pickup": ["fulfillments/update"],
+  "/webhook/fulfillments-update-pickup": ["fulfillments/update"],
+  "/webhook/fulfillment_orders/line_items_prepared_for_pickup": [
+    "fulfillment_orders/line_items_prepared_for_pickup",
+  ],
+  "/webhook/fulfillment-orders/line_items_prepared_for_pickup": [
+    "fulfillment_orders/line_items_prepared_for_pickup",
+  ],
+  "/webhook/orders/updated-pickup": ["orders/updated"],
+  "/webhook/orders-updated-pickup": ["orders/updated"],
+  "/webhook/refunds-create": ["refunds/create"],
+  "/webhook/refunds/create": ["refunds/create"],
+};
+
+// Middleware for every Shopify webhook route: the request must be signed
+// (X-Shopify-Hmac-Sha256) and carry one of the route's topics in
+// X-Shopify-Topic. Refusals are logged to shopify-webhook-logs.jsonl.
+function verifyShopifyWebhook(...topics) {
+  return (req, res, next) => {
+    const topic = (req.get("X-Shopify-Topic") || "").trim();
+    const log = (result, reason) =>
+      appendJsonlLog(shopifyWebhookLogFile, {
+        event: "shopify_webhook",
+        result,
+        reason,
+        path: req.path,
+        expected_topics: topics,
+        topic: topic || null,
+        shop_domain: (req.get("X-Shopify-Shop-Domain") || "").trim() || null,
+        webhook_id: (req.get("X-Shopify-Webhook-Id") || "").trim() || null,
+      });
+
+    if (!allowUnverifiedShopifyWebhooks() && !verifyShopifyWebhookHmac(req)) {
+      log("rejected", "invalid_hmac");
+      return res.status(401).send("Invalid webhook signature");
+    }
+    if (!topic) {
+      log("rejected", "missing_topic");
+      return res.status(400).send("Missing X-Shopify-Topic header");
+    }
+    if (!topics.includes(topic)) {
+      // A genuine Shopify webhook registered against the wrong route;
+      // acknowledge it so Shopify doesn't keep retrying.
+      log("ignored", "wrong_topic");
+      return res.status(200).send("OK");
+    }
+    return next();
+  };
+}
+
+for (const [route, topics] of Object.entries(SHOPIFY_WEBHOOK_ROUTE_TOPICS)) {
+  app.post(route, verifyShopifyWebhook(...topics));
+}
+
+if (
+  String(process.env.ALLOW_UNVERIFIED_SHOPIFY_WEBHOOKS || "").toLowerCase() ===
+    "true" &&
+  !allowUnverifiedShopifyWebhooks()
+) {
+  console.warn(
+    "ALLOW_UNVERIFIED_SHOPIFY_WEBHOOKS is ignored outside NODE_ENV=development",
+  );
+}
+
+// Razorpay signs the raw body with the webhook secret (hex HMAC-SHA256).
+function verifyRazorpayWebhookSignature(req) {
+  const signature = (req.get("X-Razorpay-Signature") || "").trim();
+  const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+  if (!signature || !secret) return false;
+
+  const rawBody = req.rawBody;
+  const bodyBuffer = Buffer.isBuffer(rawBody)
+    ? rawBody
+    : Buffer.from(rawBody || "", "utf8");
+
+  const digest = crypto
+    .createHmac("sha256", secret)
+    .update(bodyBuffer)
+    .digest("hex");
+
+  try {
+    const a = Buffer.from(digest, "utf8");
+    const b = Buffer.from(signature, "utf8");
+    if (a.length !== b.length) return false;
+    return crypto.timingSafeEqual(a, b);
+  } catch {
+    return false;
+  }
+}
+
 function hasStoreCreditRefundBeenNotified(refundId) {
   const set = loadSet(dataFiles.storeCreditRefunds, "set");
   return set.has(String(refundId));
@@ -341,42 +614,9 @@ function formatMoney(amount, currency) {
   return safe.toFixed(2);
 }
 
-async function resolveOrderRecipientForRefund(order) {
-  const shipping = order?.shipping_address || {};
-  const billing = order?.billing_address || {};
-  const customer = order?.customer || {};
-
-  const countryCode =
-    shipping.country_code || billing.country_code || customer.country_code || "IN";
-  const name =
-    shipping.first_name || customer.first_name || billing.first_name || "Customer";
-
-  const candidates = [
-    shipping.phone,
-    billing.phone,
-    customer.phone,
-    order?.phone,
-    customer?.default_address?.phone,
-  ];
-
-  for (const cand of candidates) {
-    const d = extractDigitsPhone(cand);
-    if (isLikelyValidWhatsAppNumberDigits(d)) {
-      return { name, countryCode, digits: d, source: "order.phone" };
-    }
-  }
-
-  return {
-    name,
-    countryCode,
-    digits: extractDigitsPhone(order?.phone),
-    source: "order.phone",
-  };
-}
-
 async function sendStoreCreditRefundNotification({ order, refund, amount, currency }) {
-  const recipient = await resolveOrderRecipientForRefund(order);
-  if (!isLikelyValidWhatsAppNumberDigits(recipient.digits)) {
+  const recipient = resolveRecipient({ order });
+  if (!recipient.to) {
     const err = new Error(
       `No valid phone number found for store credit notification (source=${recipient.source})`,
     );
@@ -384,105 +624,42 @@ async function sendStoreCreditRefundNotification({ order, refund, amount, curren
     throw err;
   }
 
-  const dialCode = getDialCode(recipient.countryCode || "IN") || "+91";
-  const cleanedPhone = recipient.digits.slice(-10);
-  const phoneNumberInternationalFormat = dialCode + cleanedPhone;
-
   const orderName = order?.name || (order?.id ? String(order.id) : "Unknown Order");
   const name = recipient.name || "Customer";
   const formattedAmount = formatMoney(amount, currency);
 
-  const payload = {
-    to: phoneNumberInternationalFormat,
-    templateName:
-      process.env.SCR_CAMPAIGN_NAME ||
-      "kaj_store_credit_refund_v2",
-    language: process.env.DT_LANGUAGE || "en",
-    // Template: Hi {{1}}, Store credit of {{2}} ... order {{3}}
-    bodyPlaceholders: [name, formattedAmount, String(orderName)],
+  const resp = await sendEventMessage("store_credit_refund", {
+    to: recipient.to,
+    recipientSource: recipient.source,
+    context: { name, amount: formattedAmount, orderName: String(orderName) },
+    order,
+    idempotency: refund?.id
+      ? { store: "storeCreditRefunds", key: String(refund.id) }
+      : null,
+  });
+  return {
+    ok: true,
+    providerResponse: resp?.data,
+    outboxId: resp?.outboxId,
+    recipientSource: recipient.source,
   };
-
-  const resp = await sendDoubleTickTemplateMessage(payload);
-  return { ok: true, providerResponse: resp?.data, recipientSource: recipient.source };
-}
-
-function extractDigitsPhone(value) {
-  return String(value || "").replace(/\D/g, "");
-}
-
-function isLikelyValidWhatsAppNumberDigits(digits) {
-  // Keep it simple: WhatsApp numbers are typically 10+ digits (incl. country code).
-  // We use 10 as minimum to avoid sending to junk like "555555".
-  return Boolean(digits) && digits.length >= 10;
 }
 
+// Destination phone first; when it's missing or unusable, fetch the order so
+// the shipping / billing / customer phones can be tried too.
 async function resolveDeliveryRecipient(fulfillment) {
-  const dest = fulfillment?.destination || {};
-
-  // Prefer fulfillment destination info
-  const baseCountryCode = dest.country_code || "IN";
-  const baseName = dest.first_name || "Customer";
-  const baseDigits = extractDigitsPhone(dest.phone);
-
-  if (isLikelyValidWhatsAppNumberDigits(baseDigits)) {
-    return {
-      name: baseName,
-      countryCode: baseCountryCode,
-      digits: baseDigits,
-      source: "fulfillment.destination.phone",
-    };
-  }
-
-  // Fallback: fetch order to find a better phone
+  const fromDestination = resolveRecipient({ fulfillment });
   const orderId = fulfillment?.order_id;
-  if (!orderId) {
-    return {
-      name: baseName,
-      countryCode: baseCountryCode,
-      digits: baseDigits,
-      source: "fulfillment.destination.phone",
-    };
-  }
+  if (fromDestination.to || !orderId) return fromDestination;
 
   try {
     const or = await client.get({ path: `orders/${orderId}` });
-    const order = or?.body?.order || {};
-    const shipping = order.shipping_address || {};
-    const billing = order.billing_address || {};
-    const customer = order.customer || {};
-
-    const countryCode =
-      shipping.country_code || billing.country_code || baseCountryCode || "IN";
-    const name = shipping.first_name || customer.first_name || baseName;
-
-    const candidates = [
-      shipping.phone,
-      billing.phone,
-      customer.phone,
-      order.phone,
-      customer?.default_address?.phone,
-    ];
-
-    for (const cand of candidates) {
-      const d = extractDigitsPhone(cand);
-      if (isLikelyValidWhatsAppNumberDigits(d)) {
-        return {
-          name,
-          countryCode,
-          digits: d,
-          source: "order.phone",
-        };
-      }
-    }
+    const order = or?.body?.order || null;
+    if (order) return resolveRecipient({ fulfillment, order });
   } catch (err) {
   }
 
-  return {
-    name: baseName,
-    countryCode: baseCountryCode,
-    digits: baseDigits,
-    source: "fulfillment.destination.phone",
-  };
+  return fromDestination;
 }
 
 function pickFirstTrackingNumber(fulfillment) {
@@ -544,9 +721,19 @@ function saveSet(filePath, dataset, item, type = "set") {
       console.warn("Invalid debounced item");
       return;
     }
+    // Keep the pipeline state and sequence progress across later checkout
+    // updates. Carts skipped only for lack of a phone get another chance once
+    // an update brings one.
+    const prev = dataset[cart_token] || {};
+    const retry =
+      !prev.state ||
+      (prev.state === "skipped" &&
+        ["missing_contact_info", "no_valid_phone"].includes(prev.reason));
     dataset[cart_token] = {
+      ...prev,
       checkout,
       updatedAt: Date.now(),
+      ...(retry && { state: "pending", reason: null }),
     };
     fs.writeFileSync(filePath, JSON.stringify(dataset, null, 2));
   } else {
@@ -555,87 +742,6 @@ function saveSet(filePath, dataset, item, type = "set") {
   }
 }
 
-function normalizeToDoubleTickTo(to) {
-  const digitsOnly = String(to || "").replace(/\D/g, "");
-  if (!digitsOnly) return "";
-
-  // DoubleTick examples use countrycode+number without '+' (e.g. 91XXXXXXXXXX)
-  if (digitsOnly.length === 10) return `91${digitsOnly}`;
-  return digitsOnly;
-}
-
-async function sendDoubleTickTemplateMessage({
-  to,
-  templateName,
-  language = "en",
-  bodyPlaceholders = [],
-  headerImageUrl,
-  headerFilename,
-  buttonUrl,
-}) {
-  const apiKey = process.env.DOUBLETICK_API_KEY;
-  if (!apiKey) {
-    throw new Error(
-      "Missing DOUBLETICK_API_KEY env var (set it to the 'key_...' value)",
-    );
-  }
-
-  if (!templateName) {
-    throw new Error("Missing DoubleTick templateName");
-  }
-
-  const toNormalized = normalizeToDoubleTickTo(to);
-  if (!toNormalized) {
-    throw new Error("Missing/invalid destination phone number");
-  }
-
-  const payload = {
-    messages: [
-      {
-        to: toNormalized,
-        from: "+919136524727",
-        content: {
-          templateName,
-          language,
-          templateData: {
-            ...(headerImageUrl
-              ? {
-                header: {
-                  type: "IMAGE",
-                  mediaUrl: headerImageUrl,
-                  filename: headerFilename || "image.jpeg",
-                },
-              }
-              : {}),
-            body: {
-              placeholders: (bodyPlaceholders || []).map((v) =>
-                v === null || v === undefined ? "" : String(v),
-              ),
-            },
-            ...(buttonUrl
-              ? {
-                buttons: [
-                  {
-                    type: "URL",
-                    parameter: String(buttonUrl),
-                  },
-                ],
-              }
-              : {}),
-          },
-        },
-      },
-    ],
-  };
-
-  return axios.post(DOUBLETICK_TEMPLATE_ENDPOINT, payload, {
-    headers: {
-      Authorization: apiKey,
-      "Content-Type": "application/json",
-    },
-  });
-}
-
 // --- Locks ---
 // Used to prevent multiple processes from handling the same checkout at the same time
 
@@ -665,695 +771,4064 @@ function unlockId(id) {
   saveLocks(locks);
 }
 
-// --- Abandoned Checkouts ---
-async function processQueue() {
-  if (isSending || messageQueue.length === 0) return;
-  isSending = true;
-  const { checkout, cartToken } = messageQueue.shift();
+// --- Message Outbox ---
+// Every outgoing template message is written here before it is sent.
+// Network errors, 429 and 5xx responses are retried with exponential backoff;
+// after OUTBOX_MAX_ATTEMPTS the entry is moved to the "dead" state.
+// Entries carry an optional idempotency reference ({ store, key }) into the
+// existing processed-* sets so a late retry marks them exactly like a
+// first-attempt success would.
+const OUTBOX_MAX_ATTEMPTS = Number(process.env.OUTBOX_MAX_ATTEMPTS) || 6;
+const OUTBOX_BASE_DELAY_MS =
+  Number(process.env.OUTBOX_BASE_DELAY_MS) || 30 * 1000;
+const OUTBOX_MAX_DELAY_MS =
+  Number(process.env.OUTBOX_MAX_DELAY_MS) || 60 * 60 * 1000;
+const OUTBOX_POLL_INTERVAL_MS =
+  Number(process.env.OUTBOX_POLL_INTERVAL_MS) || 15 * 1000;
+const OUTBOX_RETENTION_MS =
+  (Number(process.env.OUTBOX_RETENTION_DAYS) || 14) * 24 * 60 * 60 * 1000;
+
+const outboxInFlight = new Set();
+
+const idempotencyStores = {
+  orders: {
+    has: (key) => processedOrders.has(String(key)),
+    mark: (key) => saveSet(dataFiles.orders, processedOrders, String(key)),
+  },
+  // key: order_id. Kept apart from `orders` so the pickup alert and the
+  // order confirmation, sent side by side, don't skip each other.
+  storePickupAlerts: {
+    has: (key) => loadSet(dataFiles.storePickupAlerts, "set").has(String(key)),
+    mark: (key) =>
+      saveSet(
+        dataFiles.storePickupAlerts,
+        loadSet(dataFiles.storePickupAlerts, "set"),
+        String(key),
+      ),
+  },
+  fulfillments: {
+    has: (key) => processedFulfillments.has(String(key)),
+    mark: (key) =>
+      saveSet(dataFiles.fulfillments, processedFulfillments, String(key)),
+  },
+  deliveries: {
+    has: (key) => hasDeliveryBeenNotified(key),
+    mark: (key) => markDeliveryNotified(key),
+  },
+  pickupReady: {
+    has: (key) => hasPickupReadyBeenNotified(key),
+    mark: (key) => markPickupReadyNotified(key),
+  },
+  storeCreditRefunds: {
+    has: (key) => hasStoreCreditRefundBeenNotified(key),
+    mark: (key) => markStoreCreditRefundNotified(key),
+  },
+  reviews: {
+    has: (key) => hasReviewMessageBeenSent(key),
+    mark: (key) => markReviewMessageSent(key),
+  },
+  // key: cart_token
+  paymentRecoveries: {
+    has: (key) => loadSet(dataFiles.paymentRecoveryMessages, "set").has(String(key)),
+    mark: (key) =>
+      saveSet(
+        dataFiles.paymentRecoveryMessages,
+        loadSet(dataFiles.paymentRecoveryMessages, "set"),
+        String(key),
+      ),
+  },
+  // key: "<order_id>:offer" / "<order_id>:confirmed"
+  codPrepaid: {
+    has: (key) => loadSet(dataFiles.codPrepaidMessages, "set").has(String(key)),
+    mark: (key) =>
+      saveSet(
+        dataFiles.codPrepaidMessages,
+        loadSet(dataFiles.codPrepaidMessages, "set"),
+        String(key),
+      ),
+  },
+  // key: order_id. The answer window starts when the message actually goes
+  // out, and a message that never does can't count as ignored.
+  codConfirmations: {
+    has: (key) => loadSet(dataFiles.codConfirmationMessages, "set").has(String(key)),
+    mark: (key) => {
+      saveSet(
+        dataFiles.codConfirmationMessages,
+        loadSet(dataFiles.codConfirmationMessages, "set"),
+        String(key),
+      );
+      startCodConfirmationWindow(key);
+    },
+    undelivered: (key, reason) => markCodConfirmationNotSent(key, reason),
+  },
+  // key: "<cart_token>:<step>"
+  abandonedCheckoutSteps: {
+    has: (key) => loadSet(dataFiles.abandonedCheckoutSteps, "set").has(String(key)),
+    mark: (key) =>
+      saveSet(
+        dataFiles.abandonedCheckoutSteps,
+        loadSet(dataFiles.abandonedCheckoutSteps, "set"),
+        String(key),
+      ),
+  },
+};
+
+function loadOutbox() {
   try {
-    await handleAbandonedCheckoutMessage(checkout);
-  } catch (err) {
-    console.error("Abandoned checkout message failed", err);
-  } finally {
-    if (cartToken) queuedAbandonedCartTokens.delete(cartToken);
-    else if (checkout?.cart_token)
-      queuedAbandonedCartTokens.delete(checkout.cart_token);
-    isSending = false;
-    setImmediate(processQueue);
+    const parsed = JSON.parse(fs.readFileSync(dataFiles.outbox, "utf8"));
+    if (!parsed || typeof parsed !== "object") return {};
+    return parsed;
+  } catch {
+    return {};
   }
 }
 
-// Function for getting country calling code based on country code
-function getDialCode(countryCode) {
-  try {
-    const country = countries[countryCode];
-    return country ? `${country.countryCallingCodes[0]}` : "+91";
-  } catch (error) {
-    console.error("Error fetching country calling code");
-    return null;
-  }
+function saveOutbox(outbox) {
+  fs.writeFileSync(dataFiles.outbox, JSON.stringify(outbox || {}, null, 2), "utf8");
 }
 
-async function handleAbandonedCheckoutMessage(checkout) {
-  if (
-    !checkout.email &&
-    !checkout?.phone &&
-    !checkout.shipping_address?.phone &&
-    !checkout.billing_address?.phone
-  ) {
-    console.log(
-      "Skipping incomplete checkout for sending message (missing contact info)",
-    );
-    return;
-  }
+function updateOutboxEntry(id, patch) {
+  const outbox = loadOutbox();
+  const prev = outbox[id];
+  if (!prev) return null;
+  outbox[id] = { ...prev, ...patch, updatedAt: new Date().toISOString() };
+  saveOutbox(outbox);
+  return outbox[id];
+}
 
-  const name =
-    checkout.shipping_address?.first_name ||
-    checkout.billing_address?.first_name ||
-    "Customer";
-  const amount = checkout.total_price || "0";
-  const abandonedCheckoutUrl = `checkouts/cn/${checkout.cart_token}/information`;
-  const countryCode =
-    checkout.shipping_address?.country_code ||
-    checkout.billing_address?.country_code ||
-    checkout.country_code ||
-    "IN";
+function getOutboxRetryDelayMs(attempts) {
+  const exp = OUTBOX_BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1);
+  return Math.min(exp, OUTBOX_MAX_DELAY_MS);
+}
 
-  // Fetch product image
-  const variantId = Number(checkout.line_items[0]?.variant_id);
-  const productId = Number(checkout.line_items[0]?.product_id);
-  const headers = {
-    headers: { "X-Shopify-Access-Token": process.env.SHOPIFY_ADMIN_TOKEN },
-  };
+function isIdempotencyKeyMarked(idempotency) {
+  if (!idempotency?.store) return false;
+  const store = idempotencyStores[idempotency.store];
+  return Boolean(store?.has(idempotency.key));
+}
 
-  let imageUrl =
-    "https://cdn.shopify.com/s/files/1/0655/1352/1302/files/WhatsApp_Image_2025-05-21_at_21.13.58.jpg";
+function markIdempotencyKey(idempotency) {
+  if (!idempotency?.store) return;
+  const store = idempotencyStores[idempotency.store];
+  if (store) store.mark(idempotency.key);
+}
 
-  try {
-    const variantRes = await axios.get(
-      `https://${process.env.SHOPIFY_DOMAIN}/admin/api/2025-04/variants/${variantId}.json`,
-      headers,
-    );
-    const imageId = variantRes.data.variant.image_id;
+// Stores may define `undelivered(key, reason)` for entries that end without
+// being sent (dead letters, consent withdrawn while queued).
+function notifyIdempotencyUndelivered(idempotency, reason) {
+  if (!idempotency?.store) return;
+  const store = idempotencyStores[idempotency.store];
+  if (store?.undelivered) store.undelivered(idempotency.key, reason);
+}
 
-    const productImagesRes = await axios.get(
-      `https://${process.env.SHOPIFY_DOMAIN}/admin/api/2025-04/products/${productId}/images.json`,
-      headers,
-    );
-    const allImages = productImagesRes.data?.images || [];
+function findActiveOutboxEntry(outbox, idempotency) {
+  if (!idempotency?.store) return null;
+  return (
+    Object.values(outbox).find(
+      (e) =>
+        e?.idempotency?.store === idempotency.store &&
+        String(e?.idempotency?.key) === String(idempotency.key) &&
+        ["pending", "sending", "retrying", "deferred"].includes(e.status),
+    ) || null
+  );
+}
 
-    imageUrl = allImages[0]?.src.split("?")[0] || imageUrl;
-    if (imageId) {
-      const matchedImage = allImages.find((img) => img.id === imageId);
-      imageUrl = matchedImage?.src || imageUrl;
-    }
-  } catch (err) {
-    console.error("Failed to fetch product images");
-  }
-
-  const dialCode = getDialCode(countryCode);
-
-  let rawPhone =
-    checkout?.shipping_address?.phone ||
-    checkout?.billing_address?.phone ||
-    checkout?.phone ||
-    "";
-  let cleanedPhone = rawPhone.replace(/\s+/g, "").slice(-10);
-  const phoneNumberInternationalFormat = dialCode + cleanedPhone;
-
-  const payload = {
-    to: phoneNumberInternationalFormat,
-    from: "+919136524727",
-    templateName:
-      process.env.AC_CAMPAIGN_NAME ||
-      process.env.AC_TEMPLATE_NAME ||
-      "kaj_abandoned_checkout_v1",
-    language: process.env.DT_LANGUAGE || "en",
-    bodyPlaceholders: [name, `₹${amount}`],
-    headerImageUrl: imageUrl,
-    headerFilename: "product.jpg",
-    buttonUrl: abandonedCheckoutUrl,
-  };
+function outboxError(message, code, entry) {
+  const err = new Error(message);
+  err.code = code;
+  err.outboxId = entry?.id || null;
+  return err;
+}
+
+async function deliverOutboxEntry(id) {
+  if (outboxInFlight.has(id)) return null;
+  outboxInFlight.add(id);
 
   try {
-    const response = await sendDoubleTickTemplateMessage(payload);
-    console.log(
-      `Abandoned checkout message sent for cart_token: ${checkout.cart_token}.  Response: ${response.data}`,
-    );
-    console.log(`Abandoned checkout message sent to ${name} (${cleanedPhone})`);
-  } catch (err) {
-    console.error(
-      "Abandoned checkout message error: ",
-      err?.response?.data || err?.message,
-    );
-    console.log(
-      `Abandoned checkout message cannot be sent to ${name} (${cleanedPhone})`,
-    );
-    if (err.response) {
-      console.error("Response data:", err.response.data);
-      console.error("Response status:", err.response.status);
+    const entry = loadOutbox()[id];
+    if (!entry || !["pending", "retrying", "deferred"].includes(entry.status)) {
+      return entry;
     }
-  }
-}
-
-async function createOrderFromPayment(checkout, payment) {
-  if (!checkout) {
-    console.log("No checkout token provided. Skipping order creation.");
-    return;
-  }
-  if (!payment || !payment.id) {
-    console.log("No payment ID provided. Skipping order creation.");
-    return;
-  }
 
-  const countryCode =
-    checkout.shipping_address?.country_code ||
-    checkout.billing_address?.country_code ||
-    checkout.country_code ||
-    "IN";
+    if (isIdempotencyKeyMarked(entry.idempotency)) {
+      const skipped = updateOutboxEntry(id, {
+        status: "skipped",
+        reason: "already_notified",
+      });
+      appendJsonlLog(outboxLogFile, {
+        event: entry.event,
+        outbox_id: id,
+        result: "skipped",
+        reason: "already_notified",
+        idempotency: entry.idempotency,
+      });
+      return skipped;
+    }
 
-  const rawPhone =
-    checkout.phone ||
-    checkout.shipping_address?.phone ||
-    checkout.billing_address?.phone ||
-    "";
+    // Checked at send time so retries and replays respect a later STOP.
+    const category = entry.message?.category || getEventCategory(entry.event);
+    const consent = checkConsent(entry.message?.to, category);
+    if (!consent.allowed) {
+      const skipped = updateOutboxEntry(id, {
+        status: "skipped",
+        reason: consent.reason,
+      });
+      appendJsonlLog(outboxLogFile, {
+        event: entry.event,
+        outbox_id: id,
+        result: "skipped",
+        reason: consent.reason,
+        to: entry.message?.to || null,
+      });
+      notifyIdempotencyUndelivered(entry.idempotency, consent.reason);
+      return skipped;
+    }
 
-  const sanitizedPhone = rawPhone.replace(/\D/g, "");
+    // Non-urgent messages wait for the end of the recipient's quiet hours.
+    // Deferring does not count as an attempt.
+    const quietHours = getQuietHoursDeferral({ phone: entry.message?.to, category });
+    if (quietHours) {
+      const deferred = updateOutboxEntry(id, {
+        status: "deferred",
+        reason: "quiet_hours",
+        nextAttemptAtMs: quietHours.untilMs,
+        deferredUntil: quietHours.until,
+      });
+      if (entry.status !== "deferred") {
+        appendJsonlLog(outboxLogFile, {
+          event: entry.event,
+          outbox_id: id,
+          result: "deferred",
+          reason: "quiet_hours",
+          until: quietHours.until,
+          time_zone: quietHours.timeZone,
+        });
+      }
+      return deferred;
+    }
 
-  const dialCode = getDialCode(countryCode);
-  const phoneNumberInternationalFormat = dialCode
-    ? `${dialCode}${sanitizedPhone}`
-    : `+91${sanitizedPhone}`;
+    updateOutboxEntry(id, { status: "sending" });
+    const attempts = Number(entry.attempts || 0) + 1;
 
-  const formattedPhone =
-    sanitizedPhone.length === 10
-      ? `${phoneNumberInternationalFormat}`
-      : `+${sanitizedPhone}`;
+    try {
+      let message = entry.message;
+      if (message?.buttonLink) {
+        const { trackedLink, ...rest } = message;
+        message = applyTrackedButton(rest, trackedLink);
+        updateOutboxEntry(id, { message });
+      }
+      const resp = await sendTemplateMessage(message, {
+        provider: message?.provider,
+      });
+      markIdempotencyKey(entry.idempotency);
+      const sent = updateOutboxEntry(id, {
+        status: "sent",
+        attempts,
+        provider: resp?.provider || null,
+        providerResponse: resp?.data ?? null,
+        sentAt: new Date().toISOString(),
+        lastError: null,
+      });
+      recordSentMessage(sent);
+      if (attempts > 1) {
+        appendJsonlLog(outboxLogFile, {
+          event: entry.event,
+          outbox_id: id,
+          result: "sent_after_retry",
+          attempts,
+          idempotency: entry.idempotency,
+        });
+      }
+      return sent;
+    } catch (err) {
+      const lastError = {
+        message: err?.message || String(err),
+        status: err?.response?.status || null,
+        code: err?.code || null,
+        provider: err?.provider || null,
+        data: err?.response?.data ?? null,
+      };
+      const retryable = isProviderOutageError(err);
+      const maxAttempts = Number(entry.maxAttempts) || OUTBOX_MAX_ATTEMPTS;
+
+      if (retryable && attempts < maxAttempts) {
+        const delayMs = getOutboxRetryDelayMs(attempts);
+        const retrying = updateOutboxEntry(id, {
+          status: "retrying",
+          attempts,
+          lastError,
+          nextAttemptAtMs: Date.now() + delayMs,
+        });
+        appendJsonlLog(outboxLogFile, {
+          event: entry.event,
+          outbox_id: id,
+          result: "retry_scheduled",
+          attempts,
+          retry_in_ms: delayMs,
+          error: lastError,
+        });
+        return retrying;
+      }
+
+      const dead = updateOutboxEntry(id, {
+        status: "dead",
+        attempts,
+        lastError,
+        deadAt: new Date().toISOString(),
+        reason: retryable ? "max_attempts" : "non_retryable",
+      });
+      appendJsonlLog(outboxLogFile, {
+        event: entry.event,
+        outbox_id: id,
+        result: "dead",
+        reason: dead?.reason,
+        attempts,
+        error: lastError,
+        idempotency: entry.idempotency,
+      });
+      notifyIdempotencyUndelivered(entry.idempotency, "outbox_dead");
+      return dead;
+    }
+  } finally {
+    outboxInFlight.delete(id);
+  }
+}
+
+// Persist the message, try it once right away and resolve with the provider
+// response. When the first attempt fails the promise rejects; the error carries
+// `outboxId` and, for retryable failures, code OUTBOX_RETRY_SCHEDULED.
+async function sendOutboxMessage(
+  message,
+  { event, idempotency = null, recipientSource = null } = {},
+) {
+  const outbox = loadOutbox();
+
+  const active = findActiveOutboxEntry(outbox, idempotency);
+  if (active) {
+    throw outboxError(
+      `Message already queued in outbox (${active.id})`,
+      "OUTBOX_ALREADY_QUEUED",
+      active,
+    );
+  }
+
+  const now = new Date().toISOString();
+  const entry = {
+    id: crypto.randomUUID(),
+    event: event || "unknown",
+    status: "pending",
+    message,
+    // Which order / checkout field the phone number came from
+    recipientSource,
+    idempotency: idempotency?.store
+      ? { store: idempotency.store, key: String(idempotency.key) }
+      : null,
+    attempts: 0,
+    maxAttempts: OUTBOX_MAX_ATTEMPTS,
+    nextAttemptAtMs: Date.now(),
+    createdAt: now,
+    updatedAt: now,
+  };
+  outbox[entry.id] = entry;
+  saveOutbox(outbox);
+
+  const result = await deliverOutboxEntry(entry.id);
+
+  if (result?.status === "sent") {
+    return { data: result.providerResponse, provider: result.provider, outboxId: entry.id };
+  }
+  if (result?.status === "deferred") {
+    const err = outboxError(
+      `Deferred until ${result.deferredUntil} (quiet hours)`,
+      "OUTBOX_DEFERRED",
+      result,
+    );
+    err.deferredUntil = result.deferredUntil;
+    throw err;
+  }
+  if (result?.status === "skipped" && result.reason !== "already_notified") {
+    const err = outboxError(
+      `Recipient has no consent for this message (${result.reason})`,
+      "NO_CONSENT",
+      result,
+    );
+    err.reason = result.reason;
+    throw err;
+  }
+  if (result?.status === "skipped") {
+    throw outboxError("Message already sent", "ALREADY_NOTIFIED", result);
+  }
+  if (result?.status === "retrying") {
+    const err = outboxError(
+      `Send failed; retry scheduled (attempt ${result.attempts}/${result.maxAttempts})`,
+      "OUTBOX_RETRY_SCHEDULED",
+      result,
+    );
+    err.response = { data: result.lastError?.data, status: result.lastError?.status };
+    throw err;
+  }
+
+  const err = outboxError(
+    result?.lastError?.message || "Send failed",
+    "OUTBOX_DEAD",
+    result,
+  );
+  err.response = { data: result?.lastError?.data, status: result?.lastError?.status };
+  throw err;
+}
+
+// Render the registry template for `event` and send it through the outbox.
+// order/checkout/customer/locale are only used to pick the template language;
+// recipientSource (from resolveRecipient) is recorded on the outbox entry.
+async function sendEventMessage(
+  event,
+  {
+    to,
+    context = {},
+    idempotency = null,
+    recipientSource = null,
+    order,
+    checkout,
+    customer,
+    locale,
+  } = {},
+) {
+  const languages = resolveLanguageCandidates({ to, order, checkout, customer, locale });
+  const message = { to, ...renderTemplateMessage(event, context, { languages }) };
+  // The short link itself is created by deliverOutboxEntry, so messages
+  // dropped for consent or still waiting out quiet hours don't get one.
+  if (message.buttonLink) {
+    message.trackedLink = {
+      event,
+      orderId: order?.id || context.orderId,
+      cartToken: checkout?.cart_token || order?.cart_token,
+      reuseKey: idempotency ? `${event}:${idempotency.store}:${idempotency.key}` : null,
+    };
+  }
+  return sendOutboxMessage(message, { event, idempotency, recipientSource });
+}
+
+let __outboxWorkerRunning = false;
+async function processOutboxOnce() {
+  if (__outboxWorkerRunning) return;
+  __outboxWorkerRunning = true;
+
+  try {
+    const now = Date.now();
+    const outbox = loadOutbox();
+
+    // Drop old finished (and dead) entries so the file doesn't grow without
+    // bound.
+    let pruned = false;
+    for (const [id, entry] of Object.entries(outbox)) {
+      const finishedAt = parseDateMs(entry?.sentAt || entry?.updatedAt);
+      if (
+        ["sent", "skipped", "dead"].includes(entry?.status) &&
+        finishedAt &&
+        finishedAt < now - OUTBOX_RETENTION_MS
+      ) {
+        delete outbox[id];
+        pruned = true;
+      }
+    }
+    if (pruned) saveOutbox(outbox);
+
+    const due = Object.values(outbox)
+      .filter(
+        (e) =>
+          e &&
+          ["pending", "retrying", "deferred"].includes(e.status) &&
+          Number(e.nextAttemptAtMs || 0) <= now,
+      )
+      .sort((a, b) => Number(a.nextAttemptAtMs) - Number(b.nextAttemptAtMs));
+
+    for (const entry of due) {
+      await deliverOutboxEntry(entry.id);
+    }
+  } finally {
+    __outboxWorkerRunning = false;
+  }
+}
+
+// A crash mid-send leaves entries in "sending"; hand them back to the worker.
+function recoverInterruptedOutboxEntries() {
+  const outbox = loadOutbox();
+  let changed = false;
+  for (const entry of Object.values(outbox)) {
+    if (entry?.status === "sending") {
+      entry.status = "retrying";
+      entry.nextAttemptAtMs = Date.now();
+      entry.updatedAt = new Date().toISOString();
+      changed = true;
+    }
+  }
+  if (changed) saveOutbox(outbox);
+}
+
+function describeSendError(err) {
+  if (err?.code === "OUTBOX_RETRY_SCHEDULED") {
+    return `queued for retry (outbox ${err.outboxId})`;
+  }
+  if (err?.code === "OUTBOX_DEFERRED") {
+    return `deferred until ${err.deferredUntil} (outbox ${err.outboxId})`;
+  }
+  return err?.response?.data || err?.message;
+}
+
+function sendErrorResult(err) {
+  if (err?.code === "OUTBOX_RETRY_SCHEDULED") return "queued_for_retry";
+  if (err?.code === "OUTBOX_DEFERRED") return "deferred";
+  if (err?.code === "OUTBOX_ALREADY_QUEUED") return "ignored";
+  if (err?.code === "NO_CONSENT") return "suppressed";
+  return "error";
+}
+
+// --- Message Status (delivery / read receipts) ---
+// Every sent outbox entry gets a lifecycle record keyed by "<provider>:<messageId>".
+// Provider status callbacks (/webhook/message-status/:provider) append to it,
+// so delivery and read rates per template come from the provider rather than
+// from "the API accepted it".
+const MESSAGE_STATUS_RETENTION_MS =
+  (Number(process.env.MESSAGE_STATUS_RETENTION_DAYS) || 90) * 24 * 60 * 60 * 1000;
+
+const MESSAGE_STATUS_RANK = { accepted: 0, sent: 1, delivered: 2, read: 3 };
+
+// Status updates also go to the log of the flow that sent the message.
+const messageStatusEventLogFiles = {
+  delivered: deliveryWebhookLogFile,
+  pickup_ready: pickupReadyWebhookLogFile,
+  store_credit_refund: storeCreditRefundWebhookLogFile,
+  review_request: deliveryReviewLogFile,
+};
+
+function loadMessageStatuses() {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(dataFiles.messageStatus, "utf8"));
+    if (!parsed || typeof parsed !== "object") return {};
+    return parsed;
+  } catch {
+    return {};
+  }
+}
+
+function saveMessageStatuses(records) {
+  fs.writeFileSync(
+    dataFiles.messageStatus,
+    JSON.stringify(records || {}, null, 2),
+    "utf8",
+  );
+}
+
+function messageStatusKey(provider, messageId) {
+  return `${String(provider || "").toLowerCase()}:${String(messageId)}`;
+}
+
+function extractProviderMessageIds(providerName, data) {
+  try {
+    return getProvider(providerName).extractMessageIds(data);
+  } catch {
+    return [];
+  }
+}
+
+function recordSentMessage(entry) {
+  if (!entry?.provider) return;
+  const messageIds = extractProviderMessageIds(entry.provider, entry.providerResponse);
+  if (!messageIds.length) return;
+
+  const records = loadMessageStatuses();
+  const now = Date.now();
+  for (const [key, rec] of Object.entries(records)) {
+    const createdAt = parseDateMs(rec?.sentAt);
+    if (createdAt && createdAt < now - MESSAGE_STATUS_RETENTION_MS) delete records[key];
+  }
+
+  for (const messageId of messageIds) {
+    records[messageStatusKey(entry.provider, messageId)] = {
+      provider: entry.provider,
+      messageId,
+      outboxId: entry.id,
+      event: entry.event,
+      templateName: entry.message?.templateName || null,
+      language: entry.message?.language || null,
+      to: entry.message?.to || null,
+      sentAt: entry.sentAt || new Date().toISOString(),
+      status: "accepted",
+      statuses: [],
+      error: null,
+    };
+  }
+  saveMessageStatuses(records);
+}
+
+// Messages without a status record (e.g. sent before lifecycle tracking
+// existed) are matched against the providerResponse kept in the outbox. The
+// per-flow logs are not scanned: this runs on the webhook request path.
+function findSentMessageByProviderId(provider, messageId) {
+  const outboxEntry = Object.values(loadOutbox()).find(
+    (e) =>
+      e?.status === "sent" &&
+      e.provider === provider &&
+      extractProviderMessageIds(provider, e.providerResponse).includes(messageId),
+  );
+  if (outboxEntry) {
+    return {
+      outboxId: outboxEntry.id,
+      event: outboxEntry.event,
+      templateName: outboxEntry.message?.templateName || null,
+      language: outboxEntry.message?.language || null,
+      to: outboxEntry.message?.to || null,
+      sentAt: outboxEntry.sentAt || null,
+    };
+  }
+  return null;
+}
+
+function applyMessageStatusUpdate(provider, update) {
+  const records = loadMessageStatuses();
+  const key = messageStatusKey(provider, update.messageId);
+  let rec = records[key];
+
+  if (!rec) {
+    const match = findSentMessageByProviderId(provider, update.messageId);
+    if (!match) {
+      appendJsonlLog(messageStatusLogFile, {
+        event: "message_status",
+        provider,
+        message_id: update.messageId,
+        status: update.status,
+        result: "unmatched",
+      });
+      return null;
+    }
+    rec = {
+      provider,
+      messageId: update.messageId,
+      ...match,
+      status: "accepted",
+      statuses: [],
+      error: null,
+    };
+  }
+
+  const alreadySeen = rec.statuses.some(
+    (s) => s.status === update.status && s.at === update.at,
+  );
+  if (!alreadySeen) {
+    rec.statuses.push({ status: update.status, at: update.at });
+  }
+
+  // Callbacks can arrive out of order; never move back from read to delivered.
+  if (update.status === "failed") {
+    if (rec.status !== "read") {
+      rec.status = "failed";
+      rec.error = update.error || rec.error || null;
+    }
+  } else if (
+    rec.status !== "failed" &&
+    (MESSAGE_STATUS_RANK[update.status] ?? -1) > (MESSAGE_STATUS_RANK[rec.status] ?? -1)
+  ) {
+    rec.status = update.status;
+  }
+  rec[`${update.status}At`] = rec[`${update.status}At`] || update.at;
+  rec.updatedAt = new Date().toISOString();
+
+  records[key] = rec;
+  saveMessageStatuses(records);
+
+  const logEntry = {
+    event: "message_status",
+    provider,
+    message_id: update.messageId,
+    outbox_id: rec.outboxId,
+    message_event: rec.event,
+    template: rec.templateName,
+    status: update.status,
+    current_status: rec.status,
+    error: update.error || null,
+    result: alreadySeen ? "duplicate" : "recorded",
+  };
+  appendJsonlLog(messageStatusLogFile, logEntry);
+  if (!alreadySeen && messageStatusEventLogFiles[rec.event]) {
+    appendJsonlLog(messageStatusEventLogFiles[rec.event], logEntry);
+  }
+  return rec;
+}
+
+// MESSAGING_WEBHOOK_TOKEN (or the older MESSAGE_STATUS_WEBHOOK_TOKEN) is sent
+// as ?token= or X-Webhook-Token (configure it in the provider's callback URL).
+function getMessagingWebhookToken() {
+  return String(
+    process.env.MESSAGING_WEBHOOK_TOKEN || process.env.MESSAGE_STATUS_WEBHOOK_TOKEN || "",
+  ).trim();
+}
+
+// The URL the provider signed (Twilio). Behind a proxy the request's own host
+// and protocol may differ, so PUBLIC_BASE_URL wins when set.
+function getMessagingWebhookUrl(req) {
+  const base = String(process.env.PUBLIC_BASE_URL || "").trim().replace(/\/+$/, "");
+  return `${base || `${req.protocol}://${req.get("host")}`}${req.originalUrl}`;
+}
+
+// A provider that signs its webhooks (Meta with META_APP_SECRET, Twilio with
+// TWILIO_AUTH_TOKEN) must pass that check; the others must carry the shared
+// token. With neither configured every request is refused: these routes can
+// opt customers out, fake receipts and confirm or cancel COD orders.
+// Returns { via: "signature" | "token" } when authenticated, otherwise
+// { status, reason }.
+function authenticateMessagingWebhook(req, provider) {
+  const signed = messagingProviders[provider].verifyWebhookSignature({
+    rawBody: req.rawBody,
+    body: req.body,
+    url: getMessagingWebhookUrl(req),
+    header: (name) => req.get(name) || "",
+  });
+  if (signed === true) return { via: "signature" };
+  if (signed === false) return { status: 401, reason: "invalid_signature" };
+
+  const expected = getMessagingWebhookToken();
+  if (!expected) return { status: 503, reason: "not_configured" };
+  const provided = String(req.query?.token || req.get("X-Webhook-Token") || "").trim();
+  const a = Buffer.from(provided, "utf8");
+  const b = Buffer.from(expected, "utf8");
+  if (a.length === b.length && crypto.timingSafeEqual(a, b)) return { via: "token" };
+  return { status: 401, reason: "invalid_token" };
+}
+
+// Providers such as Meta post status callbacks and customer messages to the
+// same URL, so every messaging webhook route handles both.
+function handleMessagingWebhook(req, res) {
+  const provider = String(req.params.provider || "doubletick").toLowerCase();
+  if (!messagingProviders[provider]) {
+    return res.status(404).send("Unknown provider");
+  }
+  const auth = authenticateMessagingWebhook(req, provider);
+  if (!auth.via) {
+    appendJsonlLog(messageStatusLogFile, {
+      event: "message_status",
+      provider,
+      result: "rejected",
+      reason: auth.reason,
+    });
+    return res
+      .status(auth.status)
+      .send(auth.status === 503 ? "Webhook authentication not configured" : "Unauthorized");
+  }
+
+  let updates = [];
+  let inbound = [];
+  try {
+    updates = messagingProviders[provider].parseStatusCallback(req.body);
+    inbound = messagingProviders[provider].parseInboundMessages(req.body);
+  } catch (err) {
+    console.error("Failed to parse messaging webhook:", err?.message || err);
+  }
+
+  res.status(200).send("OK");
+
+  for (const message of inbound) {
+    handleInboundMessage(provider, message, { authenticatedBy: auth.via }).catch((err) =>
+      appendJsonlLog(inboundMessageLogFile, {
+        event: "inbound_message",
+        provider,
+        message_id: message?.messageId || null,
+        from: message?.from || null,
+        result: "error",
+        error: err?.response?.data || err?.message || String(err),
+      }),
+    );
+  }
+
+  for (const update of updates) {
+    try {
+      applyMessageStatusUpdate(provider, update);
+    } catch (err) {
+      appendJsonlLog(messageStatusLogFile, {
+        event: "message_status",
+        provider,
+        message_id: update?.messageId || null,
+        result: "error",
+        error: err?.message || String(err),
+      });
+    }
+  }
+}
+
+// Meta subscribes a callback URL with a GET challenge.
+function handleMetaWebhookChallenge(req, res) {
+  const expected = getMessagingWebhookToken();
+  if (
+    req.query["hub.mode"] === "subscribe" &&
+    expected &&
+    req.query["hub.verify_token"] === expected
+  ) {
+    return res.status(200).send(String(req.query["hub.challenge"] || ""));
+  }
+  return res.status(403).send("Forbidden");
+}
+
+app.get("/webhook/message-status/meta", handleMetaWebhookChallenge);
+app.get("/webhook/whatsapp-inbound/meta", handleMetaWebhookChallenge);
+app.post("/webhook/message-status/:provider", handleMessagingWebhook);
+app.post("/webhook/doubletick/status", handleMessagingWebhook);
+app.post("/webhook/whatsapp-inbound/:provider", handleMessagingWebhook);
+app.post("/webhook/doubletick/inbound", handleMessagingWebhook);
+
+// --- Shopify Marketing Consent ---
+// SMS / email marketing consent rides along on orders, checkouts and customers.
+// It is stored against every phone we might message for that payload.
+function captureShopifyMarketingConsent(payload, source) {
+  try {
+    const consent = extractShopifyMarketingConsent(payload);
+    if (!consent) return;
+
+    const customer = payload?.customer || payload || {};
+    const phones = new Set(
+      [
+        customer.phone,
+        customer.default_address?.phone,
+        payload?.phone,
+        payload?.shipping_address?.phone,
+        payload?.billing_address?.phone,
+      ]
+        .map(consentPhoneKey)
+        .filter((key) => key && key.length >= 10),
+    );
+
+    for (const phone of phones) {
+      const before = getConsentRecord(phone)?.shopify || null;
+      const after = recordShopifyMarketingConsent(phone, consent, { source })?.shopify;
+      if (
+        after &&
+        (before?.smsMarketing !== after.smsMarketing ||
+          before?.emailMarketing !== after.emailMarketing)
+      ) {
+        appendJsonlLog(consentLogFile, {
+          event: "shopify_marketing_consent",
+          source,
+          phone,
+          sms_marketing: after.smsMarketing,
+          email_marketing: after.emailMarketing,
+          customer_id: after.customerId,
+        });
+      }
+    }
+  } catch (err) {
+    console.error("Failed to record marketing consent:", err?.message || err);
+  }
+}
+
+async function handleCustomersUpdateWebhook(req, res) {
+  res.status(200).send("OK");
+  captureShopifyMarketingConsent(req.body || {}, "customers/update");
+}
+
+app.post("/webhook/customers-update", handleCustomersUpdateWebhook);
+app.post("/webhook/customers/update", handleCustomersUpdateWebhook);
+
+// --- Abandoned Checkout Discount Codes ---
+// Reminder steps with a discount get a single-use, time-limited code created
+// through a Shopify price rule. One code per cart_token is kept in
+// abandoned-checkout-discounts.json. A code lasts until the last discount step
+// has been out for DISCOUNT_CODE_VALID_HOURS, so later steps with the same
+// discount reuse it; a step with a different discount (or a code with less
+// than half its validity left) gets a new one and the old one moves to
+// `previousCodes`. Expired codes that were never used, previous ones
+// included, are deleted from Shopify.
+const DISCOUNT_CODE_VALID_HOURS =
+  Number(process.env.ABANDONED_CHECKOUT_DISCOUNT_VALID_HOURS) || 48;
+const DISCOUNT_CODE_PREFIX = String(
+  process.env.ABANDONED_CHECKOUT_DISCOUNT_PREFIX || "CART",
+)
+  .toUpperCase()
+  .replace(/[^A-Z0-9]/g, "");
+const DISCOUNT_CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+// Cleaned-up records are kept this long so a cart is never issued twice.
+const DISCOUNT_RECORD_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+function loadCheckoutDiscounts() {
+  return loadSet(dataFiles.abandonedCheckoutDiscounts, "map");
+}
+
+function saveCheckoutDiscounts(records) {
+  fs.writeFileSync(
+    dataFiles.abandonedCheckoutDiscounts,
+    JSON.stringify(records || {}, null, 2),
+  );
+}
+
+const DISCOUNT_CODE_VALID_MS = DISCOUNT_CODE_VALID_HOURS * 60 * 60 * 1000;
+
+function getDiscountCodeExpiryMs(step, nowMs) {
+  const lastDiscountStep =
+    [...ABANDONED_CHECKOUT_SEQUENCE].reverse().find((s) => s.discount) || step;
+  return nowMs + Math.max(lastDiscountStep.delayMs - step.delayMs, 0) + DISCOUNT_CODE_VALID_MS;
+}
+
+function isReusableCheckoutDiscount(record, step, nowMs) {
+  return (
+    record?.status === "active" &&
+    record.valueType === step.discount.valueType &&
+    Number(record.value) === Number(step.discount.value) &&
+    parseDateMs(record.expiresAt) > nowMs + DISCOUNT_CODE_VALID_MS / 2
+  );
+}
+
+function generateDiscountCode() {
+  const alphabet = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+  const bytes = crypto.randomBytes(8);
+  const suffix = Array.from(bytes, (b) => alphabet[b % alphabet.length]).join("");
+  return `${DISCOUNT_CODE_PREFIX}-${suffix}`;
+}
+
+function formatDiscountValue(discount) {
+  return discount.valueType === "percentage"
+    ? `${discount.value}%`
+    : formatMoney(discount.value, discount.currency);
+}
+
+function formatDiscountExpiry(expiresAt) {
+  const ms = parseDateMs(expiresAt);
+  if (!ms) return "";
+  return new Date(ms).toLocaleString("en-IN", {
+    day: "numeric",
+    month: "short",
+    hour: "numeric",
+    minute: "2-digit",
+    timeZone: process.env.STORE_TIMEZONE || "Asia/Kolkata",
+  });
+}
+
+async function getOrCreateCheckoutDiscount(checkout, step) {
+  const cartToken = checkout?.cart_token;
+  if (!cartToken) throw new Error("Missing cart_token for discount code");
+
+  const existing = loadCheckoutDiscounts()[cartToken];
+  if (isReusableCheckoutDiscount(existing, step, Date.now())) return existing;
+
+  const lockKey = `checkout_discount:${cartToken}`;
+  if (!lockId(lockKey)) {
+    const err = new Error(`Discount code for ${cartToken} is already being created`);
+    err.code = "DISCOUNT_LOCKED";
+    throw err;
+  }
+
+  try {
+    const code = generateDiscountCode();
+    const startsAt = new Date();
+    const expiresAt = new Date(getDiscountCodeExpiryMs(step, startsAt.getTime()));
+    const customerId = checkout?.customer?.id || null;
+
+    const ruleRes = await client.post({
+      path: "price_rules",
+      data: {
+        price_rule: {
+          title: `Cart recovery ${code}`,
+          target_type: "line_item",
+          target_selection: "all",
+          allocation_method: "across",
+          value_type: step.discount.valueType,
+          value: `-${step.discount.value}`,
+          customer_selection: customerId ? "prerequisite" : "all",
+          ...(customerId && { prerequisite_customer_ids: [customerId] }),
+          usage_limit: 1,
+          once_per_customer: true,
+          starts_at: startsAt.toISOString(),
+          ends_at: expiresAt.toISOString(),
+        },
+      },
+      type: "application/json",
+    });
+    const priceRuleId = ruleRes?.body?.price_rule?.id;
+    if (!priceRuleId) throw new Error("Shopify did not return a price rule id");
+
+    let discountCodeId = null;
+    try {
+      const codeRes = await client.post({
+        path: `price_rules/${priceRuleId}/discount_codes`,
+        data: { discount_code: { code } },
+        type: "application/json",
+      });
+      discountCodeId = codeRes?.body?.discount_code?.id || null;
+    } catch (err) {
+      // Don't leave an orphan price rule behind.
+      await client.delete({ path: `price_rules/${priceRuleId}` }).catch(() => { });
+      throw err;
+    }
+
+    const record = {
+      cartToken,
+      checkoutToken: checkout?.token || null,
+      code,
+      priceRuleId,
+      discountCodeId,
+      valueType: step.discount.valueType,
+      value: step.discount.value,
+      currency: checkout?.currency || "INR",
+      step: step.step,
+      status: "active",
+      createdAt: startsAt.toISOString(),
+      expiresAt: expiresAt.toISOString(),
+    };
+    const records = loadCheckoutDiscounts();
+    const current = records[cartToken];
+    if (current) {
+      const { previousCodes = [], ...previous } = current;
+      record.previousCodes = [...previousCodes, previous];
+    }
+    records[cartToken] = record;
+    saveCheckoutDiscounts(records);
+
+    appendJsonlLog(abandonedCheckoutLogFile, {
+      event: "discount_created",
+      cart_token: cartToken,
+      step: step.step,
+      code,
+      price_rule_id: priceRuleId,
+      value: formatDiscountValue(record),
+      expires_at: record.expiresAt,
+    });
+    return record;
+  } finally {
+    unlockId(lockKey);
+  }
+}
+
+// Deletes `entry`'s price rule once it has expired unused. Returns true when
+// the entry changed. Codes recorded as plain strings (before their price rule
+// ids were kept) are left alone.
+async function cleanupCheckoutDiscountCode(cartToken, entry, now) {
+  if (!entry || typeof entry !== "object" || entry.status !== "active") return false;
+  if ((parseDateMs(entry.expiresAt) || 0) > now) return false;
+
+  try {
+    let usageCount = 0;
+    if (entry.discountCodeId) {
+      const res = await client.get({
+        path: `price_rules/${entry.priceRuleId}/discount_codes/${entry.discountCodeId}`,
+      });
+      usageCount = Number(res?.body?.discount_code?.usage_count) || 0;
+    }
+
+    if (usageCount > 0) {
+      entry.status = "used";
+    } else {
+      await client.delete({ path: `price_rules/${entry.priceRuleId}` });
+      entry.status = "expired";
+    }
+    entry.cleanedUpAt = new Date().toISOString();
+
+    appendJsonlLog(abandonedCheckoutLogFile, {
+      event: "discount_cleanup",
+      cart_token: cartToken,
+      code: entry.code,
+      price_rule_id: entry.priceRuleId,
+      result: entry.status,
+    });
+    return true;
+  } catch (err) {
+    // Already removed in Shopify admin
+    if (err?.response?.code === 404) {
+      entry.status = "expired";
+      entry.cleanedUpAt = new Date().toISOString();
+      return true;
+    }
+    appendJsonlLog(abandonedCheckoutLogFile, {
+      event: "discount_cleanup",
+      cart_token: cartToken,
+      code: entry.code,
+      price_rule_id: entry.priceRuleId,
+      result: "error",
+      error: err?.message || String(err),
+    });
+    return false;
+  }
+}
+
+let __discountCleanupRunning = false;
+async function cleanupExpiredCheckoutDiscounts() {
+  if (__discountCleanupRunning) return;
+  __discountCleanupRunning = true;
+
+  try {
+    const now = Date.now();
+    const records = loadCheckoutDiscounts();
+    let changed = false;
+
+    for (const [cartToken, record] of Object.entries(records)) {
+      const entries = [
+        record,
+        ...(Array.isArray(record?.previousCodes) ? record.previousCodes : []),
+      ];
+      for (const entry of entries) {
+        if (await cleanupCheckoutDiscountCode(cartToken, entry, now)) changed = true;
+      }
+
+      const settled = entries.every((e) => typeof e !== "object" || e?.status !== "active");
+      const expiresAtMs = parseDateMs(record?.expiresAt) || 0;
+      if (settled && expiresAtMs < now - DISCOUNT_RECORD_RETENTION_MS) {
+        delete records[cartToken];
+        changed = true;
+      }
+    }
+
+    if (changed) saveCheckoutDiscounts(records);
+  } finally {
+    __discountCleanupRunning = false;
+  }
+}
+
+function runDiscountCleanup() {
+  cleanupExpiredCheckoutDiscounts().catch((err) =>
+    console.error("Discount cleanup error:", err?.message || err),
+  );
+}
+
+// Run shortly after boot, then hourly.
+setTimeout(runDiscountCleanup, 30 * 1000);
+setInterval(runDiscountCleanup, DISCOUNT_CLEANUP_INTERVAL_MS);
+
+// --- Abandoned Checkout Recovery Attribution ---
+// Every reminder handed to the outbox is recorded per cart_token. When an
+// orders/create webhook carries the same cart_token or checkout_token, the
+// order is credited to the last reminder sent before it was placed.
+function loadCheckoutRecoveries() {
+  return loadSet(dataFiles.abandonedCheckoutRecovery, "map");
+}
+
+function saveCheckoutRecoveries(records) {
+  fs.writeFileSync(
+    dataFiles.abandonedCheckoutRecovery,
+    JSON.stringify(records || {}, null, 2),
+  );
+}
+
+function recordAbandonedCheckoutReminder(checkout, { step, event, discountCode, result, outboxId }) {
+  if (!checkout?.cart_token) return;
+
+  let templateName = null;
+  try {
+    templateName = resolveTemplateName(getTemplateDefinition(event));
+  } catch {}
+
+  const records = loadCheckoutRecoveries();
+  const record = (records[checkout.cart_token] ||= {
+    cartToken: checkout.cart_token,
+    checkoutToken: checkout.token || null,
+    reminders: [],
+    recoveredOrder: null,
+  });
+  record.checkoutToken = checkout.token || record.checkoutToken;
+  record.reminders.push({
+    step,
+    event,
+    templateName,
+    discountCode: discountCode || null,
+    result,
+    outboxId: outboxId || null,
+    sentAt: new Date().toISOString(),
+  });
+  saveCheckoutRecoveries(records);
+}
+
+function attributeRecoveredOrder(order) {
+  const cartToken = order?.cart_token || null;
+  const checkoutToken = order?.checkout_token || null;
+  if (!cartToken && !checkoutToken) return null;
+
+  const records = loadCheckoutRecoveries();
+  const record =
+    (cartToken && records[cartToken]) ||
+    Object.values(records).find(
+      (r) => checkoutToken && r?.checkoutToken === checkoutToken,
+    );
+  if (!record || record.recoveredOrder) return null;
+
+  const orderCreatedMs = parseDateMs(order.created_at) || Date.now();
+  const lastReminder = [...(record.reminders || [])]
+    .filter((r) => {
+      const sentAtMs = parseDateMs(r.sentAt);
+      return sentAtMs && sentAtMs <= orderCreatedMs;
+    })
+    .pop();
+  if (!lastReminder) return null;
+
+  record.recoveredOrder = {
+    orderId: order.id,
+    orderName: order.name || null,
+    totalPrice: Number(order.total_price) || 0,
+    currency: order.currency || null,
+    createdAt: new Date(orderCreatedMs).toISOString(),
+    attributedAt: new Date().toISOString(),
+    matchedBy: cartToken && records[cartToken] === record ? "cart_token" : "checkout_token",
+    step: lastReminder.step,
+    event: lastReminder.event,
+    templateName: lastReminder.templateName,
+    discountCode: lastReminder.discountCode,
+    timeToConvertMs: orderCreatedMs - parseDateMs(lastReminder.sentAt),
+  };
+  saveCheckoutRecoveries(records);
+
+  appendJsonlLog(abandonedCheckoutLogFile, {
+    event: "order_recovered",
+    cart_token: record.cartToken,
+    checkout_token: record.checkoutToken,
+    order_id: order.id,
+    order_name: order.name || null,
+    total_price: record.recoveredOrder.totalPrice,
+    step: lastReminder.step,
+    template_event: lastReminder.event,
+    time_to_convert_ms: record.recoveredOrder.timeToConvertMs,
+  });
+  console.log(
+    `Order ${order.name || order.id} recovered by abandoned checkout step ${lastReminder.step} (cart_token: ${record.cartToken})`,
+  );
+  return record.recoveredOrder;
+}
+
+// --- Cart and Order Line Items ---
+// Context for cart / order templates: itemCount, itemsSummary (cartSummary.js)
+// and items[] for carousel cards, with each line's image resolved from its
+// variant (or the product's first image).
+const DEFAULT_PRODUCT_IMAGE_URL =
+  "https://cdn.shopify.com/s/files/1/0655/1352/1302/files/WhatsApp_Image_2025-05-21_at_21.13.58.jpg";
+
+// `cache` holds one images request per product for the whole cart.
+async function fetchLineItemImageUrl(item, cache = new Map()) {
+  const productId = Number(item?.product_id);
+  if (!productId) return null;
+
+  if (!cache.has(productId)) {
+    cache.set(
+      productId,
+      axios
+        .get(
+          `https://${process.env.SHOPIFY_DOMAIN}/admin/api/2025-04/products/${productId}/images.json`,
+          { headers: { "X-Shopify-Access-Token": process.env.SHOPIFY_ADMIN_TOKEN } },
+        )
+        .then((res) => res.data?.images || [])
+        .catch(() => {
+          console.error(`Failed to fetch product images for product ${productId}`);
+          return [];
+        }),
+    );
+  }
+
+  const images = await cache.get(productId);
+  const variantId = Number(item?.variant_id);
+  const image =
+    images.find((img) => (img.variant_ids || []).includes(variantId)) || images[0];
+  return image?.src ? image.src.split("?")[0] : null;
+}
+
+// Images are only fetched for the lines the event's template shows: the first
+// one for the header, or one per card when its multiItem variant is a carousel.
+async function buildLineItemsContext(lineItems, event) {
+  const lines = (Array.isArray(lineItems) ? lineItems : []).filter(
+    (item) => Number(item?.quantity ?? 1) > 0,
+  );
+  const imageLines = Math.max(1, getTemplateDefinition(event).multiItem?.carousel?.cards || 0);
+  const cache = new Map();
+
+  const items = [];
+  for (const [i, item] of lines.entries()) {
+    items.push({
+      title: item.title || item.name || "",
+      variant: getVariantOptions(item),
+      quantity: String(Number(item.quantity) || 1),
+      price: String(item.price ?? ""),
+      imageUrl:
+        i < imageLines
+          ? (await fetchLineItemImageUrl(item, cache)) || DEFAULT_PRODUCT_IMAGE_URL
+          : "",
+    });
+  }
+
+  const { itemCount, itemsSummary } = summarizeLineItems(lines);
+  return {
+    itemCount: String(itemCount),
+    itemsSummary,
+    items,
+    imageUrl: items[0]?.imageUrl || DEFAULT_PRODUCT_IMAGE_URL,
+  };
+}
+
+// --- Abandoned Checkouts ---
+// Every cart moves through a persisted pipeline in debounced-checkouts.json,
+// so a restart resumes where it left off:
+//   pending   - waiting for the next step's delay (`step` = steps done so far)
+//   verifying - verifyCheckout is looking for an order or payment
+//   queued    - verified as abandoned, waiting for the send queue
+//   sending   - the reminder is being handed to the outbox
+//   sent      - every step of the sequence went out
+//   skipped   - the sequence ended early; `reason` says why
+const ABANDONED_CHECKOUT_FINAL_STATES = ["sent", "skipped"];
+const ABANDONED_CHECKOUT_VERIFY_RETRY_MS = 5 * 60 * 1000;
+const ABANDONED_CHECKOUT_MAX_VERIFY_ATTEMPTS = 12;
+const ABANDONED_CHECKOUT_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+function loadAbandonedCheckouts() {
+  return loadSet(dataFiles.checkouts, "debounced");
+}
+
+function saveAbandonedCheckouts(records) {
+  fs.writeFileSync(dataFiles.checkouts, JSON.stringify(records || {}, null, 2));
+}
+
+// Moves a cart to `state`. With `from`, only records currently in one of
+// those states are changed (returns null otherwise), so a late step can't
+// overwrite a sequence that was stopped meanwhile. `patch` may be a function
+// of the previous record.
+function setAbandonedCheckoutState(cartToken, state, patch = {}, { from = null } = {}) {
+  const records = loadAbandonedCheckouts();
+  const prev = records[cartToken];
+  if (!prev) return null;
+
+  const prevState = prev.state || "pending";
+  if (from && !from.includes(prevState)) return null;
+
+  const next = {
+    ...prev,
+    reason: null,
+    ...(typeof patch === "function" ? patch(prev) : patch),
+    state,
+    stateUpdatedAt: new Date().toISOString(),
+  };
+  records[cartToken] = next;
+  saveAbandonedCheckouts(records);
+
+  if (prevState !== state) {
+    appendJsonlLog(abandonedCheckoutLogFile, {
+      event: "state_changed",
+      cart_token: cartToken,
+      from: prevState,
+      state,
+      reason: next.reason || null,
+      step: Number(next.currentStep) || Number(next.step) || 0,
+    });
+  }
+  return next;
+}
+
+// Puts carts interrupted by a restart back into the pipeline. Verification is
+// simply repeated; sends are re-queued and the outbox idempotency key keeps a
+// step from going out twice.
+function recoverAbandonedCheckoutPipeline() {
+  const records = loadAbandonedCheckouts();
+  for (const [cartToken, record] of Object.entries(records)) {
+    if (record?.state === "verifying") {
+      setAbandonedCheckoutState(cartToken, "pending", { reason: "restarted" });
+    } else if (record?.state === "sending") {
+      setAbandonedCheckoutState(cartToken, "queued", { reason: "restarted" });
+    }
+  }
+  processQueue();
+}
+
+async function runAbandonedCheckoutStep(cartToken, stepNumber) {
+  const record = setAbandonedCheckoutState(
+    cartToken,
+    "verifying",
+    (prev) => ({
+      currentStep: stepNumber,
+      verifyAttempts: (Number(prev.verifyAttempts) || 0) + 1,
+      nextAttemptAtMs: null,
+    }),
+    { from: ["pending"] },
+  );
+  if (!record) return;
+
+  console.log(
+    `Processing cart_token: ${cartToken} (step ${stepNumber}/${ABANDONED_CHECKOUT_SEQUENCE.length})`,
+  );
+  try {
+    await verifyCheckout(record.checkout, { step: stepNumber });
+  } catch (err) {
+    console.error(`Failed to verify cart_token: ${cartToken}:`, err?.message || err);
+  }
+
+  // verifyCheckout either ended the sequence or queued the reminder. Anything
+  // else means Shopify / Razorpay couldn't be checked; try again later.
+  if (loadAbandonedCheckouts()[cartToken]?.state !== "verifying") return;
+
+  if (record.verifyAttempts >= ABANDONED_CHECKOUT_MAX_VERIFY_ATTEMPTS) {
+    setAbandonedCheckoutState(cartToken, "skipped", { reason: "verify_failed" }, {
+      from: ["verifying"],
+    });
+    return;
+  }
+  setAbandonedCheckoutState(
+    cartToken,
+    "pending",
+    {
+      reason: "verify_failed",
+      nextAttemptAtMs: Date.now() + ABANDONED_CHECKOUT_VERIFY_RETRY_MS,
+    },
+    { from: ["verifying"] },
+  );
+}
+
+// Sends queued reminders one at a time, oldest first.
+async function processQueue() {
+  if (isSending) return;
+
+  const next = Object.entries(loadAbandonedCheckouts())
+    .filter(([, record]) => record?.state === "queued")
+    .sort(
+      ([, a], [, b]) => (parseDateMs(a.queuedAt) || 0) - (parseDateMs(b.queuedAt) || 0),
+    )[0];
+  if (!next) return;
+
+  const [cartToken] = next;
+  const record = setAbandonedCheckoutState(cartToken, "sending", {}, { from: ["queued"] });
+  if (!record) return;
+
+  isSending = true;
+  const stepNumber = Number(record.currentStep) || (Number(record.step) || 0) + 1;
+  let outcome = null;
+  try {
+    outcome = await handleAbandonedCheckoutMessage(record.checkout, stepNumber);
+  } catch (err) {
+    console.error("Abandoned checkout message failed", err);
+    outcome = { status: "failed", reason: "send_error" };
+  } finally {
+    completeAbandonedCheckoutStep(cartToken, stepNumber, outcome);
+    isSending = false;
+    setImmediate(processQueue);
+  }
+}
+
+function completeAbandonedCheckoutStep(cartToken, stepNumber, outcome) {
+  if (outcome?.status === "skipped") {
+    setAbandonedCheckoutState(cartToken, "skipped", { reason: outcome.reason }, {
+      from: ["sending"],
+    });
+    return;
+  }
+
+  // A failed send still uses up the step; the outbox keeps the dead entry.
+  const isLastStep = stepNumber >= ABANDONED_CHECKOUT_SEQUENCE.length;
+  setAbandonedCheckoutState(
+    cartToken,
+    isLastStep ? "sent" : "pending",
+    {
+      step: stepNumber,
+      currentStep: null,
+      verifyAttempts: 0,
+      nextAttemptAtMs: null,
+      lastStepAt: new Date().toISOString(),
+      reason: outcome?.status === "failed" ? outcome.reason : null,
+    },
+    { from: ["sending"] },
+  );
+}
+
+// Ends the reminder sequence for a checkout that turned into an order or a
+// captured payment, and drops its reminders still waiting in the outbox.
+function stopAbandonedCheckoutSequence({ cartToken, checkoutToken }, reason, details = {}) {
+  if (!cartToken && !checkoutToken) return;
+
+  const stoppedTokens = Object.entries(loadAbandonedCheckouts())
+    .filter(
+      ([token, data]) =>
+        ((cartToken && token === cartToken) ||
+          (checkoutToken && data?.checkout?.token === checkoutToken)) &&
+        !ABANDONED_CHECKOUT_FINAL_STATES.includes(data?.state),
+    )
+    .map(([token]) => token);
+  for (const token of stoppedTokens) {
+    setAbandonedCheckoutState(token, "skipped", { reason, stoppedBy: details });
+  }
+
+  const tokens = new Set([cartToken, ...stoppedTokens].filter(Boolean));
+  const outbox = loadOutbox();
+  const skippedOutboxIds = [];
+  for (const entry of Object.values(outbox)) {
+    const key = String(entry?.idempotency?.key || "");
+    if (
+      entry?.idempotency?.store === "abandonedCheckoutSteps" &&
+      tokens.has(key.slice(0, key.lastIndexOf(":"))) &&
+      ["pending", "retrying", "deferred"].includes(entry.status)
+    ) {
+      entry.status = "skipped";
+      entry.reason = reason;
+      entry.updatedAt = new Date().toISOString();
+      skippedOutboxIds.push(entry.id);
+    }
+  }
+  if (skippedOutboxIds.length) saveOutbox(outbox);
+
+  if (stoppedTokens.length || skippedOutboxIds.length) {
+    console.log(
+      `Abandoned checkout sequence stopped for cart_token: ${cartToken || stoppedTokens[0]} (${reason})`,
+    );
+    appendJsonlLog(abandonedCheckoutLogFile, {
+      event: "sequence_stopped",
+      cart_token: cartToken || stoppedTokens[0] || null,
+      checkout_token: checkoutToken || null,
+      reason,
+      skipped_outbox_ids: skippedOutboxIds,
+      ...details,
+    });
+  }
+}
+
+async function handleAbandonedCheckoutMessage(checkout, stepNumber = 1) {
+  const step =
+    ABANDONED_CHECKOUT_SEQUENCE[stepNumber - 1] || ABANDONED_CHECKOUT_SEQUENCE[0];
+  let event = step.event;
+
+  if (
+    !checkout.email &&
+    !checkout?.phone &&
+    !checkout.shipping_address?.phone &&
+    !checkout.billing_address?.phone
+  ) {
+    console.log(
+      "Skipping incomplete checkout for sending message (missing contact info)",
+    );
+    return { status: "skipped", reason: "missing_contact_info" };
+  }
+
+  const name =
+    checkout.shipping_address?.first_name ||
+    checkout.billing_address?.first_name ||
+    "Customer";
+  const amount = checkout.total_price || "0";
+
+  const recipient = resolveRecipient({ checkout });
+  if (!recipient.to) {
+    console.log(
+      `Skipping abandoned checkout message for cart_token: ${checkout.cart_token} (no valid phone)`,
+    );
+    return { status: "skipped", reason: "no_valid_phone" };
+  }
+
+  // The outbox checks consent and duplicates at send time; check them here
+  // too so a cart that won't get this step never gets a Shopify code.
+  const idempotency = {
+    store: "abandonedCheckoutSteps",
+    key: `${checkout.cart_token}:${step.step}`,
+  };
+  const consent = checkConsent(recipient.to, getEventCategory(event));
+  if (!consent.allowed) {
+    appendJsonlLog(abandonedCheckoutLogFile, {
+      event: "reminder_sent",
+      cart_token: checkout.cart_token,
+      step: step.step,
+      to: recipient.to,
+      result: "suppressed",
+      reason: consent.reason,
+    });
+    return { status: "skipped", reason: consent.reason };
+  }
+  if (
+    idempotencyStores.abandonedCheckoutSteps.has(idempotency.key) ||
+    findActiveOutboxEntry(loadOutbox(), idempotency)
+  ) {
+    return { status: "sent", reason: "already_notified" };
+  }
+
+  // Without a code the discount template can't be filled, so the step falls
+  // back to the plain reminder.
+  let discount = null;
+  if (step.discount) {
+    try {
+      discount = await getOrCreateCheckoutDiscount(checkout, step);
+    } catch (err) {
+      console.error(
+        `Failed to create discount code for cart_token: ${checkout.cart_token}:`,
+        err?.response?.body || err?.message || err,
+      );
+      event = "abandoned_checkout";
+    }
+  }
+
+  const lineItems = await buildLineItemsContext(checkout.line_items, event);
+
+  const logBase = {
+    cart_token: checkout.cart_token,
+    checkout_token: checkout.token || null,
+    step: step.step,
+    template_event: event,
+    to: recipient.to,
+    recipient_source: recipient.source,
+    discount_code: discount?.code || null,
+  };
+
+  try {
+    const response = await sendEventMessage(event, {
+      to: recipient.to,
+      recipientSource: recipient.source,
+      context: {
+        name,
+        amount,
+        cartToken: checkout.cart_token,
+        ...lineItems,
+        discountCode: discount?.code || "",
+        discountValue: discount ? formatDiscountValue(discount) : "",
+        discountExpiresAt: discount ? formatDiscountExpiry(discount.expiresAt) : "",
+      },
+      checkout,
+      idempotency,
+    });
+    appendJsonlLog(abandonedCheckoutLogFile, {
+      event: "reminder_sent",
+      ...logBase,
+      result: "sent",
+      outbox_id: response?.outboxId || null,
+    });
+    recordAbandonedCheckoutReminder(checkout, {
+      step: step.step,
+      event,
+      discountCode: discount?.code,
+      result: "sent",
+      outboxId: response?.outboxId,
+    });
+    console.log(
+      `Abandoned checkout message (step ${step.step}) sent for cart_token: ${checkout.cart_token}.  Response: ${response.data}`,
+    );
+    console.log(
+      `Abandoned checkout message sent to ${name} (${recipient.to}, from ${recipient.source})`,
+    );
+    return { status: "sent" };
+  } catch (err) {
+    appendJsonlLog(abandonedCheckoutLogFile, {
+      event: "reminder_sent",
+      ...logBase,
+      result: sendErrorResult(err),
+      outbox_id: err?.outboxId || null,
+      error: err?.message || String(err),
+    });
+    console.error(
+      "Abandoned checkout message error: ",
+      describeSendError(err),
+    );
+    console.log(
+      `Abandoned checkout message cannot be sent to ${name} (${recipient.to})`,
+    );
+    if (err.response) {
+      console.error("Response data:", err.response.data);
+      console.error("Response status:", err.response.status);
+    }
+
+    // A consent block ends the sequence. Retries, quiet-hours deferrals and
+    // steps already in the outbox count as sent; the outbox delivers them.
+    if (err?.code === "NO_CONSENT") return { status: "skipped", reason: err.reason };
+    if (
+      ["OUTBOX_RETRY_SCHEDULED", "OUTBOX_DEFERRED", "OUTBOX_ALREADY_QUEUED", "ALREADY_NOTIFIED"]
+        .includes(err?.code)
+    ) {
+      // Already-queued / already-notified steps were recorded when first sent
+      if (["OUTBOX_RETRY_SCHEDULED", "OUTBOX_DEFERRED"].includes(err.code)) {
+        recordAbandonedCheckoutReminder(checkout, {
+          step: step.step,
+          event,
+          discountCode: discount?.code,
+          result: sendErrorResult(err),
+          outboxId: err.outboxId,
+        });
+      }
+      return { status: "sent", reason: sendErrorResult(err) };
+    }
+    return { status: "failed", reason: "send_failed" };
+  }
+}
+
+// Finds the order a checkout turned into with targeted Shopify order searches,
+// so a checkout converted hours ago on a busy day is still found. Rules run in
+// order and the first match wins; its name is recorded as `matched_by`:
+//   cart_token      order created from this cart
+//   checkout_token  order created from this checkout
+//   phone_and_total order by a customer with the checkout's phone and the same total
+//   order_phone_and_total order whose own / shipping / billing phone is the
+//                   checkout's, with the same total (guest orders have no customer)
+//   email_and_total order with the checkout's email and the same total
+// The phone / email rules only look at orders created since an hour before
+// the checkout.
+const CONVERSION_LOOKBACK_MS = 60 * 60 * 1000;
+
+const CONVERSION_ORDER_FIELDS = `
+  legacyResourceId
+  name
+  createdAt
+  totalPriceSet { shopMoney { amount } }
+`;
+
+async function searchShopifyOrders(search) {
+  const resp = await gqlClient.query({
+    data: {
+      query: `query ($search: String!) {
+        orders(first: 10, query: $search, sortKey: CREATED_AT, reverse: true) {
+          nodes { ${CONVERSION_ORDER_FIELDS} }
+        }
+      }`,
+      variables: { search },
+    },
+  });
+  return resp?.body?.data?.orders?.nodes || [];
+}
+
+async function searchShopifyOrdersByCustomerPhone(phone, ordersSearch) {
+  const resp = await gqlClient.query({
+    data: {
+      query: `query ($search: String!, $ordersSearch: String!) {
+        customers(first: 5, query: $search) {
+          nodes {
+            orders(first: 10, query: $ordersSearch, sortKey: CREATED_AT, reverse: true) {
+              nodes { ${CONVERSION_ORDER_FIELDS} }
+            }
+          }
+        }
+      }`,
+      variables: { search: `phone:${JSON.stringify(phone)}`, ordersSearch },
+    },
+  });
+  return (resp?.body?.data?.customers?.nodes || []).flatMap((c) => c.orders?.nodes || []);
+}
+
+// Order search can't filter on address phones, so compare them on the
+// orders created since `since`, shaped like the GraphQL results.
+async function findRecentOrdersByOrderPhone(phone, since, { countryCode } = {}) {
+  const res = await client.get({
+    path: "orders",
+    query: {
+      status: "any",
+      limit: 250,
+      created_at_min: since,
+      fields: "id,name,created_at,total_price,phone,shipping_address,billing_address",
+    },
+  });
+  return (res.body.orders || [])
+    .filter((o) =>
+      [o.phone, o.shipping_address?.phone, o.billing_address?.phone].some((p) =>
+        isSamePhoneNumber(p, phone, { countryCode }),
+      ),
+    )
+    .map((o) => ({
+      legacyResourceId: o.id,
+      name: o.name,
+      createdAt: o.created_at,
+      totalPriceSet: { shopMoney: { amount: o.total_price } },
+    }));
+}
+
+// Returns { order: { id, name, createdAt }, matchedBy } or null.
+async function findConvertedOrder(checkout) {
+  const since = new Date(
+    (parseDateMs(checkout.created_at) || parseDateMs(checkout.updated_at) || Date.now()) -
+      CONVERSION_LOOKBACK_MS,
+  ).toISOString();
+  const sinceSearch = `created_at:>=${JSON.stringify(since)}`;
+  const total = Number(checkout.total_price);
+  const sameTotal = (o) => Number(o.totalPriceSet?.shopMoney?.amount) === total;
+  const countryCode =
+    checkout?.shipping_address?.country_code ||
+    checkout?.billing_address?.country_code ||
+    "IN";
+  const phone = normalizePhoneE164(
+    checkout?.shipping_address?.phone || checkout?.billing_address?.phone || checkout?.phone,
+    { countryCode },
+  );
+
+  const rules = [
+    checkout.cart_token && {
+      matchedBy: "cart_token",
+      find: async () =>
+        (await searchShopifyOrders(`cart_token:${JSON.stringify(checkout.cart_token)}`))[0],
+    },
+    checkout.token && {
+      matchedBy: "checkout_token",
+      find: async () =>
+        (await searchShopifyOrders(`checkout_token:${JSON.stringify(checkout.token)}`))[0],
+    },
+    phone && {
+      matchedBy: "phone_and_total",
+      find: async () =>
+        (await searchShopifyOrdersByCustomerPhone(phone, sinceSearch)).find(sameTotal),
+    },
+    phone && {
+      matchedBy: "order_phone_and_total",
+      find: async () =>
+        (await findRecentOrdersByOrderPhone(phone, since, { countryCode })).find(sameTotal),
+    },
+    checkout.email && {
+      matchedBy: "email_and_total",
+      find: async () =>
+        (
+          await searchShopifyOrders(`email:${JSON.stringify(checkout.email)} ${sinceSearch}`)
+        ).find(sameTotal),
+    },
+  ].filter(Boolean);
+
+  for (const rule of rules) {
+    const found = await rule.find();
+    if (found) {
+      return {
+        order: { id: Number(found.legacyResourceId), name: found.name, createdAt: found.createdAt },
+        matchedBy: rule.matchedBy,
+      };
+    }
+  }
+  return null;
+}
+
+// Runs before every reminder step. Any sign that the checkout was completed
+// (order with the same cart/checkout token, a matching order, or a captured
+// Razorpay payment) ends the sequence; otherwise reminder `step` is queued.
+async function verifyCheckout(checkout, { step = 1 } = {}) {
+  if (!checkout) {
+    console.log("No checkout token provided. Skipping payment fetch.");
+    return;
+  }
+
+  if (!razorpayClient) {
+    console.log("Razorpay client not initialized. Skipping payment fetch.");
+    return;
+  }
+
+  if (
+    !checkout?.email &&
+    !checkout?.phone &&
+    !checkout?.shipping_address?.phone &&
+    !checkout?.billing_address?.phone
+  ) {
+    console.log("Skipping incomplete checkout (missing contact info)");
+    return;
+  }
+
+  try {
+    const match = await findConvertedOrder(checkout);
+    if (match) {
+      console.log(
+        `Checkout ${checkout.cart_token} converted to order ${match.order.name} (${match.matchedBy}). Skipping payment verification.`,
+      );
+      stopAbandonedCheckoutSequence(
+        { cartToken: checkout.cart_token, checkoutToken: checkout.token },
+        ["cart_token", "checkout_token"].includes(match.matchedBy)
+          ? "order_created"
+          : "matching_order",
+        { order_id: match.order.id, matched_by: match.matchedBy },
+      );
+      return;
+    }
+    console.log(
+      `Checkout ${checkout.cart_token} seems abandoned. Proceeding with payment verification.`,
+    );
+  } catch (err) {
+    // Without the order search a paid customer could get a reminder; leave
+    // the cart in "verifying" so runAbandonedCheckoutStep retries it.
+    console.error(
+      "Failed to search orders:",
+      err?.response?.body || err?.response?.data || err?.message,
+    );
+    return;
+  }
+
+  try {
+    const processedPayments = loadSet(dataFiles.payments, "set");
+
+    // Later steps run a day or more after the checkout, so look back to the
+    // checkout's last update rather than only the last two hours.
+    const currentTimestamp = Math.floor(Date.now() / 1000);
+    const checkoutUpdatedAt = Math.floor(
+      (parseDateMs(checkout.updated_at) || Date.now()) / 1000,
+    );
+    const windowStart = Math.min(
+      currentTimestamp - MINUTES_FOR_PAYMENT_CHECK * 60,
+      checkoutUpdatedAt,
+    );
+
+    const checkoutPhone = resolveRecipient({ checkout }).to;
+    const recentPayments = isRazorpayWebhookIndexEnabled()
+      ? {
+        items: findIndexedPayments({
+          cartToken: checkout.cart_token,
+          contact: checkoutPhone,
+          from: windowStart,
+          to: currentTimestamp,
+        }),
+      }
+      : await razorpayClient.fetchPaymentsInRange({
+        from: windowStart,
+        to: currentTimestamp,
+      });
+    if (!recentPayments || !recentPayments.items) {
+      console.log("No recent payments found.");
+    } else {
+      const totalCheckoutPrice = Number(checkout.total_price);
+
+      const matchingPayments = recentPayments.items
+        .filter((payment) => {
+          if (payment.status !== "captured") return false;
+          if (!payment?.notes?.cancelUrl) return false;
+
+          const perfectAmount = payment.amount / 100;
+
+          const matchesPhoneAndAmount =
+            isSamePhoneNumber(payment?.contact, checkoutPhone) &&
+            perfectAmount === totalCheckoutPrice;
+
+          const matchesCartToken = payment.notes.cancelUrl.includes(
+            checkout?.cart_token,
+          );
+
+          const isWithinTimeRange =
+            payment.created_at >= windowStart &&
+            payment.created_at <= currentTimestamp;
+
+          return (
+            (matchesPhoneAndAmount || matchesCartToken) && isWithinTimeRange
+          );
+        })
+        .sort((a, b) => b.created_at - a.created_at);
+
+      const capturedPayment = matchingPayments[0];
+
+      if (!capturedPayment) {
+        // A failed or unfinished payment for this cart gets a payment link
+        // instead of the regular reminder.
+        const unpaidPayment = recentPayments.items.find(
+          (payment) =>
+            ["failed", "created"].includes(payment.status) &&
+            String(payment?.notes?.cancelUrl || "").includes(checkout.cart_token),
+        );
+        if (
+          unpaidPayment &&
+          schedulePaymentRecovery(checkout.cart_token, {
+            reason: unpaidPayment.status === "failed" ? "payment_failed" : "payment_abandoned",
+            paymentId: unpaidPayment.id,
+          })
+        ) {
+          return;
+        }
+
+        console.log(
+          `No captured payments found for checkout ${checkout.cart_token}. Proceeding with message queueing.`,
+        );
+        enqueueAbandonedCheckout(checkout, "no_captured_payment", step);
+        return;
+      }
+
+      stopAbandonedCheckoutSequence(
+        { cartToken: checkout.cart_token, checkoutToken: checkout.token },
+        "payment_captured",
+        { payment_id: capturedPayment.id },
+      );
+
+      if (processedPayments.has(capturedPayment.id)) {
+        console.log(`Payment ${capturedPayment.id} already processed. Skipping.`);
+        return;
+      }
+
+      console.log(
+        `Captured payment found for checkout ${checkout.cart_token}:`,
+        capturedPayment.contact,
+        capturedPayment.id,
+        new Date(capturedPayment.created_at * 1000).toLocaleString(),
+      );
+
+      // No order is created here; staff approve it from the reconciliation queue.
+      proposePaymentReconciliation(checkout, capturedPayment, {
+        matchedBy: capturedPayment.notes.cancelUrl.includes(checkout.cart_token)
+          ? "cart_token"
+          : "phone_and_amount",
+        source: "verify_checkout",
+      });
+    }
+  } catch (error) {
+    console.error("Error fetching payments");
+  }
+}
+
+setInterval(() => {
+  const checkouts = loadAbandonedCheckouts();
+  const now = Date.now();
+
+  if (Object.keys(checkouts).length === 0) return;
+
+  const expired = [];
+  const due = [];
+
+  for (const [cart_token, data] of Object.entries(checkouts)) {
+    const state = data.state || "pending";
+
+    // Finished carts are kept for a while so a late checkouts/update webhook
+    // doesn't start the sequence again.
+    if (ABANDONED_CHECKOUT_FINAL_STATES.includes(state)) {
+      const finishedAt = parseDateMs(data.stateUpdatedAt) || data.updatedAt || 0;
+      if (finishedAt < now - ABANDONED_CHECKOUT_RETENTION_MS) expired.push(cart_token);
+      continue;
+    }
+    if (state !== "pending") continue;
+    if (Number(data.nextAttemptAtMs) > now) continue;
+
+    const stepIndex = Number(data.step) || 0;
+    const step = ABANDONED_CHECKOUT_SEQUENCE[stepIndex];
+    if (!step) {
+      // Sequence was shortened since this cart started.
+      setAbandonedCheckoutState(cart_token, "sent", {});
+      continue;
+    }
+
+    const timeSinceUpdate = now - data.updatedAt;
+
+    if (timeSinceUpdate >= step.delayMs) {
+      const checkout = data.checkout;
+
+      const shipping = checkout.shipping_address || {};
+      const email = checkout.email || "";
+      const rawPhone =
+        shipping?.phone ||
+        checkout?.billing_address?.phone ||
+        checkout.phone ||
+        "";
+      const hasValidPhone = rawPhone.replace(/\D/g, "").length >= 10;
+
+      const hasContactInfo = hasValidPhone || email;
+
+      // Abandoned-cart reminders are marketing: hold the checkout (and its
+      // payment/order verification) until the recipient's quiet hours end.
+      if (hasValidPhone) {
+        if (Number(data.quietHoursUntilMs) > now) continue;
+        const quietHours = getQuietHoursDeferral({
+          phone: rawPhone,
+          countryCode:
+            shipping?.country_code || checkout?.billing_address?.country_code,
+          category: getEventCategory("abandoned_checkout"),
+          nowMs: now,
+        });
+        if (quietHours) {
+          console.log(
+            `Quiet hours for cart_token: ${cart_token}; deferring until ${quietHours.until} (${quietHours.timeZone})`,
+          );
+          setAbandonedCheckoutState(cart_token, "pending", {
+            reason: "quiet_hours",
+            quietHoursUntilMs: quietHours.untilMs,
+          });
+          continue;
+        }
+      }
+
+      if (!hasContactInfo) {
+        console.log(`Still missing info for: ${cart_token}`);
+        setAbandonedCheckoutState(cart_token, "skipped", {
+          reason: "missing_contact_info",
+        });
+        continue;
+      }
+
+      due.push([cart_token, step.step]);
+    }
+  }
+
+  if (expired.length) {
+    const records = loadAbandonedCheckouts();
+    for (const token of expired) delete records[token];
+    saveAbandonedCheckouts(records);
+  }
+
+  for (const [cartToken, stepNumber] of due) {
+    runAbandonedCheckoutStep(cartToken, stepNumber);
+  }
+}, CHECK_INTERVAL);
+
+app.post("/webhook/abandoned-checkouts", async (req, res) => {
+  res.status(200).send("OK");
+
+  const checkout = req.body;
+  const cart_token = checkout?.cart_token;
+
+  if (!cart_token) return;
+
+  captureShopifyMarketingConsent(checkout, "checkouts/update");
+
+  const checkouts = loadSet(dataFiles.checkouts, "debounced");
+
+  saveSet(
+    dataFiles.checkouts,
+    checkouts,
+    { cart_token, checkout },
+    "debounced",
+  );
+});
+
+// --- Razorpay Payment Webhooks ---
+// payment.captured / payment.failed are stored in razorpay-payments.json as
+// they arrive, indexed by cart token (from notes.cancelUrl) and by contact.
+// With RAZORPAY_WEBHOOK_SECRET set, verifyCheckout and the orphan-payment
+// scan read this index instead of listing payments from the Razorpay API.
+const RAZORPAY_PAYMENT_INDEX_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+function isRazorpayWebhookIndexEnabled() {
+  return Boolean(process.env.RAZORPAY_WEBHOOK_SECRET);
+}
+
+function loadRazorpayPaymentIndex() {
+  const data = loadSet(dataFiles.razorpayPayments, "map");
+  return {
+    payments: data.payments || {},
+    byCartToken: data.byCartToken || {},
+    byContact: data.byContact || {},
+  };
+}
+
+function saveRazorpayPaymentIndex(index) {
+  fs.writeFileSync(dataFiles.razorpayPayments, JSON.stringify(index, null, 2));
+}
+
+// Shopify checkout URLs carry the cart token as a path segment
+// (".../checkouts/cn/<token>/..." or ".../cart/c/<token>"). Anything else is
+// matched against the carts we already know about.
+function extractCartTokenFromCancelUrl(cancelUrl) {
+  const url = String(cancelUrl || "");
+  if (!url) return null;
+  const m = url.match(/\/(?:checkouts\/(?:cn|c|co)|cart\/c)\/([A-Za-z0-9_-]+)/);
+  if (m) return m[1];
+  return (
+    Object.keys(loadAbandonedCheckouts()).find((token) => token && url.includes(token)) ||
+    null
+  );
+}
+
+function indexRazorpayPayment(entity, event) {
+  const index = loadRazorpayPaymentIndex();
+  const prev = index.payments[entity.id] || {};
+
+  // Webhooks can arrive out of order; a failure never replaces a capture.
+  if (prev.status === "captured" && entity.status !== "captured") {
+    return prev;
+  }
+
+  const cartToken =
+    extractCartTokenFromCancelUrl(entity.notes?.cancelUrl) ||
+    entity.notes?.cart_token ||
+    prev.cartToken ||
+    null;
+  const contact = normalizePhoneE164(entity.contact) || prev.contact || null;
+
+  const record = {
+    ...prev,
+    id: entity.id,
+    status: entity.status,
+    amount: entity.amount,
+    currency: entity.currency || "INR",
+    method: entity.method || null,
+    order_id: entity.order_id || null,
+    contact,
+    email: entity.email || prev.email || null,
+    notes: entity.notes || prev.notes || {},
+    created_at: entity.created_at,
+    error_code: entity.error_code || null,
+    error_description: entity.error_description || null,
+    cartToken,
+    lastEvent: event,
+    receivedAt: new Date().toISOString(),
+  };
+  index.payments[entity.id] = record;
+
+  const addTo = (map, key) => {
+    if (!key) return;
+    const ids = (map[key] ||= []);
+    if (!ids.includes(entity.id)) ids.push(entity.id);
+  };
+  addTo(index.byCartToken, cartToken);
+  addTo(index.byContact, contact);
+
+  // Drop payments past retention and their index entries
+  const cutoffSec = (Date.now() - RAZORPAY_PAYMENT_INDEX_RETENTION_MS) / 1000;
+  for (const [id, payment] of Object.entries(index.payments)) {
+    if (Number(payment.created_at) < cutoffSec) delete index.payments[id];
+  }
+  for (const map of [index.byCartToken, index.byContact]) {
+    for (const [key, ids] of Object.entries(map)) {
+      const kept = ids.filter((id) => index.payments[id]);
+      if (kept.length) map[key] = kept;
+      else delete map[key];
+    }
+  }
+
+  saveRazorpayPaymentIndex(index);
+  return record;
+}
+
+// Indexed payments for a cart and/or contact, created between `from` and `to`
+// (unix seconds). Without a cart token or contact, every payment in range.
+function findIndexedPayments({ cartToken, contact, from, to } = {}) {
+  const index = loadRazorpayPaymentIndex();
+  const normalizedContact = normalizePhoneE164(contact);
+
+  let ids;
+  if (cartToken || normalizedContact) {
+    ids = new Set([
+      ...(index.byCartToken[cartToken] || []),
+      ...(index.byContact[normalizedContact] || []),
+    ]);
+  } else {
+    ids = new Set(Object.keys(index.payments));
+  }
+
+  return [...ids]
+    .map((id) => index.payments[id])
+    .filter(Boolean)
+    .filter((p) => (!from || p.created_at >= from) && (!to || p.created_at <= to));
+}
+
+async function handleRazorpayPaymentWebhook(req, res) {
+  const body = req.body || {};
+  const event = String(body.event || "");
+
+  if (!verifyRazorpayWebhookSignature(req)) {
+    appendJsonlLog(razorpayWebhookLogFile, {
+      event,
+      result: "rejected",
+      reason: process.env.RAZORPAY_WEBHOOK_SECRET ? "invalid_signature" : "missing_secret",
+      razorpay_event_id: req.get("X-Razorpay-Event-Id") || null,
+    });
+    return res.status(401).send("Invalid webhook signature");
+  }
+
+  res.status(200).send("OK");
+
+  if (!["payment.captured", "payment.failed", "payment_link.paid"].includes(event)) {
+    appendJsonlLog(razorpayWebhookLogFile, { event, result: "ignored", reason: "unsupported_event" });
+    return;
+  }
+
+  const entity = body.payload?.payment?.entity;
+  if (!entity?.id) {
+    appendJsonlLog(razorpayWebhookLogFile, { event, result: "ignored", reason: "missing_payment" });
+    return;
+  }
+
+  try {
+    const record = indexRazorpayPayment(entity, event);
+    appendJsonlLog(razorpayWebhookLogFile, {
+      event,
+      result: "indexed",
+      payment_id: record.id,
+      status: record.status,
+      cart_token: record.cartToken,
+      contact: record.contact,
+      amount: Number(record.amount) / 100,
+      razorpay_event_id: req.get("X-Razorpay-Event-Id") || null,
+    });
+
+    if (record.status === "captured" && record.cartToken) {
+      stopAbandonedCheckoutSequence(
+        { cartToken: record.cartToken },
+        "payment_captured",
+        { payment_id: record.id },
+      );
+    }
+    if (record.status === "captured") {
+      await handlePaymentRecoveryCapture(record, body.payload?.payment_link?.entity);
+      await handleCodPrepaidCapture(record, body.payload?.payment_link?.entity);
+    }
+    if (event === "payment.failed" && record.status === "failed" && record.cartToken) {
+      schedulePaymentRecovery(record.cartToken, {
+        reason: "payment_failed",
+        paymentId: record.id,
+      });
+    }
+  } catch (err) {
+    console.error("Failed to index Razorpay payment:", err?.message || err);
+    appendJsonlLog(razorpayWebhookLogFile, {
+      event,
+      result: "error",
+      payment_id: entity.id,
+      error: err?.message || String(err),
+    });
+  }
+}
+
+app.post("/webhook/razorpay", handleRazorpayPaymentWebhook);
+
+// --- Payment Reconciliation ---
+// Razorpay payments that were captured but never became a Shopify order are
+// not turned into orders automatically. Each one is proposed in
+// payment-reconciliation.json (status "proposed") and waits for staff to
+// approve or dismiss it through /admin/payment-reconciliation.
+// processed-payments.json and a persistent lock per payment make sure an
+// approved payment creates at most one order.
+
+function loadReconciliations() {
+  return loadSet(dataFiles.paymentReconciliation, "map");
+}
+
+function saveReconciliations(records) {
+  fs.writeFileSync(
+    dataFiles.paymentReconciliation,
+    JSON.stringify(records || {}, null, 2),
+  );
+}
+
+function findCheckoutForPayment(payment, checkouts = loadAbandonedCheckouts()) {
+  // Payments from the webhook index already carry their cart token
+  if (payment?.cartToken && checkouts[payment.cartToken]) {
+    return checkouts[payment.cartToken].checkout || null;
+  }
+  const cancelUrl = String(payment?.notes?.cancelUrl || "");
+  if (!cancelUrl) return null;
+  const match = Object.entries(checkouts).find(
+    ([cartToken]) => cartToken && cancelUrl.includes(cartToken),
+  );
+  return match?.[1]?.checkout || null;
+}
+
+// An order for the same cart or checkout, or one whose note names the payment
+// (orders created by createOrderFromPayment do).
+async function findShopifyOrderForPayment(payment, checkout) {
+  const createdAtMin = new Date(
+    (Number(payment.created_at) || Date.now() / 1000) * 1000 - 24 * 60 * 60 * 1000,
+  ).toISOString();
+  const res = await client.get({
+    path: "orders",
+    query: {
+      status: "any",
+      limit: 250,
+      created_at_min: createdAtMin,
+      fields: "id,name,cart_token,checkout_token,note,financial_status,total_price,currency",
+    },
+  });
+  return (
+    (res.body.orders || []).find(
+      (o) =>
+        (checkout?.cart_token && o.cart_token === checkout.cart_token) ||
+        (checkout?.token && o.checkout_token === checkout.token) ||
+        String(o.note || "").includes(payment.id),
+    ) || null
+  );
+}
+
+function summarizeReconciliation(record) {
+  const { checkout, ...rest } = record;
+  return {
+    ...rest,
+    lineItems: (checkout?.line_items || []).map((item) => ({
+      variantId: item.variant_id,
+      title: item.title,
+      quantity: item.quantity || 1,
+      price: item.price,
+    })),
+    checkoutTotal: Number(checkout?.total_price) || null,
+  };
+}
+
+function proposePaymentReconciliation(checkout, payment, { matchedBy, source } = {}) {
+  if (loadSet(dataFiles.payments, "set").has(payment.id)) return null;
+
+  const records = loadReconciliations();
+  if (records[payment.id]) return records[payment.id];
+
+  const amount = Number(payment.amount) / 100;
+  records[payment.id] = {
+    paymentId: payment.id,
+    status: "proposed",
+    amount,
+    currency: payment.currency || "INR",
+    amountMatches: amount === Number(checkout.total_price),
+    contact: payment.contact || null,
+    email: payment.email || checkout.email || null,
+    paymentCreatedAt: new Date(Number(payment.created_at) * 1000).toISOString(),
+    cartToken: checkout.cart_token || null,
+    checkoutToken: checkout.token || null,
+    matchedBy: matchedBy || null,
+    source: source || null,
+    proposedAt: new Date().toISOString(),
+    checkout,
+  };
+  saveReconciliations(records);
+
+  appendJsonlLog(paymentReconciliationLogFile, {
+    event: "proposed",
+    payment_id: payment.id,
+    cart_token: checkout.cart_token || null,
+    amount,
+    matched_by: matchedBy || null,
+    source: source || null,
+  });
+  console.log(
+    `Payment ${payment.id} has no Shopify order; proposed for reconciliation (cart_token: ${checkout.cart_token})`,
+  );
+  return records[payment.id];
+}
+
+// For each line item, the first active location (RECONCILIATION_LOCATION_ID
+// first, then Shopify's order) that has enough stock; when none has, the one
+// with the most. Untracked variants are listed but not adjusted.
+async function planInventoryDeduction(lineItems) {
+  const preferredId = Number(process.env.RECONCILIATION_LOCATION_ID) || null;
+  const locationRes = await client.get({ path: "locations" });
+  const locations = (locationRes.body.locations || [])
+    .filter((l) => l.active !== false)
+    .sort((a, b) => (b.id === preferredId) - (a.id === preferredId));
+
+  const plan = [];
+  for (const item of lineItems || []) {
+    const entry = {
+      variantId: item.variant_id || null,
+      title: item.title || null,
+      quantity: Number(item.quantity) || 1,
+      inventoryItemId: null,
+      locationId: null,
+      locationName: null,
+      available: null,
+      shortfall: 0,
+      skipReason: null,
+    };
+    plan.push(entry);
+
+    if (!entry.variantId) {
+      entry.skipReason = "no_variant";
+      continue;
+    }
+
+    try {
+      const variantRes = await client.get({ path: `variants/${entry.variantId}` });
+      const variant = variantRes.body.variant;
+      if (!variant?.inventory_item_id || variant.inventory_management !== "shopify") {
+        entry.skipReason = "not_tracked";
+        continue;
+      }
+      entry.inventoryItemId = variant.inventory_item_id;
+
+      const levelsRes = await client.get({
+        path: "inventory_levels",
+        query: {
+          inventory_item_ids: variant.inventory_item_id,
+          location_ids: locations.map((l) => l.id).join(","),
+        },
+      });
+      const levels = levelsRes.body.inventory_levels || [];
+      const availableAt = (locationId) =>
+        Number(levels.find((l) => l.location_id === locationId)?.available) || 0;
+      const stocked = locations.filter((l) =>
+        levels.some((level) => level.location_id === l.id),
+      );
+      const location =
+        stocked.find((l) => availableAt(l.id) >= entry.quantity) ||
+        [...stocked].sort((a, b) => availableAt(b.id) - availableAt(a.id))[0];
+
+      if (!location) {
+        entry.skipReason = "not_stocked";
+        continue;
+      }
+      entry.locationId = location.id;
+      entry.locationName = location.name || null;
+      entry.available = availableAt(location.id);
+      entry.shortfall = Math.max(0, entry.quantity - entry.available);
+    } catch (err) {
+      entry.skipReason = "lookup_failed";
+      entry.error = err?.response?.body || err?.message || String(err);
+    }
+  }
+  return plan;
+}
+
+async function applyInventoryPlan(plan) {
+  const results = [];
+  for (const entry of plan) {
+    if (!entry.locationId || !entry.inventoryItemId) {
+      results.push({ ...entry, adjusted: false });
+      continue;
+    }
+    try {
+      await client.post({
+        path: "inventory_levels/adjust",
+        data: {
+          location_id: entry.locationId,
+          inventory_item_id: entry.inventoryItemId,
+          available_adjustment: -entry.quantity,
+        },
+        type: "application/json",
+      });
+      results.push({ ...entry, adjusted: true });
+    } catch (err) {
+      console.error(
+        `Error adjusting inventory for variant ${entry.variantId} at location ${entry.locationId}:`,
+        err?.response?.body || err?.message,
+      );
+      results.push({
+        ...entry,
+        adjusted: false,
+        error: err?.response?.body || err?.message || String(err),
+      });
+    }
+  }
+  return results;
+}
+
+// Creates a paid Shopify order for a captured Razorpay payment and returns
+// it. Inventory is left alone (Shopify's default "bypass"); the caller
+// deducts it per location with applyInventoryPlan().
+async function createOrderFromPayment(checkout, payment) {
+  if (!checkout) {
+    throw new Error("No checkout provided for order creation");
+  }
+  if (!payment || !payment.id) {
+    throw new Error("No payment ID provided for order creation");
+  }
+
+  const formattedPhone =
+    resolveRecipient({ checkout }).to || normalizePhoneE164(payment.contact) || "";
 
   let customerId = null;
 
   try {
-    let res = await client.get({
-      path: "customers/search",
-      query: { phone: `${formattedPhone}` },
-    });
+    let res = await client.get({
+      path: "customers/search",
+      query: { phone: `${formattedPhone}` },
+    });
+
+    if (res.body.customers?.length > 0) {
+      customerId = res.body.customers?.[0]?.id || null;
+      console.log("✅ Found customer by phone:", customerId);
+    } else if (checkout.email) {
+      console.log(
+        "ℹ️ No customer found by phone. Trying by email:",
+        checkout.email,
+      );
+
+      res = await client.get({
+        path: "customers/search",
+        query: { email: `${checkout.email}` },
+      });
+
+      if (res.body.customers?.length > 0) {
+        customerId = res.body.customers?.[0]?.id || null;
+        console.log("✅ Found customer by email:", customerId);
+      } else {
+        console.log("❌ No existing customer found by phone or email.");
+      }
+    }
+  } catch (error) {
+    console.error(
+      "Error fetching customer:",
+      error.response?.body || error.message,
+    );
+    throw error;
+  }
+
+  let customerData = null;
+
+  if (checkout.customer) {
+    customerData = checkout.customer;
+  } else if (customerId) {
+    customerData = { id: customerId };
+  } else {
+    customerData = {
+      first_name:
+        checkout.shipping_address?.first_name ||
+        checkout.billing_address?.first_name ||
+        "Guest",
+      last_name:
+        checkout.shipping_address?.last_name ||
+        checkout.billing_address?.last_name ||
+        "",
+      email: checkout.email,
+      phone: formattedPhone,
+    };
+  }
+
+  const includeEmail = !customerId && checkout.email;
+
+  const orderPayload = {
+    order: {
+      ...(includeEmail && { email: checkout.email }),
+      phone: formattedPhone || undefined,
+
+      currency: checkout.currency || "INR",
+
+      customer: customerData,
+
+      billing_address: {
+        first_name: checkout.billing_address?.first_name || "",
+        last_name: checkout.billing_address?.last_name || "",
+        address1: checkout.billing_address?.address1 || "",
+        address2: checkout.billing_address?.address2 || "",
+        city: checkout.billing_address?.city || "",
+        province: checkout.billing_address?.province || "",
+        country: checkout.billing_address?.country || "",
+        zip: checkout.billing_address?.zip || "",
+        phone: checkout.billing_address?.phone || "",
+      },
+
+      shipping_address: {
+        first_name: checkout.shipping_address?.first_name || "",
+        last_name: checkout.shipping_address?.last_name || "",
+        address1: checkout.shipping_address?.address1 || "",
+        address2: checkout.shipping_address?.address2 || "",
+        city: checkout.shipping_address?.city || "",
+        province: checkout.shipping_address?.province || "",
+        country: checkout.shipping_address?.country || "",
+        zip: checkout.shipping_address?.zip || "",
+        phone: checkout.shipping_address?.phone || "",
+      },
+
+      line_items: (checkout.line_items || []).map((item) => ({
+        variant_id: item.variant_id,
+        quantity: item.quantity || 1,
+        title: item.title || undefined,
+        price: parseFloat(item.price || 0).toFixed(2),
+      })),
+
+      shipping_lines: [
+        {
+          title: checkout.shipping_lines?.[0]?.title || "Standard",
+          price: parseFloat(
+            checkout.shipping_lines?.[0]?.price ||
+            checkout.shipping_lines?.[0]?.original_shop_price ||
+            0,
+          ).toFixed(2),
+          code: checkout.shipping_lines?.[0]?.code || "Standard",
+          source: "shopify",
+        },
+      ],
+
+      tax_lines: (checkout.tax_lines || []).map((t) => ({
+        price: parseFloat(t.price || 0).toFixed(2),
+        rate: t.rate,
+        title: t.title,
+      })),
+
+      total_tax: parseFloat(checkout.total_tax || 0).toFixed(2),
+      total_discounts: parseFloat(checkout.total_discounts || 0).toFixed(2),
+
+      financial_status: "paid",
+
+      transactions: [
+        {
+          kind: "sale",
+          status: "success",
+          amount: parseFloat(checkout.total_price || 0).toFixed(2),
+          gateway: "razorpay",
+          authorization: payment.id,
+        },
+      ],
+
+      note: `Auto-created after Razorpay capture (${payment.id}) | cart_token: ${checkout.cart_token} | checkout_token: ${checkout.token}`,
+      tags: "ManualOrder, RazorpayPaid",
+    },
+  };
+
+  const orderResponse = await client.post({
+    path: "orders",
+    data: orderPayload,
+    type: "application/json",
+  });
+
+  console.log(
+    "✅ Order created from captured payment:",
+    orderResponse.body.order.id,
+  );
+  return orderResponse.body.order;
+}
+
+// Creates the order for a captured payment and deducts inventory. The payment
+// is added to processed-payments.json before inventory is touched, so nothing
+// after the order exists can lead to a second one. Callers hold the
+// "reconcile:<paymentId>" lock.
+async function createOrderWithInventory(checkout, payment) {
+  const plan = await planInventoryDeduction(checkout.line_items);
+  const order = await createOrderFromPayment(checkout, payment);
+  saveSet(dataFiles.payments, loadSet(dataFiles.payments, "set"), payment.id);
+  const inventory = await applyInventoryPlan(plan);
+  return { order, inventory };
+}
+
+// Looks at captured payments of the last `hours` and reports what would
+// happen to each. With `record`, payments that need an order are proposed.
+async function scanOrphanPayments({ hours = 24, record = false } = {}) {
+  const to = Math.floor(Date.now() / 1000);
+  const from = to - Math.round(hours * 60 * 60);
+  const response = isRazorpayWebhookIndexEnabled()
+    ? { items: findIndexedPayments({ from, to }) }
+    : await razorpayClient.fetchPaymentsInRange({ from, to });
+
+  const processedPayments = loadSet(dataFiles.payments, "set");
+  const queue = loadReconciliations();
+  const checkouts = loadAbandonedCheckouts();
+  const results = [];
+
+  for (const payment of response?.items || []) {
+    if (payment.status !== "captured") continue;
+
+    const result = {
+      paymentId: payment.id,
+      amount: Number(payment.amount) / 100,
+      contact: payment.contact || null,
+      createdAt: new Date(Number(payment.created_at) * 1000).toISOString(),
+      cartToken: null,
+      decision: null,
+    };
+    results.push(result);
+
+    if (processedPayments.has(payment.id)) {
+      result.decision = "already_processed";
+      continue;
+    }
+    if (queue[payment.id]) {
+      result.decision = `queued_${queue[payment.id].status}`;
+      continue;
+    }
+
+    const checkout = findCheckoutForPayment(payment, checkouts);
+    if (!checkout) {
+      result.decision = "no_checkout";
+      continue;
+    }
+    result.cartToken = checkout.cart_token;
+
+    try {
+      const order = await findShopifyOrderForPayment(payment, checkout);
+      if (order) {
+        result.decision = "order_exists";
+        result.orderId = order.id;
+        result.orderName = order.name || null;
+        continue;
+      }
+    } catch (err) {
+      result.decision = "order_lookup_failed";
+      result.error = err?.response?.body || err?.message || String(err);
+      continue;
+    }
+
+    result.decision = "propose";
+    result.amountMatches = result.amount === Number(checkout.total_price);
+    result.lineItems = summarizeReconciliation({ checkout }).lineItems;
+    try {
+      result.inventoryPlan = await planInventoryDeduction(checkout.line_items);
+    } catch (err) {
+      result.inventoryPlan = null;
+      result.inventoryError = err?.response?.body || err?.message || String(err);
+    }
+
+    if (record) {
+      proposePaymentReconciliation(checkout, payment, {
+        matchedBy: "cart_token",
+        source: "scan",
+      });
+    }
+  }
+
+  return { from: new Date(from * 1000).toISOString(), to: new Date(to * 1000).toISOString(), payments: results };
+}
+
+async function approvePaymentReconciliation(paymentId, { approvedBy, note } = {}) {
+  const lockKey = `reconcile:${paymentId}`;
+  if (!lockId(lockKey)) {
+    return { paymentId, result: "ignored", reason: "locked" };
+  }
+
+  const update = (patch) => {
+    const records = loadReconciliations();
+    records[paymentId] = { ...records[paymentId], ...patch };
+    saveReconciliations(records);
+    return records[paymentId];
+  };
+
+  try {
+    const record = loadReconciliations()[paymentId];
+    if (!record) return { paymentId, result: "not_found" };
+    if (!["proposed", "failed"].includes(record.status)) {
+      return { paymentId, result: "ignored", reason: `status_${record.status}` };
+    }
+
+    const processedPayments = loadSet(dataFiles.payments, "set");
+    if (processedPayments.has(paymentId)) {
+      update({ status: "dismissed", dismissReason: "already_processed", decidedAt: new Date().toISOString() });
+      return { paymentId, result: "ignored", reason: "already_processed" };
+    }
+
+    const payment = await razorpayClient.fetchPayment(paymentId);
+    if (payment?.status !== "captured") {
+      return { paymentId, result: "ignored", reason: `payment_${payment?.status || "unknown"}` };
+    }
+
+    const existing = await findShopifyOrderForPayment(payment, record.checkout);
+    if (existing) {
+      update({
+        status: "dismissed",
+        dismissReason: "order_exists",
+        orderId: existing.id,
+        orderName: existing.name || null,
+        decidedAt: new Date().toISOString(),
+      });
+      saveSet(dataFiles.payments, processedPayments, paymentId);
+      return { paymentId, result: "ignored", reason: "order_exists", orderId: existing.id };
+    }
+
+    update({ status: "creating", decidedBy: approvedBy || null, decisionNote: note || null });
+    const { order, inventory } = await createOrderWithInventory(record.checkout, payment);
+
+    const saved = update({
+      status: "created",
+      orderId: order.id,
+      orderName: order.name || null,
+      inventory,
+      error: null,
+      decidedAt: new Date().toISOString(),
+    });
+    appendJsonlLog(paymentReconciliationLogFile, {
+      event: "approved",
+      payment_id: paymentId,
+      order_id: order.id,
+      approved_by: approvedBy || null,
+      inventory_adjusted: inventory.filter((i) => i.adjusted).length,
+      inventory_skipped: inventory.filter((i) => !i.adjusted).length,
+    });
+    stopAbandonedCheckoutSequence(
+      { cartToken: record.cartToken, checkoutToken: record.checkoutToken },
+      "order_created",
+      { order_id: order.id },
+    );
+    return { paymentId, result: "created", orderId: order.id, inventory: saved.inventory };
+  } catch (err) {
+    const error = err?.response?.body || err?.message || String(err);
+    // Only a payment that never reached processed-payments.json can be retried.
+    if (!loadSet(dataFiles.payments, "set").has(paymentId)) {
+      update({ status: "failed", error });
+    }
+    appendJsonlLog(paymentReconciliationLogFile, {
+      event: "approve_failed",
+      payment_id: paymentId,
+      error,
+    });
+    console.error(`Reconciliation of payment ${paymentId} failed:`, error);
+    return { paymentId, result: "error", error };
+  } finally {
+    unlockId(lockKey);
+  }
+}
+
+function dismissPaymentReconciliation(paymentId, { dismissedBy, reason } = {}) {
+  const records = loadReconciliations();
+  const record = records[paymentId];
+  if (!record) return { paymentId, result: "not_found" };
+  if (!["proposed", "failed"].includes(record.status)) {
+    return { paymentId, result: "ignored", reason: `status_${record.status}` };
+  }
+
+  records[paymentId] = {
+    ...record,
+    status: "dismissed",
+    dismissReason: reason || "dismissed_by_staff",
+    decidedBy: dismissedBy || null,
+    decidedAt: new Date().toISOString(),
+  };
+  saveReconciliations(records);
+  appendJsonlLog(paymentReconciliationLogFile, {
+    event: "dismissed",
+    payment_id: paymentId,
+    dismissed_by: dismissedBy || null,
+    reason: reason || null,
+  });
+  return { paymentId, result: "dismissed" };
+}
+
+// --- Payment Failed Recovery ---
+// When a Razorpay payment for a cart fails (payment.failed webhook) or is left
+// unfinished (found by verifyCheckout), a Razorpay payment link for the
+// checkout total is created and sent with the payment_recovery template,
+// replacing the cart's abandoned checkout reminders. When the link is paid,
+// the cart's Shopify order is marked paid, or created if there is none.
+// Off unless PAYMENT_RECOVERY_ENABLED=true.
+//
+// Record status: scheduled -> link_sent -> paid | order_created,
+// or cancelled (already paid / no phone / send failed) and expired.
+const PAYMENT_RECOVERY_DELAY_MS =
+  (Number(process.env.PAYMENT_RECOVERY_DELAY_MINUTES) || 15) * 60 * 1000;
+const PAYMENT_RECOVERY_LINK_VALID_HOURS =
+  Number(process.env.PAYMENT_RECOVERY_LINK_VALID_HOURS) || 24;
+
+function isPaymentRecoveryEnabled() {
+  return String(process.env.PAYMENT_RECOVERY_ENABLED || "").toLowerCase() === "true";
+}
+
+function loadPaymentRecoveries() {
+  return loadSet(dataFiles.paymentRecoveries, "map");
+}
+
+function savePaymentRecoveries(records) {
+  fs.writeFileSync(
+    dataFiles.paymentRecoveries,
+    JSON.stringify(records || {}, null, 2),
+  );
+}
+
+function updatePaymentRecovery(cartToken, patch) {
+  const records = loadPaymentRecoveries();
+  if (!records[cartToken]) return null;
+  records[cartToken] = {
+    ...records[cartToken],
+    ...patch,
+    updatedAt: new Date().toISOString(),
+  };
+  savePaymentRecoveries(records);
+  return records[cartToken];
+}
+
+// Returns the cart's active recovery (new or existing), or null when there is
+// none to run. One recovery per cart.
+function schedulePaymentRecovery(cartToken, { reason, paymentId } = {}) {
+  if (!isPaymentRecoveryEnabled() || !cartToken) return null;
+
+  const records = loadPaymentRecoveries();
+  const existing = records[cartToken];
+  if (existing) {
+    return ["scheduled", "link_sent"].includes(existing.status) ? existing : null;
+  }
+
+  const checkout = loadAbandonedCheckouts()[cartToken]?.checkout;
+  if (!checkout || !(Number(checkout.total_price) > 0)) return null;
+
+  records[cartToken] = {
+    cartToken,
+    checkoutToken: checkout.token || null,
+    status: "scheduled",
+    reason,
+    failedPaymentId: paymentId || null,
+    amount: Number(checkout.total_price),
+    currency: checkout.currency || "INR",
+    dueAtMs: Date.now() + PAYMENT_RECOVERY_DELAY_MS,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+  };
+  savePaymentRecoveries(records);
+
+  stopAbandonedCheckoutSequence(
+    { cartToken, checkoutToken: checkout.token },
+    "payment_recovery",
+    { payment_id: paymentId || null },
+  );
+  appendJsonlLog(paymentRecoveryLogFile, {
+    event: "scheduled",
+    cart_token: cartToken,
+    reason,
+    payment_id: paymentId || null,
+  });
+  console.log(`Payment recovery scheduled for cart_token: ${cartToken} (${reason})`);
+  return records[cartToken];
+}
+
+async function sendPaymentRecovery(cartToken) {
+  const lockKey = `payment_recovery:${cartToken}`;
+  if (!lockId(lockKey)) return;
+
+  try {
+    const record = loadPaymentRecoveries()[cartToken];
+    if (record?.status !== "scheduled") return;
+    const checkout = loadAbandonedCheckouts()[cartToken]?.checkout;
+    if (!checkout) {
+      updatePaymentRecovery(cartToken, { status: "cancelled", cancelReason: "checkout_missing" });
+      return;
+    }
 
-    if (res.body.customers?.length > 0) {
-      customerId = res.body.customers?.[0]?.id || null;
-      console.log("✅ Found customer by phone:", customerId);
-    } else if (checkout.email) {
-      console.log(
-        "ℹ️ No customer found by phone. Trying by email:",
-        checkout.email,
+    // The customer may have paid another way in the meantime
+    const paid = isRazorpayWebhookIndexEnabled()
+      ? findIndexedPayments({ cartToken }).find((p) => p.status === "captured")
+      : null;
+    const order = paid
+      ? null
+      : await findShopifyOrderForPayment(
+        { id: record.failedPaymentId || cartToken, created_at: parseDateMs(record.createdAt) / 1000 },
+        checkout,
       );
-
-      res = await client.get({
-        path: "customers/search",
-        query: { email: `${checkout.email}` },
+    if (paid || order) {
+      updatePaymentRecovery(cartToken, {
+        status: "cancelled",
+        cancelReason: "already_paid",
+        paymentId: paid?.id || null,
+        orderId: order?.id || null,
+      });
+      appendJsonlLog(paymentRecoveryLogFile, {
+        event: "cancelled",
+        cart_token: cartToken,
+        reason: "already_paid",
       });
+      return;
+    }
 
-      if (res.body.customers?.length > 0) {
-        customerId = res.body.customers?.[0]?.id || null;
-        console.log("✅ Found customer by email:", customerId);
-      } else {
-        console.log("❌ No existing customer found by phone or email.");
+    const recipient = resolveRecipient({ checkout });
+    if (!recipient.to) {
+      updatePaymentRecovery(cartToken, { status: "cancelled", cancelReason: "no_valid_phone" });
+      return;
+    }
+
+    const expireBy = Math.floor(Date.now() / 1000) + PAYMENT_RECOVERY_LINK_VALID_HOURS * 60 * 60;
+    const link = await razorpayClient.createPaymentLink({
+      amount: Math.round(record.amount * 100),
+      currency: record.currency,
+      description: `Order payment for cart ${cartToken.slice(0, 12)}`,
+      reference_id: `rec_${cartToken}`.slice(0, 40),
+      expire_by: expireBy,
+      customer: {
+        name: recipient.name,
+        contact: recipient.to,
+        ...(checkout.email && { email: checkout.email }),
+      },
+      notify: { sms: false, email: false },
+      reminder_enable: false,
+      notes: {
+        cart_token: cartToken,
+        checkout_token: checkout.token || "",
+        purpose: "payment_recovery",
+      },
+    });
+    updatePaymentRecovery(cartToken, {
+      status: "link_sent",
+      linkId: link.id,
+      linkUrl: link.short_url,
+      expireBy,
+      to: recipient.to,
+    });
+
+    let result = "sent";
+    try {
+      await sendEventMessage("payment_recovery", {
+        to: recipient.to,
+        recipientSource: recipient.source,
+        context: {
+          name: recipient.name,
+          amount: String(record.amount),
+          cartToken,
+          paymentLinkUrl: link.short_url,
+          expiresAt: formatDiscountExpiry(new Date(expireBy * 1000).toISOString()),
+        },
+        checkout,
+        idempotency: { store: "paymentRecoveries", key: cartToken },
+      });
+    } catch (err) {
+      result = sendErrorResult(err);
+      console.error("Payment recovery message error:", describeSendError(err));
+      // Retries and quiet-hours deferrals are delivered by the outbox
+      if (!["queued_for_retry", "deferred", "ignored"].includes(result)) {
+        await razorpayClient.cancelPaymentLink(link.id).catch(() => { });
+        updatePaymentRecovery(cartToken, {
+          status: "cancelled",
+          cancelReason: result === "suppressed" ? "no_consent" : "send_failed",
+        });
       }
     }
-  } catch (error) {
+
+    appendJsonlLog(paymentRecoveryLogFile, {
+      event: "link_sent",
+      cart_token: cartToken,
+      link_id: link.id,
+      amount: record.amount,
+      to: recipient.to,
+      result,
+    });
+  } catch (err) {
     console.error(
-      "Error fetching customer:",
-      error.response?.data || error.message,
+      `Payment recovery for cart_token ${cartToken} failed:`,
+      err?.error?.description || err?.message || err,
     );
-    return;
+    appendJsonlLog(paymentRecoveryLogFile, {
+      event: "error",
+      cart_token: cartToken,
+      error: err?.error?.description || err?.message || String(err),
+    });
+  } finally {
+    unlockId(lockKey);
   }
+}
 
-  let customerData = null;
-
-  if (checkout.customer) {
-    customerData = checkout.customer;
-  } else if (customerId) {
-    customerData = { id: customerId };
-  } else {
-    customerData = {
-      first_name:
-        checkout.shipping_address?.first_name ||
-        checkout.billing_address?.first_name ||
-        "Guest",
-      last_name:
-        checkout.shipping_address?.last_name ||
-        checkout.billing_address?.last_name ||
-        "",
-      email: checkout.email,
-      phone: formattedPhone,
-    };
+// A link message still waiting in the outbox (retry, quiet hours) is no
+// longer needed once the cart is paid.
+function skipQueuedPaymentRecoveryMessage(cartToken, reason) {
+  const outbox = loadOutbox();
+  let changed = false;
+  for (const entry of Object.values(outbox)) {
+    if (
+      entry?.idempotency?.store === "paymentRecoveries" &&
+      entry.idempotency.key === cartToken &&
+      ["pending", "retrying", "deferred"].includes(entry.status)
+    ) {
+      entry.status = "skipped";
+      entry.reason = reason;
+      entry.updatedAt = new Date().toISOString();
+      changed = true;
+    }
   }
+  if (changed) saveOutbox(outbox);
+}
 
-  const includeEmail = !customerId && checkout.email;
+// Pays off the cart: marks its Shopify order paid, or creates the order.
+async function handlePaymentRecoveryCapture(payment, paymentLink = null) {
+  const records = loadPaymentRecoveries();
+  const record =
+    Object.values(records).find((r) => paymentLink?.id && r.linkId === paymentLink.id) ||
+    (payment.notes?.purpose === "payment_recovery" && records[payment.notes.cart_token]) ||
+    null;
+  if (!record || !["link_sent", "expired"].includes(record.status)) return;
 
-  const orderPayload = {
-    order: {
-      ...(includeEmail && { email: checkout.email }),
-      phone:
-        checkout.phone ||
-        checkout.shipping_address?.phone ||
-        checkout.billing_address?.phone ||
-        undefined,
+  const cartToken = record.cartToken;
+  const lockKey = `reconcile:${payment.id}`;
+  if (!lockId(lockKey)) return;
 
-      currency: checkout.currency || "INR",
+  try {
+    if (loadSet(dataFiles.payments, "set").has(payment.id)) return;
+    const checkout = loadAbandonedCheckouts()[cartToken]?.checkout;
+    if (!checkout) {
+      updatePaymentRecovery(cartToken, { status: "paid", paymentId: payment.id, error: "checkout_missing" });
+      return;
+    }
 
-      customer: customerData,
+    const existing = await findShopifyOrderForPayment(payment, checkout);
+    if (existing) {
+      if (existing.financial_status !== "paid") {
+        await recordShopifyPaymentTransaction(existing, payment);
+      }
+      saveSet(dataFiles.payments, loadSet(dataFiles.payments, "set"), payment.id);
+      updatePaymentRecovery(cartToken, { status: "paid", paymentId: payment.id, orderId: existing.id });
+      skipQueuedPaymentRecoveryMessage(cartToken, "paid");
+      appendJsonlLog(paymentRecoveryLogFile, {
+        event: "paid",
+        cart_token: cartToken,
+        payment_id: payment.id,
+        order_id: existing.id,
+        marked_paid: existing.financial_status !== "paid",
+      });
+      return;
+    }
 
-      billing_address: {
-        first_name: checkout.billing_address?.first_name || "",
-        last_name: checkout.billing_address?.last_name || "",
-        address1: checkout.billing_address?.address1 || "",
-        address2: checkout.billing_address?.address2 || "",
-        city: checkout.billing_address?.city || "",
-        province: checkout.billing_address?.province || "",
-        country: checkout.billing_address?.country || "",
-        zip: checkout.billing_address?.zip || "",
-        phone: checkout.billing_address?.phone || "",
-      },
+    const { order, inventory } = await createOrderWithInventory(checkout, payment);
+    updatePaymentRecovery(cartToken, {
+      status: "order_created",
+      paymentId: payment.id,
+      orderId: order.id,
+      inventory,
+    });
+    skipQueuedPaymentRecoveryMessage(cartToken, "paid");
+    appendJsonlLog(paymentRecoveryLogFile, {
+      event: "order_created",
+      cart_token: cartToken,
+      payment_id: payment.id,
+      order_id: order.id,
+    });
+  } catch (err) {
+    const error = err?.response?.body || err?.message || String(err);
+    console.error(`Payment recovery capture for cart_token ${cartToken} failed:`, error);
+    updatePaymentRecovery(cartToken, { paymentId: payment.id, error });
+    appendJsonlLog(paymentRecoveryLogFile, {
+      event: "error",
+      cart_token: cartToken,
+      payment_id: payment.id,
+      error,
+    });
+  } finally {
+    unlockId(lockKey);
+  }
+}
 
-      shipping_address: {
-        first_name: checkout.shipping_address?.first_name || "",
-        last_name: checkout.shipping_address?.last_name || "",
-        address1: checkout.shipping_address?.address1 || "",
-        address2: checkout.shipping_address?.address2 || "",
-        city: checkout.shipping_address?.city || "",
-        province: checkout.shipping_address?.province || "",
-        country: checkout.shipping_address?.country || "",
-        zip: checkout.shipping_address?.zip || "",
-        phone: checkout.shipping_address?.phone || "",
+// Records a captured Razorpay payment against an unpaid Shopify order, which
+// moves it to "paid".
+async function recordShopifyPaymentTransaction(order, payment) {
+  return client.post({
+    path: `orders/${order.id}/transactions`,
+    data: {
+      transaction: {
+        kind: "capture",
+        status: "success",
+        amount: (Number(payment.amount) / 100).toFixed(2),
+        currency: payment.currency || order.currency || "INR",
+        gateway: "razorpay",
+        authorization: payment.id,
       },
+    },
+    type: "application/json",
+  });
+}
 
-      line_items: (checkout.line_items || []).map((item) => ({
-        variant_id: item.variant_id,
-        quantity: item.quantity || 1,
-        title: item.title || undefined,
-        price: parseFloat(item.price || 0).toFixed(2),
-      })),
+let __paymentRecoveryRunning = false;
+async function processPaymentRecoveries() {
+  if (__paymentRecoveryRunning || !isPaymentRecoveryEnabled()) return;
+  __paymentRecoveryRunning = true;
 
-      shipping_lines: [
-        {
-          title: checkout?.shipping_lines[0]?.title || "Standard",
-          price: parseFloat(
-            checkout.shipping_lines[0]?.price ||
-            checkout?.shipping_lines[0]?.original_shop_price ||
-            0,
-          ).toFixed(2),
-          code: checkout.shipping_lines[0]?.code || "Standard",
-          source: "shopify",
-        },
-      ],
+  try {
+    const now = Date.now();
+    for (const record of Object.values(loadPaymentRecoveries())) {
+      if (record.status === "scheduled" && record.dueAtMs <= now) {
+        await sendPaymentRecovery(record.cartToken);
+      } else if (record.status === "link_sent" && record.expireBy * 1000 < now) {
+        updatePaymentRecovery(record.cartToken, { status: "expired" });
+      }
+    }
+  } finally {
+    __paymentRecoveryRunning = false;
+  }
+}
 
-      tax_lines: (checkout.tax_lines || []).map((t) => ({
-        price: parseFloat(t.price || 0).toFixed(2),
-        rate: t.rate,
-        title: t.title,
-      })),
+setInterval(() => {
+  processPaymentRecoveries().catch((err) =>
+    console.error("Payment recovery worker error:", err?.message || err),
+  );
+}, CHECK_INTERVAL);
 
-      total_tax: parseFloat(checkout.total_tax || 0).toFixed(2),
-      total_discounts: parseFloat(checkout.total_discounts || 0).toFixed(2),
+// --- COD to Prepaid Offer ---
+// Cash-on-delivery orders (payment_gateway_names) can get a follow-up offering
+// a prepaid discount with a Razorpay payment link. When the link is paid, the
+// discount is applied to the Shopify order with an order edit, the payment is
+// recorded as a transaction, the COD tag is swapped for a prepaid one and the
+// customer gets a confirmation. Off unless COD_PREPAID_OFFER_ENABLED=true.
+//
+// Record status: scheduled -> link_sent -> paid, or cancelled / expired.
+// A paid link whose order couldn't be fetched waits in capture_pending (then
+// capture_failed); payments on a cancelled or already-paid offer go to
+// `refundDue`.
+const COD_PREPAID_DELAY_MS =
+  (Number(process.env.COD_PREPAID_OFFER_DELAY_MINUTES) || 10) * 60 * 1000;
+const COD_PREPAID_LINK_VALID_HOURS =
+  Number(process.env.COD_PREPAID_LINK_VALID_HOURS) || 24;
+// A paid link whose order can't be fetched is retried once per worker tick.
+const COD_PREPAID_CAPTURE_MAX_ATTEMPTS = 60;
+
+function isCodPrepaidOfferEnabled() {
+  return String(process.env.COD_PREPAID_OFFER_ENABLED || "").toLowerCase() === "true";
+}
 
-      financial_status: "paid",
+// "5%" or a fixed amount like "50", as in ABANDONED_CHECKOUT_SEQUENCE
+function getCodPrepaidDiscount() {
+  const m = String(process.env.COD_PREPAID_DISCOUNT || "5%").trim().match(/^(\d+(?:\.\d+)?)(%)?$/);
+  if (!m || !(Number(m[1]) > 0)) return null;
+  return { valueType: m[2] ? "percentage" : "fixed_amount", value: Number(m[1]) };
+}
 
-      transactions: [
-        {
-          kind: "sale",
-          status: "success",
-          amount: parseFloat(checkout.total_price || 0).toFixed(2),
-          gateway: "razorpay",
-          authorization: payment.id,
-        },
-      ],
+function parseTagList(value) {
+  return String(value || "")
+    .split(",")
+    .map((t) => t.trim())
+    .filter(Boolean);
+}
 
-      note: `Auto-created after Razorpay capture (${payment.id}) | cart_token: ${checkout.cart_token} | checkout_token: ${checkout.token}`,
-      tags: "ManualOrder, RazorpayPaid",
-    },
+function isCashOnDeliveryOrder(order) {
+  const gateways = [
+    ...(Array.isArray(order?.payment_gateway_names) ? order.payment_gateway_names : []),
+    order?.gateway,
+  ].filter(Boolean);
+  return gateways.some((g) => /cash on delivery|\bcod\b/i.test(String(g)));
+}
+
+function loadCodPrepaidOffers() {
+  return loadSet(dataFiles.codPrepaidOffers, "map");
+}
+
+function saveCodPrepaidOffers(records) {
+  fs.writeFileSync(dataFiles.codPrepaidOffers, JSON.stringify(records || {}, null, 2));
+}
+
+function updateCodPrepaidOffer(orderId, patch) {
+  const records = loadCodPrepaidOffers();
+  const key = String(orderId);
+  if (!records[key]) return null;
+  records[key] = { ...records[key], ...patch, updatedAt: new Date().toISOString() };
+  saveCodPrepaidOffers(records);
+  return records[key];
+}
+
+// Discount per line item, rounded the way it is shown on the order. A fixed
+// amount goes on the most expensive line, spread over its units.
+function planCodPrepaidDiscount(order, discount) {
+  const lines = (order.line_items || [])
+    .filter((item) => Number(item.quantity) > 0)
+    .map((item) => ({
+      lineItemId: item.id,
+      quantity: Number(item.quantity),
+      unitPrice: Number(item.price) || 0,
+    }));
+
+  if (discount.valueType === "percentage") {
+    const allocations = lines.map((line) => ({
+      ...line,
+      amount: Math.round(line.unitPrice * line.quantity * discount.value) / 100,
+    }));
+    return {
+      allocations,
+      amount: Number(allocations.reduce((sum, a) => sum + a.amount, 0).toFixed(2)),
+    };
+  }
+
+  const line = [...lines].sort(
+    (a, b) => b.unitPrice * b.quantity - a.unitPrice * a.quantity,
+  )[0];
+  if (!line) return { allocations: [], amount: 0 };
+  const perUnit = Math.floor(
+    (Math.min(discount.value, line.unitPrice * line.quantity) / line.quantity) * 100,
+  ) / 100;
+  return {
+    allocations: [{ ...line, perUnit, amount: Number((perUnit * line.quantity).toFixed(2)) }],
+    amount: Number((perUnit * line.quantity).toFixed(2)),
   };
+}
 
-  try {
-    const orderResponse = await client.post({
-      path: "orders",
-      data: orderPayload,
-      type: "application/json",
-    });
+function scheduleCodPrepaidOffer(order) {
+  if (!isCodPrepaidOfferEnabled() || !order?.id || !isCashOnDeliveryOrder(order)) return;
+  if (isStorePickupOrder(order)) return;
 
-    console.log(
-      "✅ Order created from abandoned checkout:",
-      orderResponse.body.order.id,
-    );
+  const discount = getCodPrepaidDiscount();
+  if (!discount) {
+    console.error("Invalid COD_PREPAID_DISCOUNT; COD prepaid offer not scheduled");
+    return;
+  }
 
-    try {
-      const locationRes = await client.get({ path: "locations" });
-      const locationId = locationRes.body.locations[0].id;
-      if (!locationId) {
-        console.error("No location ID found. Cannot adjust inventory.");
-        return;
-      }
+  const records = loadCodPrepaidOffers();
+  const key = String(order.id);
+  if (records[key]) return;
+
+  const plan = planCodPrepaidDiscount(order, discount);
+  const total = Number(order.total_price) || 0;
+  const prepaidAmount = Number((total - plan.amount).toFixed(2));
+  if (!(prepaidAmount > 0)) return;
+
+  records[key] = {
+    orderId: order.id,
+    orderName: order.name || null,
+    status: "scheduled",
+    currency: order.currency || "INR",
+    total,
+    discount,
+    discountAmount: plan.amount,
+    prepaidAmount,
+    dueAtMs: Date.now() + COD_PREPAID_DELAY_MS,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+  };
+  saveCodPrepaidOffers(records);
+  appendJsonlLog(codPrepaidLogFile, {
+    event: "scheduled",
+    order_id: order.id,
+    total,
+    prepaid_amount: prepaidAmount,
+  });
+}
 
-      const headers = {
-        headers: { "X-Shopify-Access-Token": process.env.SHOPIFY_ADMIN_TOKEN },
-      };
+async function sendCodPrepaidOffer(orderId) {
+  const lockKey = `cod_prepaid:${orderId}`;
+  if (!lockId(lockKey)) return;
 
-      orderResponse.body.order.line_items.forEach(async (item) => {
-        const deductionQuantity = item.quantity || 1;
-        const variantId = item?.variant_id || 0;
-        if (!variantId) {
-          console.log("No variant ID found for item:", item);
-          return;
-        }
-        try {
-          const variantRes = await axios.get(
-            `https://${process.env.SHOPIFY_DOMAIN}/admin/api/2025-04/variants/${variantId}.json`,
-            headers,
-          );
+  try {
+    const record = loadCodPrepaidOffers()[String(orderId)];
+    if (record?.status !== "scheduled") return;
+
+    // Re-check the order: it may have been cancelled, paid or edited since
+    const { body } = await client.get({ path: `orders/${orderId}` });
+    const order = body?.order;
+    const cancelReason = !order
+      ? "order_missing"
+      : order.cancelled_at
+        ? "order_cancelled"
+        : order.financial_status !== "pending"
+          ? `financial_status_${order.financial_status}`
+          : order.fulfillment_status
+            ? "already_fulfilled"
+            : Number(order.total_price) !== record.total
+              ? "order_changed"
+              : null;
+    if (cancelReason) {
+      updateCodPrepaidOffer(orderId, { status: "cancelled", cancelReason });
+      appendJsonlLog(codPrepaidLogFile, { event: "cancelled", order_id: orderId, reason: cancelReason });
+      return;
+    }
 
-          if (!variantRes.data || !variantRes.data.variant) {
-            console.log(`No variant found for ID ${variantId}`);
-            return;
-          }
+    const recipient = resolveRecipient({ order });
+    if (!recipient.to) {
+      updateCodPrepaidOffer(orderId, { status: "cancelled", cancelReason: "no_valid_phone" });
+      return;
+    }
 
-          console.log(
-            `Processing variant ${variantId} for inventory adjustment`,
-          );
-          if (!variantRes.data.variant.inventory_item_id) {
-            console.log(`Variant ${variantId} has no inventory item ID`);
-            return;
-          }
+    const expireBy = Math.floor(Date.now() / 1000) + COD_PREPAID_LINK_VALID_HOURS * 60 * 60;
+    const link = await razorpayClient.createPaymentLink({
+      amount: Math.round(record.prepaidAmount * 100),
+      currency: record.currency,
+      description: `Prepaid payment for order ${order.name}`,
+      reference_id: `cod_${orderId}`.slice(0, 40),
+      expire_by: expireBy,
+      customer: {
+        name: recipient.name,
+        contact: recipient.to,
+        ...(order.email && { email: order.email }),
+      },
+      notify: { sms: false, email: false },
+      reminder_enable: false,
+      notes: {
+        order_id: String(orderId),
+        order_name: order.name || "",
+        purpose: "cod_prepaid",
+      },
+    });
+    updateCodPrepaidOffer(orderId, {
+      status: "link_sent",
+      linkId: link.id,
+      linkUrl: link.short_url,
+      expireBy,
+      to: recipient.to,
+    });
 
-          const inventoryItemId = variantRes.data.variant.inventory_item_id;
-          if (!inventoryItemId) {
-            console.log("No inventory item ID found for variant:", variantId);
-            return;
-          }
-          console.log(
-            `Adjusting inventory for variant ${variantId} (item ID: ${inventoryItemId})`,
-          );
+    let result = "sent";
+    try {
+      await sendEventMessage("cod_prepaid_offer", {
+        to: recipient.to,
+        recipientSource: recipient.source,
+        context: {
+          name: recipient.name,
+          orderName: String(order.name || "").replace("#", ""),
+          amount: String(record.total),
+          prepaidAmount: record.prepaidAmount.toFixed(2),
+          discountValue: formatDiscountValue({ ...record.discount, currency: record.currency }),
+          paymentLinkUrl: link.short_url,
+          expiresAt: formatDiscountExpiry(new Date(expireBy * 1000).toISOString()),
+        },
+        order,
+        idempotency: { store: "codPrepaid", key: `${orderId}:offer` },
+      });
+    } catch (err) {
+      result = sendErrorResult(err);
+      console.error("COD prepaid offer message error:", describeSendError(err));
+      if (!["queued_for_retry", "deferred", "ignored"].includes(result)) {
+        await razorpayClient.cancelPaymentLink(link.id).catch(() => { });
+        updateCodPrepaidOffer(orderId, {
+          status: "cancelled",
+          cancelReason: result === "suppressed" ? "no_consent" : "send_failed",
+        });
+      }
+    }
 
-          try {
-            if (orderResponse) {
-              const inventoryResponse = await client.post({
-                path: `inventory_levels/adjust`,
-                data: {
-                  location_id: locationId,
-                  inventory_item_id: inventoryItemId,
-                  available_adjustment: -deductionQuantity,
-                },
-                type: "application/json",
-              });
-              if (!inventoryResponse) {
-                console.error(
-                  `Failed to adjust inventory for variant ${variantId}:`,
-                  inventoryResponse,
-                );
-              }
-            }
-          } catch (inventoryError) {
-            console.error(`Error adjusting inventory for variant ${variantId}`);
-            if (inventoryError.response) {
-              console.error("Response data:", inventoryError.response.data);
-              console.error("Response status:", inventoryError.response.status);
-            }
-          }
-        } catch (error) {
-          console.error(`Error adjusting inventory for variant ${variantId}`);
-          if (error.response) {
-            console.error("Response data:", error.response.data);
-            console.error("Response status:", error.response.status);
-          }
+    appendJsonlLog(codPrepaidLogFile, {
+      event: "link_sent",
+      order_id: orderId,
+      link_id: link.id,
+      prepaid_amount: record.prepaidAmount,
+      to: recipient.to,
+      result,
+    });
+  } catch (err) {
+    const error = err?.error?.description || err?.response?.body || err?.message || String(err);
+    console.error(`COD prepaid offer for order ${orderId} failed:`, error);
+    appendJsonlLog(codPrepaidLogFile, { event: "error", order_id: orderId, error });
+  } finally {
+    unlockId(lockKey);
+  }
+}
+
+// Applies the prepaid discount to the order's line items (GraphQL order edit)
+// and returns the new outstanding amount.
+async function applyCodPrepaidDiscount(record, order) {
+  const plan = planCodPrepaidDiscount(order, record.discount);
+  const gqlErrors = (payload) => (payload?.userErrors || []).map((e) => e.message);
+  const run = async (query, variables) => {
+    const resp = await gqlClient.query({ data: { query, variables } });
+    return resp?.body?.data || {};
+  };
+
+  const begin = await run(
+    `mutation ($id: ID!) {
+      orderEditBegin(id: $id) {
+        calculatedOrder { id lineItems(first: 100) { nodes { id } } }
+        userErrors { field message }
+      }
+    }`,
+    { id: `gid://shopify/Order/${order.id}` },
+  );
+  const beginErrors = gqlErrors(begin.orderEditBegin);
+  if (beginErrors.length) throw new Error(`orderEditBegin: ${beginErrors.join("; ")}`);
+  const calculatedOrderId = begin.orderEditBegin.calculatedOrder.id;
+
+  for (const allocation of plan.allocations) {
+    if (!(allocation.amount > 0)) continue;
+    const discount =
+      record.discount.valueType === "percentage"
+        ? { percentValue: record.discount.value, description: "Prepaid discount" }
+        : {
+          fixedValue: { amount: allocation.perUnit.toFixed(2), currencyCode: record.currency },
+          description: "Prepaid discount",
+        };
+    const added = await run(
+      `mutation ($id: ID!, $lineItemId: ID!, $discount: OrderEditAppliedDiscountInput!) {
+        orderEditAddLineItemDiscount(id: $id, lineItemId: $lineItemId, discount: $discount) {
+          calculatedOrder { id }
+          userErrors { field message }
         }
-      });
-    } catch (error) {
-      console.error("❌ Error creating order from checkout");
-      if (error.response) {
-        console.error("Response data:", error.response.data);
-        console.error("Response status:", error.response.status);
+      }`,
+      {
+        id: calculatedOrderId,
+        lineItemId: `gid://shopify/CalculatedLineItem/${allocation.lineItemId}`,
+        discount,
+      },
+    );
+    const addErrors = gqlErrors(added.orderEditAddLineItemDiscount);
+    if (addErrors.length) throw new Error(`orderEditAddLineItemDiscount: ${addErrors.join("; ")}`);
+  }
+
+  const committed = await run(
+    `mutation ($id: ID!) {
+      orderEditCommit(id: $id, notifyCustomer: false, staffNote: "Prepaid discount (COD to prepaid)") {
+        order { id totalOutstandingSet { shopMoney { amount } } }
+        userErrors { field message }
       }
-    }
-  } catch (locationError) {
-    console.error("Failed to fetch locations: ", locationError);
+    }`,
+    { id: calculatedOrderId },
+  );
+  const commitErrors = gqlErrors(committed.orderEditCommit);
+  if (commitErrors.length) throw new Error(`orderEditCommit: ${commitErrors.join("; ")}`);
+  return Number(committed.orderEditCommit.order?.totalOutstandingSet?.shopMoney?.amount);
+}
+
+// A payment on an offer that was cancelled (e.g. cancelling its link failed)
+// or already paid by another payment can't be applied to the order. It is
+// kept on the record under `refundDue` and logged for staff to refund.
+function flagUnappliedCodPrepaidPayment(record, payment) {
+  const refundDue = Array.isArray(record.refundDue) ? record.refundDue : [];
+  if (record.paymentId === payment.id || refundDue.some((p) => p.paymentId === payment.id)) {
     return;
   }
+  updateCodPrepaidOffer(record.orderId, {
+    refundDue: [
+      ...refundDue,
+      {
+        paymentId: payment.id,
+        amount: Number(payment.amount) / 100,
+        offerStatus: record.status,
+        at: new Date().toISOString(),
+      },
+    ],
+  });
+  appendJsonlLog(codPrepaidLogFile, {
+    event: "refund_due",
+    order_id: record.orderId,
+    payment_id: payment.id,
+    amount: Number(payment.amount) / 100,
+    offer_status: record.status,
+    cancel_reason: record.cancelReason || null,
+  });
+  console.error(
+    `COD prepaid payment ${payment.id} for order ${record.orderId} arrived after the offer was ${record.status}; refund it`,
+  );
 }
 
-async function verifyCheckout(checkout) {
-  if (!checkout) {
-    console.log("No checkout token provided. Skipping payment fetch.");
+async function handleCodPrepaidCapture(payment, paymentLink = null) {
+  const records = loadCodPrepaidOffers();
+  const record =
+    Object.values(records).find((r) => paymentLink?.id && r.linkId === paymentLink.id) ||
+    (payment.notes?.purpose === "cod_prepaid" && records[String(payment.notes.order_id)]) ||
+    null;
+  if (!record) return;
+  if (!["link_sent", "expired", "capture_pending"].includes(record.status)) {
+    flagUnappliedCodPrepaidPayment(record, payment);
     return;
   }
 
-  if (!razorpayClient) {
-    console.log("Razorpay client not initialized. Skipping payment fetch.");
+  const orderId = record.orderId;
+  const lockKey = `cod_prepaid:${orderId}`;
+  if (!lockId(lockKey)) return;
+  if (loadSet(dataFiles.payments, "set").has(payment.id)) {
+    unlockId(lockKey);
     return;
   }
 
-  if (
-    !checkout?.email &&
-    !checkout?.phone &&
-    !checkout?.shipping_address?.phone &&
-    !checkout?.billing_address?.phone
-  ) {
-    console.log("Skipping incomplete checkout (missing contact info)");
+  // Fetched before anything is recorded: if Shopify is unavailable the
+  // capture stays "capture_pending" and processCodPrepaidOffers retries it.
+  let order;
+  try {
+    const { body } = await client.get({ path: `orders/${orderId}` });
+    order = body.order;
+    if (!order) throw new Error(`Order ${orderId} not found`);
+  } catch (err) {
+    const attempts = (Number(record.captureAttempts) || 0) + 1;
+    const error = err?.response?.body || err?.message || String(err);
+    updateCodPrepaidOffer(orderId, {
+      status: attempts >= COD_PREPAID_CAPTURE_MAX_ATTEMPTS ? "capture_failed" : "capture_pending",
+      pendingPayment: { id: payment.id, amount: payment.amount, notes: payment.notes || {} },
+      captureAttempts: attempts,
+      lastCaptureError: error,
+    });
+    appendJsonlLog(codPrepaidLogFile, {
+      event: "capture_deferred",
+      order_id: orderId,
+      payment_id: payment.id,
+      attempts,
+      gave_up: attempts >= COD_PREPAID_CAPTURE_MAX_ATTEMPTS,
+      error,
+    });
+    unlockId(lockKey);
     return;
   }
 
-  let orders = [];
+  const steps = { discount: null, transaction: null, tags: null, confirmation: null };
   try {
-    const phone =
-      checkout?.shipping_address?.phone ||
-      checkout?.billing_address?.phone ||
-      checkout?.phone;
-    const phoneLast10 = extractDigitsPhone(phone).slice(-10);
-    const email = checkout.email;
-    const res = await client.get({
-      path: "orders",
-      query: {
-        status: "any",
-        limit: 50,
-      },
+    // Recorded first: from here on the payment must never be applied twice.
+    saveSet(dataFiles.payments, loadSet(dataFiles.payments, "set"), payment.id);
+    updateCodPrepaidOffer(orderId, {
+      status: "paid",
+      paymentId: payment.id,
+      paidAt: new Date().toISOString(),
+      pendingPayment: null,
     });
-    orders = res.body.orders;
-
-    if (orders) {
-      const isOrderNotAbandoned = orders.find(
-        (o) => o.cart_token === checkout.cart_token,
-      );
-      if (isOrderNotAbandoned) {
-        orderId = isOrderNotAbandoned.id;
-        console.log(
-          `Checkout ${checkout.cart_token} is not abandoned. Skipping payment verification.`,
-        );
-        return; // Change
-      } else {
-        console.log(
-          `Checkout ${checkout.cart_token} is abandoned. Proceeding with payment verification.`,
-        );
-      }
-
-      const isConverted = orders.find(
-        (o) => o.checkout_token === checkout.token,
-      );
-      if (isConverted) {
-        console.log(
-          `Checkout ${checkout.token} already converted to order. Skipping payment verification.`,
-        );
-        return; // Change
-      }
-
-      if (orders?.length) {
-        const matchingOrder = orders.find((o) => {
-          const orderPhones = [
-            o.phone,
-            o?.customer?.phone,
-            o?.customer?.default_address?.phone,
-            o?.shipping_address?.phone,
-            o?.billing_address?.phone,
-          ].filter(Boolean);
-
-          const phoneMatches =
-            phoneLast10 &&
-            orderPhones
-              .map((p) => extractDigitsPhone(p).slice(-10))
-              .some((p10) => p10 && p10 === phoneLast10);
-
-          const priceMatches =
-            Number(o.total_price) === Number(checkout.total_price);
-
-          return phoneMatches && priceMatches;
-        });
+    resolveCodConfirmation(orderId, "paid_prepaid");
 
-        if (matchingOrder) {
-          console.log(
-            `Duplicate order detected for phone ${phone} with total_price ${checkout.total_price}. Order ID: ${matchingOrder.id}`,
-          );
-          return;
-        }
+    try {
+      const outstanding = await applyCodPrepaidDiscount(record, order);
+      steps.discount = { applied: true, outstanding };
+      if (Number.isFinite(outstanding) && Math.abs(outstanding - Number(payment.amount) / 100) > 0.01) {
+        steps.discount.mismatch = true;
       }
+    } catch (err) {
+      steps.discount = { applied: false, error: err?.message || String(err) };
+    }
 
-      if (orders?.length) {
-        const matchingOrder = orders.find((o) => {
-          const orderEmails = [o?.email, o?.customer?.email].filter(Boolean);
-
-          const emailMatches = email && orderEmails.some((e) => e === email);
+    try {
+      await recordShopifyPaymentTransaction(order, payment);
+      steps.transaction = { recorded: true };
+    } catch (err) {
+      steps.transaction = { recorded: false, error: err?.response?.body || err?.message || String(err) };
+    }
 
-          const priceMatches =
-            Number(o.total_price) === Number(checkout.total_price);
+    try {
+      const remove = parseTagList(process.env.COD_PREPAID_REMOVE_TAGS || "COD").map((t) => t.toLowerCase());
+      const add = parseTagList(process.env.COD_PREPAID_ADD_TAGS || "Prepaid, COD-Converted");
+      const tags = [
+        ...parseTagList(order.tags).filter((t) => !remove.includes(t.toLowerCase())),
+        ...add,
+      ];
+      await client.put({
+        path: `orders/${orderId}`,
+        data: { order: { id: orderId, tags: [...new Set(tags)].join(", ") } },
+        type: "application/json",
+      });
+      steps.tags = { updated: true };
+    } catch (err) {
+      steps.tags = { updated: false, error: err?.response?.body || err?.message || String(err) };
+    }
 
-          return emailMatches && priceMatches;
+    const recipient = resolveRecipient({ order });
+    if (recipient.to) {
+      try {
+        await sendEventMessage("cod_prepaid_confirmed", {
+          to: recipient.to,
+          recipientSource: recipient.source,
+          context: {
+            name: recipient.name,
+            orderName: String(order.name || "").replace("#", ""),
+            amount: (Number(payment.amount) / 100).toFixed(2),
+          },
+          order,
+          idempotency: { store: "codPrepaid", key: `${orderId}:confirmed` },
         });
-
-        if (matchingOrder) {
-          console.log(
-            `Duplicate order detected for email ${email} with total_price ${checkout.total_price}. Order ID: ${matchingOrder.id}`,
-          );
-          return;
-        }
-
-        console.log(
-          `Checkout ${checkout.cart_token} seems abandoned. Proceeding with payment verification.`,
-        );
+        steps.confirmation = "sent";
+      } catch (err) {
+        steps.confirmation = sendErrorResult(err);
       }
+    } else {
+      steps.confirmation = "no_valid_phone";
     }
   } catch (err) {
-    console.error("Failed to fetch orders:", err.response.data);
+    steps.error = err?.response?.body || err?.message || String(err);
+    console.error(`COD prepaid capture for order ${orderId} failed:`, steps.error);
+  } finally {
+    updateCodPrepaidOffer(orderId, { steps });
+    appendJsonlLog(codPrepaidLogFile, {
+      event: "paid",
+      order_id: orderId,
+      payment_id: payment.id,
+      amount: Number(payment.amount) / 100,
+      ...steps,
+    });
+    unlockId(lockKey);
   }
+}
 
-  try {
-    const processedPayments = loadSet(dataFiles.payments, "set");
-
-    const todaysPayments = await razorpayClient.fetchTodaysPayments();
-    if (!todaysPayments || !todaysPayments.items) {
-      console.log("No payments found for today.");
-    } else {
-      const currentTimestamp = Math.floor(Date.now() / 1000);
-      const twoHoursAgo = currentTimestamp - MINUTES_FOR_PAYMENT_CHECK * 60;
-      const totalCheckoutPrice = Number(checkout.total_price);
+function cancelCodPrepaidOffer(orderId, reason) {
+  const record = loadCodPrepaidOffers()[String(orderId)];
+  if (!record || !["scheduled", "link_sent"].includes(record.status)) return;
+  if (record.linkId) {
+    razorpayClient.cancelPaymentLink(record.linkId).catch((err) =>
+      console.error(`Failed to cancel payment link ${record.linkId}:`, err?.error?.description || err?.message),
+    );
+  }
+  updateCodPrepaidOffer(orderId, { status: "cancelled", cancelReason: reason });
+  appendJsonlLog(codPrepaidLogFile, { event: "cancelled", order_id: orderId, reason });
+}
 
-      const matchingPayments = todaysPayments.items
-        .filter((payment) => {
-          if (payment.status !== "captured") return false;
-          if (!payment?.notes?.cancelUrl) return false;
+let __codPrepaidRunning = false;
+async function processCodPrepaidOffers() {
+  if (__codPrepaidRunning || !isCodPrepaidOfferEnabled()) return;
+  __codPrepaidRunning = true;
 
-          const perfectPhoneDigits = extractDigitsPhone(payment?.contact).slice(-10);
-          const perfectAmount = payment.amount / 100;
+  try {
+    const now = Date.now();
+    for (const record of Object.values(loadCodPrepaidOffers())) {
+      if (record.status === "scheduled" && record.dueAtMs <= now) {
+        await sendCodPrepaidOffer(record.orderId);
+      } else if (record.status === "link_sent" && record.expireBy * 1000 < now) {
+        updateCodPrepaidOffer(record.orderId, { status: "expired" });
+      } else if (record.status === "capture_pending" && record.pendingPayment?.id) {
+        await handleCodPrepaidCapture(record.pendingPayment, { id: record.linkId });
+      }
+    }
+  } finally {
+    __codPrepaidRunning = false;
+  }
+}
 
-          const checkoutPhoneDigits = extractDigitsPhone(
-            checkout?.shipping_address?.phone ||
-            checkout?.billing_address?.phone ||
-            checkout?.phone,
-          ).slice(-10);
+setInterval(() => {
+  processCodPrepaidOffers().catch((err) =>
+    console.error("COD prepaid offer worker error:", err?.message || err),
+  );
+}, CHECK_INTERVAL);
 
-          const matchesPhoneAndAmount =
-            checkoutPhoneDigits &&
-            perfectPhoneDigits === checkoutPhoneDigits &&
-            perfectAmount === totalCheckoutPrice;
+// --- COD Order Confirmation ---
+// Cash-on-delivery orders get a WhatsApp template with Confirm / Cancel
+// quick-reply buttons right after the order confirmation. The reply tags the
+// order (COD-Confirmed / COD-Declined) and adds a line to the order note.
+// Orders nobody answers within COD_CONFIRMATION_WINDOW_HOURS are tagged for
+// staff review. With COD_CONFIRMATION_AUTO_CANCEL=true, declined and
+// unanswered orders are cancelled and restocked instead of waiting for staff.
+// Off unless COD_CONFIRMATION_ENABLED=true.
+//
+// Record status: pending -> confirmed / declined / unconfirmed / cancelled,
+// or not_sent / resolved (paid, cancelled or fulfilled before an answer).
+const COD_CONFIRMATION_WINDOW_MS =
+  (Number(process.env.COD_CONFIRMATION_WINDOW_HOURS) || 24) * 60 * 60 * 1000;
+const COD_CONFIRMATION_TAGS = {
+  confirmed: process.env.COD_CONFIRMATION_CONFIRMED_TAG || "COD-Confirmed",
+  declined: process.env.COD_CONFIRMATION_DECLINED_TAG || "COD-Declined",
+  unconfirmed: process.env.COD_CONFIRMATION_REVIEW_TAG || "COD-Unconfirmed",
+};
 
-          const matchesCartToken = payment.notes.cancelUrl.includes(
-            checkout?.cart_token,
-          );
+function isCodConfirmationEnabled() {
+  return String(process.env.COD_CONFIRMATION_ENABLED || "").toLowerCase() === "true";
+}
 
-          const isWithinTimeRange =
-            payment.created_at >= twoHoursAgo &&
-            payment.created_at <= currentTimestamp;
+function isCodAutoCancelEnabled() {
+  return String(process.env.COD_CONFIRMATION_AUTO_CANCEL || "").toLowerCase() === "true";
+}
 
-          return (
-            (matchesPhoneAndAmount || matchesCartToken) && isWithinTimeRange
-          );
-        })
-        .sort((a, b) => b.created_at - a.created_at);
+function loadCodConfirmations() {
+  return loadSet(dataFiles.codConfirmations, "map");
+}
 
-      const capturedPayment = matchingPayments[0];
+function saveCodConfirmations(records) {
+  fs.writeFileSync(dataFiles.codConfirmations, JSON.stringify(records || {}, null, 2));
+}
 
-      if (!capturedPayment) {
-        console.log(
-          `No captured payments found for checkout ${checkout.cart_token}. Proceeding with message queueing.`,
-        );
-        enqueueAbandonedCheckout(checkout, "no_captured_payment");
-        return;
-      }
+function updateCodConfirmation(orderId, patch) {
+  const records = loadCodConfirmations();
+  const key = String(orderId);
+  if (!records[key]) return null;
+  records[key] = { ...records[key], ...patch, updatedAt: new Date().toISOString() };
+  saveCodConfirmations(records);
+  return records[key];
+}
 
-      if (processingPayments.has(capturedPayment.id)) {
-        console.log(
-          `⚠️ Payment ${capturedPayment.id} is being processed. Skipping.`,
-        );
-        return;
-      }
+async function requestCodConfirmation(order) {
+  if (!isCodConfirmationEnabled() || !order?.id || !isCashOnDeliveryOrder(order)) return;
+  if (isStorePickupOrder(order)) return;
+  const total = Number(order.total_price) || 0;
+  if (total < (Number(process.env.COD_CONFIRMATION_MIN_AMOUNT) || 0)) return;
+
+  const records = loadCodConfirmations();
+  const key = String(order.id);
+  if (records[key]) return;
+
+  const recipient = resolveRecipient({ order });
+  records[key] = {
+    orderId: order.id,
+    orderName: order.name || null,
+    status: "pending",
+    total,
+    to: recipient.to,
+    // Set by startCodConfirmationWindow once the outbox has sent the message.
+    dueAtMs: null,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+  };
+  saveCodConfirmations(records);
 
-      if (!lockId(capturedPayment.id)) {
-        console.log(`Payment ${capturedPayment.id} is locked persistently.`);
-        return;
-      }
+  if (!recipient.to) {
+    updateCodConfirmation(order.id, { status: "not_sent", reason: "no_valid_phone" });
+    appendJsonlLog(codConfirmationLogFile, { event: "not_sent", order_id: order.id, reason: "no_valid_phone" });
+    return;
+  }
 
-      processingPayments.add(capturedPayment.id);
-
-      // try {
-      //   if (processedPayments.has(capturedPayment.id)) {
-      //     console.log(
-      //       `Payment ${capturedPayment.id} already processed. Skipping.`
-      //     );
-      //     return;
-      //   }
-
-      //   console.log(
-      //     `Captured payment found for checkout ${checkout.cart_token}:`,
-      //     capturedPayment.contact,
-      //     capturedPayment.id,
-      //     new Date(capturedPayment.created_at * 1000).toLocaleString()
-      //   );
-
-      //   await createOrderFromPayment(checkout, capturedPayment);
-      //   saveSet(dataFiles.payments, processedPayments, capturedPayment.id);
-      // } finally {
-      //   processingPayments.delete(capturedPayment.id);
-      //   unlockId(capturedPayment.id);
-      // }
+  let result = "sent";
+  try {
+    await sendEventMessage("cod_confirmation", {
+      to: recipient.to,
+      recipientSource: recipient.source,
+      context: {
+        name: recipient.name,
+        orderName: String(order.name || "").replace("#", ""),
+        orderId: String(order.id),
+        amount: String(order.total_price || "0"),
+      },
+      order,
+      idempotency: { store: "codConfirmations", key: String(order.id) },
+    });
+  } catch (err) {
+    result = sendErrorResult(err);
+    console.error("COD confirmation message error:", describeSendError(err));
+    // A message still in the outbox can be answered later; anything else can't
+    if (!["queued_for_retry", "deferred", "ignored"].includes(result)) {
+      updateCodConfirmation(order.id, { status: "not_sent", reason: result });
     }
-  } catch (error) {
-    console.error("Error fetching payments");
   }
+
+  appendJsonlLog(codConfirmationLogFile, {
+    event: "requested",
+    order_id: order.id,
+    to: recipient.to,
+    total,
+    result,
+  });
 }
 
-setInterval(() => {
-  const checkouts = loadSet(dataFiles.checkouts, "debounced");
+function startCodConfirmationWindow(orderId) {
+  const record = loadCodConfirmations()[String(orderId)];
+  if (record?.status !== "pending" || record.sentAt) return;
   const now = Date.now();
+  updateCodConfirmation(orderId, {
+    sentAt: new Date(now).toISOString(),
+    dueAtMs: now + COD_CONFIRMATION_WINDOW_MS,
+  });
+}
 
-  if (Object.keys(checkouts).length === 0) return;
+function markCodConfirmationNotSent(orderId, reason) {
+  const record = loadCodConfirmations()[String(orderId)];
+  if (record?.status !== "pending" || record.sentAt) return;
+  updateCodConfirmation(orderId, { status: "not_sent", reason });
+  appendJsonlLog(codConfirmationLogFile, { event: "not_sent", order_id: record.orderId, reason });
+}
 
-  let changed = false;
+// Latest provider receipt for the confirmation message (see Message Status),
+// or null when none arrived.
+function getCodConfirmationDeliveryStatus(orderId) {
+  const outboxEntry = Object.values(loadOutbox()).find(
+    (e) =>
+      e?.status === "sent" &&
+      e.idempotency?.store === "codConfirmations" &&
+      String(e.idempotency.key) === String(orderId),
+  );
+  if (!outboxEntry) return null;
+  const rec = Object.values(loadMessageStatuses()).find((r) => r?.outboxId === outboxEntry.id);
+  return rec?.status || null;
+}
 
-  for (const [cart_token, data] of Object.entries(checkouts)) {
-    const timeSinceUpdate = now - data.updatedAt;
+// Button payloads carry the order id ("COD_CONFIRM:<id>"). Providers that fix
+// payloads at template approval send the button text instead ("Confirm",
+// "Cancel order"), which is matched to the sender's latest open request.
+function matchCodConfirmationReply(message) {
+  const raw = String(message.buttonPayload || message.text || "").trim();
+  const from = extractDigitsPhone(message.from);
+  const isOpen = (r) => ["pending", "unconfirmed"].includes(r.status);
+
+  const m = raw.match(/^COD_(CONFIRM|CANCEL):(\d+)$/i);
+  if (m) {
+    const record = loadCodConfirmations()[m[2]];
+    if (!record || extractDigitsPhone(record.to) !== from) return null;
+    return { decision: m[1].toUpperCase() === "CONFIRM" ? "confirmed" : "declined", record };
+  }
 
-    if (timeSinceUpdate >= SEND_MESSAGE_DELAY) {
-      const checkout = data.checkout;
+  const text = raw.toLowerCase().replace(/[^a-z ]/g, "").trim();
+  const decision = /^(yes|confirm)( order)?$/.test(text)
+    ? "confirmed"
+    : /^(no|cancel)( order)?$/.test(text)
+      ? "declined"
+      : null;
+  if (!decision) return null;
+
+  const record = Object.values(loadCodConfirmations())
+    .filter((r) => isOpen(r) && extractDigitsPhone(r.to) === from)
+    .sort((a, b) => parseDateMs(b.createdAt) - parseDateMs(a.createdAt))[0];
+  return record ? { decision, record } : null;
+}
 
-      const shipping = checkout.shipping_address || {};
-      const email = checkout.email || "";
-      const rawPhone =
-        shipping?.phone ||
-        checkout?.billing_address?.phone ||
-        checkout.phone ||
-        "";
-      const hasValidPhone = rawPhone.replace(/\D/g, "").length >= 10;
+// Swaps the COD-* tags and appends one line to the order note.
+async function tagCodConfirmationOrder(order, tag, noteLine) {
+  const ours = Object.values(COD_CONFIRMATION_TAGS).map((t) => t.toLowerCase());
+  const tags = [
+    ...parseTagList(order.tags).filter((t) => !ours.includes(t.toLowerCase())),
+    tag,
+  ];
+  const note = [order.note, noteLine].filter(Boolean).join("\n");
+  await client.put({
+    path: `orders/${order.id}`,
+    data: { order: { id: order.id, tags: [...new Set(tags)].join(", "), note } },
+    type: "application/json",
+  });
+}
 
-      const hasContactInfo = hasValidPhone || email;
+async function cancelCodOrder(order, staffNote) {
+  const resp = await gqlClient.query({
+    data: {
+      query: `mutation ($orderId: ID!, $staffNote: String) {
+        orderCancel(orderId: $orderId, reason: CUSTOMER, refund: false, restock: true, notifyCustomer: false, staffNote: $staffNote) {
+          job { id }
+          orderCancelUserErrors { field message }
+        }
+      }`,
+      variables: { orderId: `gid://shopify/Order/${order.id}`, staffNote },
+    },
+  });
+  const errors = (resp?.body?.data?.orderCancel?.orderCancelUserErrors || []).map((e) => e.message);
+  if (errors.length) throw new Error(`orderCancel: ${errors.join("; ")}`);
+}
 
-      if (hasContactInfo) {
-        console.log(`Processing cart_token: ${cart_token}`);
-        verifyCheckout(checkout);
-      } else {
-        console.log(`Still missing info for: ${cart_token}`);
-      }
+// Returns the text reply for the customer.
+// Only called for webhooks authenticated by provider signature or token: the
+// sender's phone number alone is just a field in the request body.
+async function handleCodConfirmationReply({ decision, record }, message, { authenticatedBy }) {
+  const orderId = record.orderId;
+  const orderName = record.orderName || String(orderId);
+  if (!authenticatedBy) return null;
+  const lockKey = `cod_confirm:${orderId}`;
+  if (!lockId(lockKey)) return null;
+
+  const log = {
+    event: "reply",
+    order_id: orderId,
+    from: message.from,
+    decision,
+    authenticated_by: authenticatedBy,
+  };
+  try {
+    const current = loadCodConfirmations()[String(orderId)];
+    if (!["pending", "unconfirmed"].includes(current?.status)) {
+      log.result = `already_${current?.status}`;
+      return current?.status === "confirmed"
+        ? `Order ${orderName} is already confirmed. Thank you!`
+        : `We have already recorded your answer for order ${orderName}. Reply HELP to reach us.`;
+    }
 
-      delete checkouts[cart_token];
-      changed = true;
+    const { body } = await client.get({ path: `orders/${orderId}` });
+    const order = body?.order;
+    if (!order || order.cancelled_at) {
+      updateCodConfirmation(orderId, { status: "resolved", reason: "order_cancelled" });
+      log.result = "order_cancelled";
+      return `Order ${orderName} has already been cancelled.`;
     }
-  }
 
-  if (changed) {
-    fs.writeFileSync(dataFiles.checkouts, JSON.stringify(checkouts, null, 2));
+    const at = new Date().toISOString();
+    await tagCodConfirmationOrder(
+      order,
+      COD_CONFIRMATION_TAGS[decision],
+      `WhatsApp COD confirmation: ${decision} by customer (+${extractDigitsPhone(message.from)}) at ${at}`,
+    );
+
+    if (decision === "confirmed") {
+      updateCodConfirmation(orderId, { status: "confirmed", answeredAt: at });
+      log.result = "confirmed";
+      return `Thank you! Order ${orderName} is confirmed and will be shipped soon.`;
+    }
+
+    cancelCodPrepaidOffer(orderId, "cod_declined");
+    if (isCodAutoCancelEnabled() && !order.fulfillment_status) {
+      await cancelCodOrder(order, "Cancelled by customer via WhatsApp COD confirmation");
+      updateCodConfirmation(orderId, { status: "cancelled", reason: "declined", answeredAt: at });
+      log.result = "cancelled";
+      return `Order ${orderName} has been cancelled as requested.`;
+    }
+    updateCodConfirmation(orderId, { status: "declined", answeredAt: at });
+    log.result = "declined";
+    return `We've noted that you don't want order ${orderName}. Our team will cancel it shortly.`;
+  } catch (err) {
+    log.result = "error";
+    log.error = err?.response?.body || err?.message || String(err);
+    console.error(`COD confirmation reply for order ${orderId} failed:`, log.error);
+    return null;
+  } finally {
+    appendJsonlLog(codConfirmationLogFile, log);
+    unlockId(lockKey);
   }
-}, CHECK_INTERVAL);
+}
 
-app.post("/webhook/abandoned-checkouts", async (req, res) => {
-  res.status(200).send("OK");
+// Called when the order no longer needs an answer (paid, cancelled elsewhere).
+function resolveCodConfirmation(orderId, reason) {
+  const record = loadCodConfirmations()[String(orderId)];
+  if (!record || !["pending", "unconfirmed"].includes(record.status)) return;
+  updateCodConfirmation(orderId, { status: "resolved", reason });
+  appendJsonlLog(codConfirmationLogFile, { event: "resolved", order_id: orderId, reason });
+}
 
-  const checkout = req.body;
-  const cart_token = checkout?.cart_token;
+async function expireCodConfirmation(record) {
+  const orderId = record.orderId;
+  const lockKey = `cod_confirm:${orderId}`;
+  if (!lockId(lockKey)) return;
 
-  if (!cart_token) return;
+  try {
+    if (loadCodConfirmations()[String(orderId)]?.status !== "pending") return;
+
+    const { body } = await client.get({ path: `orders/${orderId}` });
+    const order = body?.order;
+    const resolvedReason = !order
+      ? "order_missing"
+      : order.cancelled_at
+        ? "order_cancelled"
+        : order.financial_status !== "pending"
+          ? `financial_status_${order.financial_status}`
+          : order.fulfillment_status
+            ? "already_fulfilled"
+            : null;
+    if (resolvedReason) {
+      resolveCodConfirmation(orderId, resolvedReason);
+      return;
+    }
 
-  const checkouts = loadSet(dataFiles.checkouts, "debounced");
+    const hours = COD_CONFIRMATION_WINDOW_MS / (60 * 60 * 1000);
+    await tagCodConfirmationOrder(
+      order,
+      COD_CONFIRMATION_TAGS.unconfirmed,
+      `WhatsApp COD confirmation: no reply within ${hours}h (${new Date().toISOString()})`,
+    );
 
-  saveSet(
-    dataFiles.checkouts,
-    checkouts,
-    { cart_token, checkout },
-    "debounced",
+    // Silence only means "ignored" if the provider confirmed delivery;
+    // otherwise the order waits for staff even with auto-cancel on.
+    const deliveryStatus = getCodConfirmationDeliveryStatus(orderId);
+    const cancel = isCodAutoCancelEnabled() && ["delivered", "read"].includes(deliveryStatus);
+    if (cancel) {
+      cancelCodPrepaidOffer(orderId, "cod_unconfirmed");
+      await cancelCodOrder(order, "Cancelled automatically: COD order not confirmed on WhatsApp");
+      updateCodConfirmation(orderId, { status: "cancelled", reason: "unconfirmed" });
+    } else {
+      updateCodConfirmation(orderId, { status: "unconfirmed" });
+    }
+    appendJsonlLog(codConfirmationLogFile, {
+      event: "expired",
+      order_id: orderId,
+      delivery_status: deliveryStatus,
+      cancelled: cancel,
+    });
+  } catch (err) {
+    const error = err?.response?.body || err?.message || String(err);
+    console.error(`COD confirmation expiry for order ${orderId} failed:`, error);
+    appendJsonlLog(codConfirmationLogFile, { event: "error", order_id: orderId, error });
+  } finally {
+    unlockId(lockKey);
+  }
+}
+
+let __codConfirmationRunning = false;
+async function processCodConfirmations() {
+  if (__codConfirmationRunning || !isCodConfirmationEnabled()) return;
+  __codConfirmationRunning = true;
+
+  try {
+    const now = Date.now();
+    for (const record of Object.values(loadCodConfirmations())) {
+      if (record.status === "pending" && record.dueAtMs && record.dueAtMs <= now) {
+        await expireCodConfirmation(record);
+      }
+    }
+  } finally {
+    __codConfirmationRunning = false;
+  }
+}
+
+setInterval(() => {
+  processCodConfirmations().catch((err) =>
+    console.error("COD confirmation worker error:", err?.message || err),
   );
-});
+}, CHECK_INTERVAL);
 
 // --- Order Confirmation ---
 // const restockInventoryFromOrder = async (orderId) => {
@@ -1508,60 +4983,23 @@ function isStorePickupOrder(order) {
   );
 }
 
-async function sendOrderConfirmation(order) {
-  try {
-    const customer = order.customer || {};
-    const shippingAddress = order.shipping_address || {};
-    const billingAddress = order.billing_address || {};
-    const name =
-      shippingAddress.first_name || customer.first_name || "Customer";
-    const orderName = order.name.replace("#", "") || "Unknown Order";
-    const amount = order.total_price || "0";
-
-    const countryCode =
-      order.shipping_address?.country_code ||
-      order.billing_address?.country_code ||
-      "IN";
-
-    const dialCode = getDialCode(countryCode);
-
-    let rawPhone =
-      shippingAddress.phone ||
-      billingAddress.phone ||
-      order?.phone ||
-      customer.phone ||
-      customer?.default_address?.phone ||
-      "";
-    let cleanedPhone = rawPhone.replace(/\s+/g, "").slice(-10);
-    const phoneNumberInternationalFormat = dialCode + cleanedPhone;
-
-    let imageUrl =
-      "https://cdn.shopify.com/s/files/1/0655/1352/1302/files/WhatsApp_Image_2025-05-21_at_21.13.58.jpg";
-    if (order.line_items?.length) {
-      const productId = order.line_items[0].product_id;
-      const variantId = order.line_items[0].variant_id;
-      const headers = {
-        headers: { "X-Shopify-Access-Token": process.env.SHOPIFY_ADMIN_TOKEN },
-      };
+async function sendOrderConfirmation(order) {
+  try {
+    const customer = order.customer || {};
+    const shippingAddress = order.shipping_address || {};
+    const name =
+      shippingAddress.first_name || customer.first_name || "Customer";
+    const orderName = order.name.replace("#", "") || "Unknown Order";
+    const amount = order.total_price || "0";
 
-      try {
-        const productImagesRes = await axios.get(
-          `https://${process.env.SHOPIFY_DOMAIN}/admin/api/2025-04/products/${productId}/images.json`,
-          headers,
-        );
-        if (productImagesRes?.data?.images?.length) {
-          const variantImage = productImagesRes?.data?.images.find((img) =>
-            img.variant_ids.includes(variantId),
-          );
-          imageUrl = (
-            variantImage || productImagesRes?.data?.images[0]
-          ).src.split("?")[0];
-        }
-      } catch (imageError) {
-        console.error("Failed to fetch product image");
-      }
+    const recipient = resolveRecipient({ order });
+    if (!recipient.to) {
+      console.log(`Order ${order.name} has no valid phone; skipping message`);
+      return;
     }
 
+    const lineItems = await buildLineItemsContext(order.line_items, "order_confirmed");
+
     let orderStatusURL = `${process.env.HOST_NAME}/account/order/${order.id}`;
     if (order.order_status_url) {
       orderStatusURL = (() => {
@@ -1574,32 +5012,28 @@ async function sendOrderConfirmation(order) {
       })();
     }
 
-    const payload = {
-      to: phoneNumberInternationalFormat,
-      from: "+919136524727",
-      templateName:
-        process.env.OC_CAMPAIGN_NAME ||
-        process.env.OC_TEMPLATE_NAME ||
-        "kaj_order_confirmation_v3",
-      language: process.env.DT_LANGUAGE || "en",
-      // Your provided curl uses 3 body placeholders + URL button
-      bodyPlaceholders: [name, orderName, `₹${amount}`],
-      headerImageUrl: imageUrl,
-      headerFilename: "order.jpg",
-      buttonUrl: orderStatusURL,
-    };
-
     try {
-      const response = await sendDoubleTickTemplateMessage(payload);
-      saveSet(dataFiles.orders, processedOrders, order.id.toString(), "set");
+      const response = await sendEventMessage("order_confirmed", {
+        to: recipient.to,
+        recipientSource: recipient.source,
+        context: {
+          name,
+          orderName,
+          amount,
+          ...lineItems,
+          orderStatusUrl: orderStatusURL,
+        },
+        order,
+        idempotency: { store: "orders", key: order.id.toString() },
+      });
       console.log(`Order confirmation message sent for ${order.cart_token}`);
-      console.log(`Order confirmation sent to ${name} (${cleanedPhone})`);
+      console.log(`Order confirmation sent to ${name} (${recipient.to})`);
     } catch (err) {
       console.error(
         "Order confirmation message error",
-        err?.response?.data || err?.message,
+        describeSendError(err),
       );
-      console.log(`Order confirmation cannot be sent to (${cleanedPhone})`);
+      console.log(`Order confirmation cannot be sent to (${recipient.to})`);
       if (err.response) {
         console.error("Response data:", err.response.data);
         console.error("Response status:", err.response.status);
@@ -1614,28 +5048,16 @@ async function sendStorePickupAlert(order) {
   try {
     const customer = order.customer || {};
     const shippingAddress = order.shipping_address || {};
-    const billingAddress = order.billing_address || {};
     const name =
       shippingAddress.first_name || customer.first_name || "Customer";
     const orderName = order.name.replace("#", "") || "Unknown Order";
     const amount = order.total_price || "0";
 
-    const countryCode =
-      order.shipping_address?.country_code ||
-      order.billing_address?.country_code ||
-      "IN";
-
-    const dialCode = getDialCode(countryCode);
-
-    let rawPhone =
-      shippingAddress.phone ||
-      billingAddress.phone ||
-      order?.phone ||
-      customer.phone ||
-      customer?.default_address?.phone ||
-      "";
-    let cleanedPhone = rawPhone.replace(/\s+/g, "").slice(-10);
-    const phoneNumberInternationalFormat = dialCode + cleanedPhone;
+    const recipient = resolveRecipient({ order });
+    if (!recipient.to) {
+      console.log(`Order ${order.name} has no valid phone; skipping message`);
+      return;
+    }
 
     let imageUrl =
       "https://cdn.shopify.com/s/files/1/0655/1352/1302/files/WhatsApp_Image_2025-05-21_at_21.13.58.jpg";
@@ -1676,26 +5098,22 @@ async function sendStorePickupAlert(order) {
       })();
     }
 
-    const payload = {
-      to: phoneNumberInternationalFormat,
-      from: "+919136524727",
-      templateName:
-        process.env.SPA_CAMPAIGN_NAME ||
-        "kaj_store_pickup_alert",
-      language: process.env.DT_LANGUAGE || "en",
-    };
-
     try {
-      const response = await sendDoubleTickTemplateMessage(payload);
-      saveSet(dataFiles.orders, processedOrders, order.id.toString(), "set");
+      const response = await sendEventMessage("store_pickup_alert", {
+        to: recipient.to,
+        recipientSource: recipient.source,
+        context: { name, orderName, amount, orderStatusUrl: orderStatusURL },
+        order,
+        idempotency: { store: "storePickupAlerts", key: order.id.toString() },
+      });
       console.log(`Order confirmation message sent for ${order.cart_token}`);
-      console.log(`Order confirmation sent to ${name} (${cleanedPhone})`);
+      console.log(`Order confirmation sent to ${name} (${recipient.to})`);
     } catch (err) {
       console.error(
         "Order confirmation message error",
-        err?.response?.data || err?.message,
+        describeSendError(err),
       );
-      console.log(`Order confirmation cannot be sent to (${cleanedPhone})`);
+      console.log(`Order confirmation cannot be sent to (${recipient.to})`);
       if (err.response) {
         console.error("Response data:", err.response.data);
         console.error("Response status:", err.response.status);
@@ -1788,36 +5206,26 @@ async function sendLowStockNotification(order) {
       const viewInventoryUrl = `admin/products/${productId}?variant=${variantId}`;
 
       if (currentStock < thresholdQuantity) {
-        const payload = {
-          to: "+917715878352",
-          from: "+919136524727",
-          templateName:
-            process.env.DT_TEMPLATE_LOW_STOCK ||
-            process.env.LSA_TEMPLATE_NAME ||
-            process.env.LSA_CAMPAIGN_NAME,
-          language: process.env.DT_LANGUAGE || "en",
-          bodyPlaceholders: [
-            productTitle.toString(),
-            productCode.toString(),
-            productOption.toString() || "Default Variant",
-            currentStock.toString(),
-            thresholdQuantity.toString(),
-            viewInventoryUrl.toString(),
-          ],
-          headerImageUrl: imageUrl,
-          headerFilename: "product.jpg",
-          buttonUrl: viewInventoryUrl,
-        };
-
         try {
-          await sendDoubleTickTemplateMessage(payload);
+          await sendEventMessage("low_stock_alert", {
+            to: "+917715878352",
+            context: {
+              productTitle: productTitle.toString(),
+              productCode: productCode.toString(),
+              productOption: productOption.toString() || "Default Variant",
+              currentStock: currentStock.toString(),
+              threshold: thresholdQuantity.toString(),
+              inventoryUrl: viewInventoryUrl.toString(),
+              imageUrl,
+            },
+          });
           console.log(
             `Low stock alert sent for ${productTitle} (${productOption})`,
           );
         } catch (err) {
           console.error(
             "Low stock alert message error",
-            err?.response?.data || err?.message,
+            describeSendError(err),
           );
           if (err.response) {
             console.error("Response data: ", err.response.data);
@@ -1838,6 +5246,14 @@ app.post("/webhook/order-confirmation", (req, res) => {
   res.status(200).send("Order confirmation webhook received");
   const order = req.body;
 
+  captureShopifyMarketingConsent(order, "orders/create");
+  attributeRecoveredOrder(order);
+  stopAbandonedCheckoutSequence(
+    { cartToken: order.cart_token, checkoutToken: order.checkout_token },
+    "order_created",
+    { order_id: order.id },
+  );
+
   if (processedOrders.has(order.id.toString())) {
     console.log(`Order ${order.id} already processed`);
     return;
@@ -1846,8 +5262,13 @@ app.post("/webhook/order-confirmation", (req, res) => {
   // processOrder(order);
   sendLowStockNotification(order);
 
-  // Always send order confirmation
-  sendOrderConfirmation(order);
+  // Always send order confirmation; the COD Confirm / Cancel request follows it
+  sendOrderConfirmation(order).then(() =>
+    requestCodConfirmation(order).catch((err) =>
+      console.error("COD confirmation request error:", err?.message || err),
+    ),
+  );
+  scheduleCodPrepaidOffer(order);
 
   // Send an additional Store Pickup message
   if (isStorePickupOrder(order)) {
@@ -1898,23 +5319,11 @@ async function sendFulfillmentMessage(fulfillment) {
       console.log(`Processing fulfillment for order ${orderName} (${orderId})`);
     }
 
-    const countryCode = fulfillment.destination?.country_code || "IN"; // Default to India if not found
-
-    const dialCode = getDialCode(countryCode);
-
-    let rawPhone =
-      customer.phone ||
-      orderData?.shipping_address?.phone ||
-      orderData?.billing_address?.phone ||
-      orderData?.phone ||
-      orderData?.customer?.phone ||
-      orderData?.customer?.default_address?.phone ||
-      "";
-    let cleanedPhone = rawPhone.replace(/\s+/g, "").slice(-10);
-    const phoneNumberInternationalFormat = dialCode + cleanedPhone;
-
-    // const fulfillmentStatusURL = fulfillment.tracking_url;
-    const fulfillmentStatusURL = "https://kaushalyaartjewellery.logisy.tech/track-order/";
+    const recipient = resolveRecipient({ fulfillment, order: orderData });
+    if (!recipient.to) {
+      console.log(`Fulfillment ${fulfillment.id} has no valid phone; skipping message`);
+      return;
+    }
 
     // Product image
     let imageUrl =
@@ -1944,34 +5353,29 @@ async function sendFulfillmentMessage(fulfillment) {
       }
     }
 
-    const payload = {
-      to: phoneNumberInternationalFormat,
-      from: "+919136524727",
-      templateName:
-        process.env.OST_CAMPAIGN_NAME ||
-        process.env.OST_TEMPLATE_NAME ||
-        "kaj_order_shipping_v1",
-      language: process.env.DT_LANGUAGE || "en",
-      bodyPlaceholders: [`${name}`, `${orderName}`, `${trackingNumber}`],
-      headerImageUrl: imageUrl,
-      headerFilename: "product.jpg",
-      buttonUrl: fulfillmentStatusURL,
-    };
-
     try {
-      const response = await sendDoubleTickTemplateMessage(payload);
-      saveSet(
-        dataFiles.fulfillments,
-        processedFulfillments,
-        fulfillment.id.toString(),
-        "set",
-      );
+      const response = await sendEventMessage("shipped", {
+        to: recipient.to,
+        recipientSource: recipient.source,
+        context: {
+          name,
+          orderName,
+          trackingNumber,
+          trackingUrl: fulfillment.tracking_url || "",
+          trackingRedirect: buildShipmentRedirectParam(fulfillment.tracking_url),
+          trackingRedirectUrl: buildShipmentRedirectUrl(fulfillment.tracking_url),
+          amount,
+          imageUrl,
+        },
+        order: orderData,
+        idempotency: { store: "fulfillments", key: fulfillment.id.toString() },
+      });
       console.log("Fulfillment message sent:", response.data);
-      console.log(`Fulfillment message sent to ${name} (${cleanedPhone})`);
+      console.log(`Fulfillment message sent to ${name} (${recipient.to})`);
     } catch (err) {
       console.error(
         "Fulfillment message error",
-        err?.response?.data || err?.message,
+        describeSendError(err),
       );
       console.log(`Fulfillment message cannot be sent`);
       if (err.response) {
@@ -1999,7 +5403,7 @@ app.post("/webhook/fulfillment-creation", (req, res) => {
 // --- Fulfillment Update (Delivery Detection) ---
 // Shopify doesn't provide an order/delivered webhook.
 // Delivery is inferred from fulfillments/update where shipment_status === "delivered".
-async function sendDeliveryNotification(fulfillment) {
+async function sendDeliveryNotification(fulfillment, { idempotencyKey } = {}) {
   const orderId = fulfillment?.order_id;
   const fulfillmentId = fulfillment?.id;
   const shipmentStatus = fulfillment?.shipment_status;
@@ -2016,7 +5420,7 @@ async function sendDeliveryNotification(fulfillment) {
   const trackingNumber = pickFirstTrackingNumber(fulfillment) || "";
   const carrier = pickCarrier(fulfillment) || "";
 
-  if (!isLikelyValidWhatsAppNumberDigits(recipient.digits)) {
+  if (!recipient.to) {
     const err = new Error(
       `No valid phone number found for delivery notification (source=${recipient.source})`,
     );
@@ -2024,24 +5428,16 @@ async function sendDeliveryNotification(fulfillment) {
     throw err;
   }
 
-  const countryCode = recipient.countryCode || "IN";
-  const dialCode = getDialCode(countryCode) || "+91";
-  // Use last 10 digits to match existing message formatting
-  const cleanedPhone = recipient.digits.slice(-10);
-  const phoneNumberInternationalFormat = dialCode + cleanedPhone;
-
-  const payload = {
-    to: phoneNumberInternationalFormat,
-    templateName:
-      process.env.OD_CAMPAIGN_NAME ||
-      "kaj_order_delivered_v3",
-    language: process.env.DT_LANGUAGE || "en",
-    // Template in screenshot: "Hi {{1}}, Your order {{2}} has been delivered..."
-    bodyPlaceholders: [name, `${orderName}`],
-  };
-
   // Fire WhatsApp (or replace with SMS/Email integrations).
-  const resp = await sendDoubleTickTemplateMessage(payload);
+  const resp = await sendEventMessage("delivered", {
+    to: recipient.to,
+    recipientSource: recipient.source,
+    context: { name, orderName, trackingNumber, carrier },
+    locale: recipient.locale,
+    idempotency: idempotencyKey
+      ? { store: "deliveries", key: idempotencyKey }
+      : null,
+  });
   return {
     ok: true,
     shipmentStatus,
@@ -2051,12 +5447,17 @@ async function sendDeliveryNotification(fulfillment) {
     carrier,
     recipientSource: recipient.source,
     providerResponse: resp?.data,
+    outboxId: resp?.outboxId,
   };
 }
 
-async function sendPickupReadyNotification({ order, fulfillmentOrder }) {
-  const recipient = await resolveOrderRecipientForRefund(order);
-  if (!isLikelyValidWhatsAppNumberDigits(recipient.digits)) {
+async function sendPickupReadyNotification({
+  order,
+  fulfillmentOrder,
+  idempotencyKey,
+}) {
+  const recipient = resolveRecipient({ order });
+  if (!recipient.to) {
     const err = new Error(
       `No valid phone number found for pickup-ready notification (source=${recipient.source})`,
     );
@@ -2064,11 +5465,6 @@ async function sendPickupReadyNotification({ order, fulfillmentOrder }) {
     throw err;
   }
 
-  const countryCode = recipient.countryCode || "IN";
-  const dialCode = getDialCode(countryCode) || "+91";
-  const cleanedPhone = recipient.digits.slice(-10);
-  const phoneNumberInternationalFormat = dialCode + cleanedPhone;
-
   const name = recipient.name || "Customer";
   const orderName = order?.name
     ? String(order.name).replace("#", "").split(".")[0]
@@ -2077,17 +5473,15 @@ async function sendPickupReadyNotification({ order, fulfillmentOrder }) {
       : "Unknown Order";
 
   const fulfillmentOrderId = fulfillmentOrder?.id || null;
-  const payload = {
-    to: phoneNumberInternationalFormat,
-    templateName:
-      process.env.ORP_CAMPAIGN_NAME ||
-      process.env.PICKUP_READY_TEMPLATE_NAME ||
-      "kaj_order_ready_for_pickup_v1",
-    language: process.env.DT_LANGUAGE || "en",
-    bodyPlaceholders: [name, `${orderName}`],
-  };
-
-  const resp = await sendDoubleTickTemplateMessage(payload);
+  const resp = await sendEventMessage("pickup_ready", {
+    to: recipient.to,
+    recipientSource: recipient.source,
+    context: { name, orderName },
+    order,
+    idempotency: idempotencyKey
+      ? { store: "pickupReady", key: idempotencyKey }
+      : null,
+  });
   return {
     ok: true,
     fulfillmentOrderId,
@@ -2095,6 +5489,7 @@ async function sendPickupReadyNotification({ order, fulfillmentOrder }) {
     orderName,
     recipientSource: recipient.source,
     providerResponse: resp?.data,
+    outboxId: resp?.outboxId,
   };
 }
 
@@ -2170,6 +5565,26 @@ function saveDeliveryReviewFulfillmentRecords(records) {
   );
 }
 
+function hasReviewMessageBeenSent(fulfillmentId) {
+  const records = loadDeliveryReviewFulfillmentRecords();
+  return Boolean(records[String(fulfillmentId)]?.reviewMessageSent);
+}
+
+function markReviewMessageSent(fulfillmentId) {
+  const records = loadDeliveryReviewFulfillmentRecords();
+  const rec = records[String(fulfillmentId)];
+  if (!rec || rec.reviewMessageSent) return;
+
+  records[String(fulfillmentId)] = {
+    ...rec,
+    reviewMessageSent: true,
+    reviewMessageSentAtMs: Date.now(),
+    reviewMessageSentAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+  };
+  saveDeliveryReviewFulfillmentRecords(records);
+}
+
 function parseDateMs(value) {
   const t = Date.parse(value);
   return Number.isFinite(t) ? t : null;
@@ -2197,16 +5612,11 @@ async function attemptSendReviewForFulfillmentId(fulfillmentId) {
     const delayMs = getReviewDelayMs();
     if (deliveredAtMs > Date.now() - delayMs) return;
 
-    const result = await sendOrderReviewRequestForRecord(rec);
+    // Picked up again by runReviewSchedulerOnce once quiet hours are over.
+    if (getReviewQuietHoursDeferral(rec)) return;
 
-    records[String(fulfillmentId)] = {
-      ...rec,
-      reviewMessageSent: true,
-      reviewMessageSentAtMs: Date.now(),
-      reviewMessageSentAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-    };
-    saveDeliveryReviewFulfillmentRecords(records);
+    const result = await sendOrderReviewRequestForRecord(rec);
+    markReviewMessageSent(fulfillmentId);
 
     appendJsonlLog(deliveryReviewLogFile, {
       event: "review_message_sent",
@@ -2220,7 +5630,7 @@ async function attemptSendReviewForFulfillmentId(fulfillmentId) {
       event: "review_message_sent",
       order_id: null,
       fulfillment_id: fulfillmentId,
-      result: "error",
+      result: sendErrorResult(err),
       error: err?.response?.data || err?.message || String(err),
     });
   } finally {
@@ -2228,6 +5638,14 @@ async function attemptSendReviewForFulfillmentId(fulfillmentId) {
   }
 }
 
+function getReviewQuietHoursDeferral(record) {
+  return getQuietHoursDeferral({
+    phone: record?.recipient?.digits,
+    countryCode: record?.recipient?.countryCode,
+    category: getEventCategory("review_request"),
+  });
+}
+
 function scheduleReviewSendForFulfillmentId(fulfillmentId, deliveredAtMs) {
   if (!fulfillmentId) return;
 
@@ -2289,11 +5707,13 @@ async function upsertDeliveryReviewRecordFromFulfillment(fulfillment, receivedAt
       deliveredAtMs: nextDeliveredAtMs,
       deliveredAt: new Date(nextDeliveredAtMs).toISOString(),
       recipient: {
+        to: recipient?.to || prev?.recipient?.to || null,
         name: recipient?.name || prev?.recipient?.name || "Customer",
         countryCode:
           recipient?.countryCode || prev?.recipient?.countryCode || "IN",
         digits: recipient?.digits || prev?.recipient?.digits || "",
         source: recipient?.source || prev?.recipient?.source || "unknown",
+        locale: recipient?.locale || prev?.recipient?.locale || null,
       },
       reviewMessageSent: Boolean(prev.reviewMessageSent),
       reviewMessageSentAt: prev.reviewMessageSentAt || null,
@@ -2348,10 +5768,12 @@ async function sendOrderReviewRequestForRecord(record) {
 
   const recipient = record?.recipient || {};
   const name = recipient?.name || "Customer";
-  const countryCode = recipient?.countryCode || "IN";
-  const digits = extractDigitsPhone(recipient?.digits);
+  // Records captured before E.164 normalisation only have `digits`.
+  const to = normalizePhoneE164(recipient?.to || recipient?.digits, {
+    countryCode: recipient?.countryCode || "IN",
+  });
 
-  if (!isLikelyValidWhatsAppNumberDigits(digits)) {
+  if (!to) {
     const err = new Error(
       `No valid phone number found for review notification (orderId=${orderId})`,
     );
@@ -2359,10 +5781,6 @@ async function sendOrderReviewRequestForRecord(record) {
     throw err;
   }
 
-  const dialCode = getDialCode(countryCode) || "+91";
-  const cleanedPhone = digits.slice(-10);
-  const phoneNumberInternationalFormat = dialCode + cleanedPhone;
-
   const buttonUrl = buildReviewButtonUrl({ orderId, orderName });
   if (!buttonUrl) {
     const err = new Error(
@@ -2372,23 +5790,22 @@ async function sendOrderReviewRequestForRecord(record) {
     throw err;
   }
 
-  const payload = {
-    to: phoneNumberInternationalFormat,
-    templateName:
-      process.env.OR_CAMPAIGN_NAME ||
-      "kaj_order_review_v2",
-    language: process.env.DT_LANGUAGE || "en",
-    bodyPlaceholders: [name, String(orderName)],
-    buttonUrl,
-  };
-
-  const resp = await sendDoubleTickTemplateMessage(payload);
+  const resp = await sendEventMessage("review_request", {
+    to,
+    recipientSource: recipient?.source || null,
+    context: { name, orderName: String(orderName), orderId, reviewUrl: buttonUrl },
+    locale: recipient?.locale,
+    idempotency: record?.fulfillmentId
+      ? { store: "reviews", key: String(record.fulfillmentId) }
+      : null,
+  });
   return {
     ok: true,
     orderId,
     orderName,
     recipientSource: recipient?.source || null,
     providerResponse: resp?.data,
+    outboxId: resp?.outboxId,
   };
 }
 
@@ -2423,6 +5840,7 @@ async function runReviewSchedulerOnce() {
 
       if (rec.reviewMessageSent) continue;
       if (deliveredAtMs > now - delayMs) continue;
+      if (getReviewQuietHoursDeferral(rec)) continue;
 
       // Use the shared send path (handles idempotency + persistence).
       await attemptSendReviewForFulfillmentId(String(fulfillmentId));
@@ -2434,39 +5852,6 @@ async function runReviewSchedulerOnce() {
 }
 
 async function handleFulfillmentsUpdateWebhook(req, res) {
-  const allowUnverified =
-    String(process.env.ALLOW_UNVERIFIED_SHOPIFY_WEBHOOKS || "").toLowerCase() ===
-    "true";
-
-  const topic = (req.get("X-Shopify-Topic") || "").trim();
-  const shopDomain = (req.get("X-Shopify-Shop-Domain") || "").trim();
-
-  // Only accept the specific Shopify topic we rely on for delivery status.
-  if (topic && topic !== "fulfillments/update") {
-    res.status(200).send("OK");
-    appendJsonlLog(deliveryWebhookLogFile, {
-      event: "fulfillments/update",
-      result: "ignored",
-      reason: "wrong_topic",
-      topic,
-      shop_domain: shopDomain || null,
-    });
-    return;
-  }
-
-  // Note: no shop-domain allowlist here; HMAC verification is the security gate.
-
-  if (!allowUnverified && !verifyShopifyWebhookHmac(req)) {
-    appendJsonlLog(deliveryWebhookLogFile, {
-      event: "fulfillments/update",
-      result: "rejected",
-      reason: "invalid_hmac",
-      topic: topic || null,
-      shop_domain: shopDomain || null,
-    });
-    return res.status(401).send("Invalid webhook signature");
-  }
-
   // Always acknowledge quickly to Shopify
   res.status(200).send("OK");
 
@@ -2532,7 +5917,9 @@ async function handleFulfillmentsUpdateWebhook(req, res) {
     try {
       if (hasDeliveryBeenNotified(idempotencyKey)) return;
 
-      const result = await sendDeliveryNotification(fulfillment);
+      const result = await sendDeliveryNotification(fulfillment, {
+        idempotencyKey,
+      });
       markDeliveryNotified(idempotencyKey);
 
       appendJsonlLog(deliveryWebhookLogFile, {
@@ -2555,7 +5942,7 @@ async function handleFulfillmentsUpdateWebhook(req, res) {
         fulfillment_id: fulfillmentId || null,
         tracking_number: trackingNumber || null,
         carrier: carrier || null,
-        result: "error",
+        result: sendErrorResult(err),
         idempotency_key: idempotencyKey,
         error: err?.response?.data || err?.message || String(err),
         payload: fulfillment,
@@ -2581,40 +5968,6 @@ app.post(
 // --- Fulfillment Orders (Local Pickup Prepared For Pickup) ---
 // Shopify's dedicated webhook for "Ready for pickup" events.
 async function handleFulfillmentOrderPreparedForPickupWebhook(req, res) {
-  const allowUnverified =
-    String(process.env.ALLOW_UNVERIFIED_SHOPIFY_WEBHOOKS || "").toLowerCase() ===
-    "true";
-
-  const topic = (req.get("X-Shopify-Topic") || "").trim();
-  const shopDomain = (req.get("X-Shopify-Shop-Domain") || "").trim();
-
-  if (topic && topic !== "fulfillment_orders/line_items_prepared_for_pickup") {
-    res.status(200).send("OK");
-    appendJsonlLog(pickupReadyWebhookLogFile, {
-      event: "fulfillment_orders/line_items_prepared_for_pickup",
-      subtype: "pickup_ready",
-      result: "ignored",
-      reason: "wrong_topic",
-      topic,
-      shop_domain: shopDomain || null,
-    });
-    return;
-  }
-
-  // Note: no shop-domain allowlist here; HMAC verification is the security gate.
-
-  if (!allowUnverified && !verifyShopifyWebhookHmac(req)) {
-    appendJsonlLog(pickupReadyWebhookLogFile, {
-      event: "fulfillment_orders/line_items_prepared_for_pickup",
-      subtype: "pickup_ready",
-      result: "rejected",
-      reason: "invalid_hmac",
-      topic: topic || null,
-      shop_domain: shopDomain || null,
-    });
-    return res.status(401).send("Invalid webhook signature");
-  }
-
   // Always acknowledge quickly to Shopify
   res.status(200).send("OK");
 
@@ -2708,6 +6061,7 @@ async function handleFulfillmentOrderPreparedForPickupWebhook(req, res) {
       const result = await sendPickupReadyNotification({
         order,
         fulfillmentOrder,
+        idempotencyKey,
       });
 
       markPickupReadyNotified(idempotencyKey);
@@ -2726,7 +6080,7 @@ async function handleFulfillmentOrderPreparedForPickupWebhook(req, res) {
       appendJsonlLog(pickupReadyWebhookLogFile, {
         event: "fulfillment_orders/line_items_prepared_for_pickup",
         subtype: "pickup_ready",
-        result: err?.code === "NO_VALID_PHONE" ? "ignored" : "error",
+        result: err?.code === "NO_VALID_PHONE" ? "ignored" : sendErrorResult(err),
         reason: err?.code === "NO_VALID_PHONE" ? "no_valid_phone" : undefined,
         order_id: orderId,
         idempotency_key: idempotencyKey,
@@ -2750,40 +6104,6 @@ app.post(
 // --- Orders/Updated (Local Pickup Ready For Pickup) ---
 // Production-safe path: detect pickup READY_FOR_PICKUP via Fulfillment Orders.
 async function handleOrdersUpdatedPickupReadyWebhook(req, res) {
-  const allowUnverified =
-    String(process.env.ALLOW_UNVERIFIED_SHOPIFY_WEBHOOKS || "").toLowerCase() ===
-    "true";
-
-  const topic = (req.get("X-Shopify-Topic") || "").trim();
-  const shopDomain = (req.get("X-Shopify-Shop-Domain") || "").trim();
-
-  if (topic && topic !== "orders/updated") {
-    res.status(200).send("OK");
-    appendJsonlLog(pickupReadyWebhookLogFile, {
-      event: "orders/updated",
-      subtype: "pickup_ready",
-      result: "ignored",
-      reason: "wrong_topic",
-      topic,
-      shop_domain: shopDomain || null,
-    });
-    return;
-  }
-
-  // Note: no shop-domain allowlist here; HMAC verification is the security gate.
-
-  if (!allowUnverified && !verifyShopifyWebhookHmac(req)) {
-    appendJsonlLog(pickupReadyWebhookLogFile, {
-      event: "orders/updated",
-      subtype: "pickup_ready",
-      result: "rejected",
-      reason: "invalid_hmac",
-      topic: topic || null,
-      shop_domain: shopDomain || null,
-    });
-    return res.status(401).send("Invalid webhook signature");
-  }
-
   res.status(200).send("OK");
 
   const payload = req.body || {};
@@ -2854,6 +6174,7 @@ async function handleOrdersUpdatedPickupReadyWebhook(req, res) {
       const result = await sendPickupReadyNotification({
         order,
         fulfillmentOrder: null,
+        idempotencyKey,
       });
 
       markPickupReadyNotified(idempotencyKey);
@@ -2872,7 +6193,7 @@ async function handleOrdersUpdatedPickupReadyWebhook(req, res) {
       appendJsonlLog(pickupReadyWebhookLogFile, {
         event: "orders/updated",
         subtype: "pickup_ready",
-        result: err?.code === "NO_VALID_PHONE" ? "ignored" : "error",
+        result: err?.code === "NO_VALID_PHONE" ? "ignored" : sendErrorResult(err),
         reason: err?.code === "NO_VALID_PHONE" ? "no_valid_phone" : undefined,
         order_id: orderId,
         idempotency_key: idempotencyKey,
@@ -2897,38 +6218,6 @@ app.post(
 // Shopify refunds/create is the ONLY reliable trigger.
 // Only notify when refund.transactions includes a successful store_credit refund transaction.
 async function handleRefundsCreateWebhook(req, res) {
-  const allowUnverified =
-    String(process.env.ALLOW_UNVERIFIED_SHOPIFY_WEBHOOKS || "").toLowerCase() ===
-    "true";
-
-  const topic = (req.get("X-Shopify-Topic") || "").trim();
-  const shopDomain = (req.get("X-Shopify-Shop-Domain") || "").trim();
-
-  if (topic && topic !== "refunds/create") {
-    res.status(200).send("OK");
-    appendJsonlLog(storeCreditRefundWebhookLogFile, {
-      event: "refunds/create",
-      result: "ignored",
-      reason: "wrong_topic",
-      topic,
-      shop_domain: shopDomain || null,
-    });
-    return;
-  }
-
-  // Note: no shop-domain allowlist here; HMAC verification is the security gate.
-
-  if (!allowUnverified && !verifyShopifyWebhookHmac(req)) {
-    appendJsonlLog(storeCreditRefundWebhookLogFile, {
-      event: "refunds/create",
-      result: "rejected",
-      reason: "invalid_hmac",
-      topic: topic || null,
-      shop_domain: shopDomain || null,
-    });
-    return res.status(401).send("Invalid webhook signature");
-  }
-
   // Always acknowledge quickly to Shopify
   res.status(200).send("OK");
 
@@ -3046,7 +6335,7 @@ async function handleRefundsCreateWebhook(req, res) {
     } catch (err) {
       appendJsonlLog(storeCreditRefundWebhookLogFile, {
         event: "refunds/create",
-        result: "error",
+        result: sendErrorResult(err),
         refund_id: refundId,
         order_id: orderId || null,
         amount,
@@ -3085,6 +6374,8 @@ app.post("/webhook/order-cancellation", (req, res) => {
     return;
   }
   global.__processedCancellations.add(String(orderId));
+  cancelCodPrepaidOffer(orderId, "order_cancelled");
+  resolveCodConfirmation(orderId, "order_cancelled");
   (async () => {
     try {
       console.log(
@@ -3108,35 +6399,19 @@ app.post("/webhook/order-cancellation", (req, res) => {
         : String(orderId);
       const amount = fullOrder.total_price || fullOrder.subtotal_price || "0";
 
-      const countryCode =
-        shipping?.country_code ||
-        fullOrder?.billing_address?.country_code ||
-        "IN";
-      const dialCode = getDialCode(countryCode) || "+91";
-
-      const rawPhone =
-        shipping.phone ||
-        fullOrder?.billing_address?.phone ||
-        customer.phone ||
-        customer?.default_address?.phone ||
-        fullOrder.phone ||
-        "";
-      const cleanedPhone = rawPhone.replace(/\D/g, "").slice(-10);
-      const phoneNumberInternationalFormat = dialCode + cleanedPhone;
-
-      const payload = {
-        to: phoneNumberInternationalFormat,
-        from: "+919136524727",
-        templateName:
-          process.env.OCD_CAMPAIGN_NAME ||
-          process.env.OCD_TEMPLATE_NAME ||
-          "kaj_order_cancellation_v1",
-        language: process.env.DT_LANGUAGE || "en",
-        bodyPlaceholders: [name, `${orderName}`, `₹${amount}`],
-      };
+      const recipient = resolveRecipient({ order: fullOrder });
+      if (!recipient.to) {
+        console.log(`Order ${orderId} has no valid phone; skipping cancellation message`);
+        return;
+      }
 
       try {
-        const resp = await sendDoubleTickTemplateMessage(payload);
+        const resp = await sendEventMessage("order_cancelled", {
+          to: recipient.to,
+          recipientSource: recipient.source,
+          context: { name, orderName, amount },
+          order: fullOrder,
+        });
         console.log(
           `Order cancellation WhatsApp sent for order ${orderId}:`,
           resp.data || "(no body)",
@@ -3144,28 +6419,258 @@ app.post("/webhook/order-cancellation", (req, res) => {
       } catch (err) {
         console.error(
           "Failed to send order cancellation WhatsApp:",
-          err.response?.data || err.message,
+          describeSendError(err),
         );
       }
-    } catch (err) {
-      console.error(
-        "Unexpected error processing order cancellation:",
-        err?.message,
+    } catch (err) {
+      console.error(
+        "Unexpected error processing order cancellation:",
+        err?.message,
+      );
+    }
+  })();
+});
+
+// --- Short Links ---
+// Tracked template buttons (shortLinks.js). Bad or expired codes get a 404.
+app.get("/l/:code", (req, res) => {
+  let result;
+  try {
+    result = recordShortLinkClick(req.params.code, {
+      userAgent: req.get("user-agent") || null,
+    });
+  } catch (err) {
+    console.error("Short link lookup failed:", err?.message || err);
+    result = { rejected: "error" };
+  }
+
+  if (!result.destination) {
+    return res.status(404).send("This link is invalid or has expired.");
+  }
+  return res.redirect(302, result.destination);
+});
+
+// --- Redirect Service ---
+// /redirect_for_shipment?link=<url>&sig=<hmac> is the tracking button of
+// shipping templates whose button URL is
+// https://<HOST_NAME>/redirect_for_shipment?link={{1}}. It only redirects to
+// links signed with REDIRECT_LINK_SECRET (buildShipmentRedirectParam fills
+// {{1}} with the link and its signature) or to hosts in
+// REDIRECT_ALLOWED_HOSTS; anything else is refused and logged.
+const DEFAULT_REDIRECT_ALLOWED_HOSTS = ["kaushalyaartjewellery.logisy.tech"];
+const DEFAULT_TRACKING_PAGE_URL = "https://kaushalyaartjewellery.logisy.tech/track-order/";
+
+function signShipmentRedirect(link) {
+  const secret = String(process.env.REDIRECT_LINK_SECRET || "");
+  if (!secret) return null;
+  return crypto.createHmac("sha256", secret).update(String(link)).digest("hex").slice(0, 32);
+}
+
+// The {{1}} value for a shipping template's redirect button: the link and
+// its signature. Without REDIRECT_LINK_SECRET the link goes unsigned if its
+// host is allowlisted, which the route accepts. Missing, malformed or (unsigned)
+// foreign links fall back to the tracking page.
+function buildShipmentRedirectParam(link) {
+  let target = DEFAULT_TRACKING_PAGE_URL;
+  try {
+    if (link && ["http:", "https:"].includes(new URL(link).protocol)) target = link;
+  } catch {
+    // ignore
+  }
+  const sig = signShipmentRedirect(target);
+  if (sig) return `${encodeURIComponent(target)}&sig=${sig}`;
+  if (!isAllowedRedirectHost(new URL(target).hostname)) target = DEFAULT_TRACKING_PAGE_URL;
+  return encodeURIComponent(target);
+}
+
+// The full /redirect_for_shipment URL for a link, for buttons whose template
+// doesn't carry the route itself (the shipped tracked short link).
+function buildShipmentRedirectUrl(link) {
+  const base =
+    String(process.env.PUBLIC_BASE_URL || "").trim().replace(/\/+$/, "") ||
+    `https://${process.env.HOST_NAME}`;
+  return `${base}/redirect_for_shipment?link=${buildShipmentRedirectParam(link)}`;
+}
+
+function isSignedShipmentRedirect(link, sig) {
+  const expected = signShipmentRedirect(link);
+  if (!expected || typeof sig !== "string" || sig.length !== expected.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(sig));
+}
+
+// Exact host or a subdomain of it. The store and Shopify domains are always
+// allowed.
+function isAllowedRedirectHost(hostname) {
+  const host = String(hostname || "").toLowerCase();
+  let storeHost = "";
+  try {
+    storeHost = new URL(getStoreContactDetails().website).hostname;
+  } catch {
+    // ignore
+  }
+  const configured = parseTagList(process.env.REDIRECT_ALLOWED_HOSTS);
+  return [
+    ...(configured.length ? configured : DEFAULT_REDIRECT_ALLOWED_HOSTS),
+    storeHost,
+    process.env.SHOPIFY_DOMAIN,
+  ]
+    .map((h) => String(h || "").toLowerCase().replace(/^\*?\./, ""))
+    .filter(Boolean)
+    .some((allowed) => host === allowed || host.endsWith(`.${allowed}`));
+}
+
+app.get("/redirect_for_shipment", (req, res) => {
+  const target = req.query.link;
+  const reject = (reason, status = 400) => {
+    appendJsonlLog(redirectLogFile, {
+      event: "redirect_rejected",
+      reason,
+      link: typeof target === "string" ? target.slice(0, 500) : null,
+      ip: req.ip || null,
+      user_agent: req.get("user-agent") || null,
+      referer: req.get("referer") || null,
+    });
+    return res.status(status).send("This link is not allowed.");
+  };
+
+  if (!target || typeof target !== "string") {
+    return res.status(400).send("Missing or invalid 'link' parameter.");
+  }
+
+  let url;
+  try {
+    url = new URL(target);
+  } catch {
+    return reject("invalid_url");
+  }
+  if (!["http:", "https:"].includes(url.protocol)) return reject("invalid_protocol");
+
+  if (req.query.sig !== undefined) {
+    if (isSignedShipmentRedirect(target, req.query.sig)) return res.redirect(target);
+    return reject("bad_signature", 403);
+  }
+  if (isAllowedRedirectHost(url.hostname)) return res.redirect(target);
+  return reject("host_not_allowed", 403);
+});
+
+// --- Order Lookup (shared by /order-tracking and inbound TRACK) ---
+function lastTenDigits(value) {
+  return (value ? value.toString().replace(/[^0-9]/g, "") : "").slice(-10);
+}
+
+// Latest fulfillment of an order, or null
+async function getLatestFulfillment(orderId) {
+  try {
+    const f = await client.get({ path: `orders/${orderId}/fulfillments` });
+    const list = f.body.fulfillments || [];
+    return list.length ? list[list.length - 1] : null;
+  } catch {
+    return null;
+  }
+}
+
+function formatTracking(f) {
+  return {
+    tracking_number: f?.tracking_number || "Not Available",
+    tracking_url: f?.tracking_url || null,
+    courier: f?.tracking_company || "Not Specified",
+    status: f?.shipment_status || "pending",
+    estimated_delivery: f?.estimated_delivery_at || null,
+  };
+}
+
+function extractOrderPhones(o) {
+  const arr = [];
+  arr.push(lastTenDigits(o?.billing_address?.phone));
+  arr.push(lastTenDigits(o?.shipping_address?.phone));
+  arr.push(lastTenDigits(o?.customer?.phone));
+  arr.push(lastTenDigits(o?.customer?.default_address?.phone));
+  arr.push(lastTenDigits(o?.phone));
+  // Sometimes captured in note attributes under various keys
+  if (Array.isArray(o?.note_attributes)) {
+    o.note_attributes.forEach((attr) => {
+      const key = (attr.name || "").toLowerCase();
+      if (
+        key.includes("phone") ||
+        key.includes("whatsapp") ||
+        key.includes("mobile") ||
+        key.includes("contact")
+      ) {
+        arr.push(lastTenDigits(attr.value));
+      }
+    });
+  }
+  return arr.filter(Boolean);
+}
+
+// Orders whose phone (any address, customer or note attribute) matches.
+// Scans the latest 250 orders first, then falls back to a customer search.
+async function findOrdersByPhone(phone) {
+  const target = lastTenDigits(phone);
+  if (!target) return [];
+
+  const resp = await client.get({
+    path: "orders",
+    query: { status: "any", limit: 250 },
+  });
+
+  let orders = resp.body.orders || [];
+  let matchedByPhone = orders.filter((o) =>
+    extractOrderPhones(o).some((p) => p === target),
+  );
+
+  // Fallback: if no recent orders match by phone, search customers by phone and fetch their orders
+  if (!matchedByPhone.length) {
+    const phoneVariants = (() => {
+      const v = [];
+      // bare last 10, +<last10>, country-specific
+      v.push(target);
+      v.push(`+${target}`);
+      v.push(`+91${target}`);
+      v.push(`91${target}`);
+      v.push(`+1${target}`);
+      return v;
+    })();
+
+    let customers = [];
+    for (const pv of phoneVariants) {
+      try {
+        const c = await client.get({
+          path: "customers/search",
+          query: { query: `phone:${pv}` },
+        });
+        if (Array.isArray(c.body.customers) && c.body.customers.length) {
+          customers = c.body.customers;
+          break;
+        }
+      } catch (e) {
+        // ignore and try next variant
+      }
+    }
+
+    if (customers.length) {
+      const allOrders = [];
+      for (const cust of customers) {
+        try {
+          const o = await client.get({
+            path: "orders",
+            query: { status: "any", limit: 250, customer_id: cust.id },
+          });
+          if (Array.isArray(o.body.orders))
+            allOrders.push(...o.body.orders);
+        } catch (e) {
+          // continue
+        }
+      }
+      orders = allOrders;
+      matchedByPhone = orders.filter((o) =>
+        extractOrderPhones(o).some((p) => p === target),
       );
     }
-  })();
-});
-
-// --- Redirect Service ---
-app.get("/redirect_for_shipment", (req, res) => {
-  const target = req.query.link;
-
-  if (!target || typeof target !== "string") {
-    return res.status(400).send("Missing or invalid 'link' parameter.");
   }
 
-  return res.redirect(target);
-});
+  return matchedByPhone;
+}
 
 // --- 1️⃣ CORS Middleware for Order Tracking ---
 function corsForOrderTracking(req, res, next) {
@@ -3202,51 +6707,6 @@ app.get("/order-tracking", corsForOrderTracking, async (req, res) => {
     const { order, order_id, name, phone } = req.query;
 
     const clean = (v) => (v ? v.toString().trim().toLowerCase() : "");
-    const digits = (v) => (v ? v.toString().replace(/[^0-9]/g, "") : "");
-    const last10 = (v) => digits(v).slice(-10);
-
-    // Helper: latest fulfillment
-    async function getFulfillment(orderId) {
-      try {
-        const f = await client.get({ path: `orders/${orderId}/fulfillments` });
-        const list = f.body.fulfillments || [];
-        return list.length ? list[list.length - 1] : null;
-      } catch {
-        return null;
-      }
-    }
-
-    const formatTracking = (f) => ({
-      tracking_number: f?.tracking_number || "Not Available",
-      tracking_url: f?.tracking_url || null,
-      courier: f?.tracking_company || "Not Specified",
-      status: f?.shipment_status || "pending",
-      estimated_delivery: f?.estimated_delivery_at || null,
-    });
-
-    const extractPhones = (o) => {
-      const arr = [];
-      arr.push(last10(o?.billing_address?.phone));
-      arr.push(last10(o?.shipping_address?.phone));
-      arr.push(last10(o?.customer?.phone));
-      arr.push(last10(o?.customer?.default_address?.phone));
-      arr.push(last10(o?.phone));
-      // Sometimes captured in note attributes under various keys
-      if (Array.isArray(o.note_attributes)) {
-        o.note_attributes.forEach((attr) => {
-          const key = (attr.name || "").toLowerCase();
-          if (
-            key.includes("phone") ||
-            key.includes("whatsapp") ||
-            key.includes("mobile") ||
-            key.includes("contact")
-          ) {
-            arr.push(last10(attr.value));
-          }
-        });
-      }
-      return arr.filter(Boolean);
-    };
 
     const getCandidateNames = (o) => {
       const names = [];
@@ -3279,68 +6739,8 @@ app.get("/order-tracking", corsForOrderTracking, async (req, res) => {
 
     // Name + phone lookup
     if (name && phone) {
-      const target = last10(phone);
       const targetName = clean(name);
-
-      const resp = await client.get({
-        path: "orders",
-        query: { status: "any", limit: 250 },
-      });
-
-      let orders = resp.body.orders || [];
-      let matchedByPhone = orders.filter((o) =>
-        extractPhones(o).some((p) => p === target),
-      );
-
-      // Fallback: if no recent orders match by phone, search customers by phone and fetch their orders
-      if (!matchedByPhone.length) {
-        const phoneVariants = (() => {
-          const v = [];
-          // bare last 10, +<last10>, country-specific
-          v.push(target);
-          v.push(`+${target}`);
-          v.push(`+91${target}`);
-          v.push(`91${target}`);
-          v.push(`+1${target}`);
-          return v;
-        })();
-
-        let customers = [];
-        for (const pv of phoneVariants) {
-          try {
-            const c = await client.get({
-              path: "customers/search",
-              query: { query: `phone:${pv}` },
-            });
-            if (Array.isArray(c.body.customers) && c.body.customers.length) {
-              customers = c.body.customers;
-              break;
-            }
-          } catch (e) {
-            // ignore and try next variant
-          }
-        }
-
-        if (customers.length) {
-          const allOrders = [];
-          for (const cust of customers) {
-            try {
-              const o = await client.get({
-                path: "orders",
-                query: { status: "any", limit: 250, customer_id: cust.id },
-              });
-              if (Array.isArray(o.body.orders))
-                allOrders.push(...o.body.orders);
-            } catch (e) {
-              // continue
-            }
-          }
-          orders = allOrders;
-          matchedByPhone = orders.filter((o) =>
-            extractPhones(o).some((p) => p === target),
-          );
-        }
-      }
+      const matchedByPhone = await findOrdersByPhone(phone);
 
       if (!matchedByPhone.length) {
         return res.json({
@@ -3357,7 +6757,7 @@ app.get("/order-tracking", corsForOrderTracking, async (req, res) => {
         // Still return tracking for phone-only matches to be helpful
         const results = [];
         for (const o of matchedByPhone) {
-          const f = await getFulfillment(o.id);
+          const f = await getLatestFulfillment(o.id);
           results.push({ id: o.id, name: o.name, tracking: formatTracking(f) });
         }
         return res.json({
@@ -3369,7 +6769,7 @@ app.get("/order-tracking", corsForOrderTracking, async (req, res) => {
 
       const results = [];
       for (const o of matchedFinal) {
-        const f = await getFulfillment(o.id);
+        const f = await getLatestFulfillment(o.id);
         results.push({ id: o.id, name: o.name, tracking: formatTracking(f) });
       }
       return res.json({ orders: results });
@@ -3399,7 +6799,7 @@ app.get("/order-tracking", corsForOrderTracking, async (req, res) => {
       targetID = found.id;
     }
 
-    const f = await getFulfillment(targetID);
+    const f = await getLatestFulfillment(targetID);
     return res.json({
       orders: [
         {
@@ -3475,10 +6875,7 @@ app.post("/webhook/refund-processed", async (req, res) => {
           refundEntity?.notes?.contact ||
           ""
         ).toString();
-        const cleanedPhone = rawPhone.replace(/\D/g, "").slice(-10);
-        const countryCode = "IN";
-        const dialCode = getDialCode(countryCode) || "+91";
-        const phoneNumber = dialCode + cleanedPhone;
+        const paymentPhone = normalizePhoneE164(rawPhone);
 
         // Resolve Shopify order: direct id or search by phone/email
         let shopifyOrder = null;
@@ -3498,10 +6895,10 @@ app.post("/webhook/refund-processed", async (req, res) => {
         if (!shopifyOrder) {
           try {
             let resp = null;
-            if (cleanedPhone) {
+            if (paymentPhone) {
               resp = await client.get({
                 path: "orders",
-                query: { status: "any", limit: 1, phone: cleanedPhone },
+                query: { status: "any", limit: 1, phone: paymentPhone },
               });
             }
             if ((!resp || !resp.body?.orders?.length) && paymentEntity?.email) {
@@ -3531,23 +6928,27 @@ app.post("/webhook/refund-processed", async (req, res) => {
           ? rawMethod.toLowerCase().replace(/(^|\s)\S/g, (t) => t.toUpperCase())
           : "";
 
-        const aiPayload = {
-          to: phoneNumber,
-          from: "+919136524727",
-          templateName:
-            process.env.RP_TEMPLATE_NAME ||
-            "kaj_refund_processed_v1",
-          language: process.env.DT_LANGUAGE || "en",
-          bodyPlaceholders: [`${amount}`, method],
-        };
+        const recipient = resolveRecipient({
+          payment: { contact: rawPhone },
+          order: shopifyOrder,
+        });
+        if (!recipient.to) {
+          console.log("Refund webhook has no valid phone; skipping message");
+          return;
+        }
 
         try {
-          const r = await sendDoubleTickTemplateMessage(aiPayload);
+          const r = await sendEventMessage("refund_processed", {
+            to: recipient.to,
+            recipientSource: recipient.source,
+            context: { amount, method },
+            order: shopifyOrder,
+          });
           console.log("Refund message sent:", r.data || "(no body)");
         } catch (err) {
           console.error(
             "Failed to send refund message:",
-            err?.response?.data || err.message,
+            describeSendError(err),
           );
         }
       } catch (err) {
@@ -3564,6 +6965,735 @@ app.post("/webhook/refund-processed", async (req, res) => {
 
 
 
+// --- Inbound WhatsApp Messages ---
+// The first word of a customer's message is treated as a command:
+//   STOP / UNSUBSCRIBE  -> opt out of WhatsApp notifications
+//   START               -> opt back in
+//   TRACK [order no.]   -> tracking from the same lookup as /order-tracking
+//   HELP                -> store contact details
+// Confirm / Cancel replies to a COD confirmation request are handled first
+// (see "COD Order Confirmation"). Anything else is forwarded to support
+// together with the customer's recent orders. Replies go out as free-form text through the receiving provider.
+// STOP / START are stored in the consent registry (consentRegistry.js).
+const INBOUND_STOP_COMMANDS = ["STOP", "STOPALL", "UNSUBSCRIBE", "OPTOUT"];
+const INBOUND_START_COMMANDS = ["START", "UNSTOP", "SUBSCRIBE"];
+const INBOUND_RECENT_ORDERS_LIMIT = 3;
+
+function parseInboundCommand(text) {
+  const words = String(text || "").trim().split(/\s+/);
+  return {
+    command: String(words[0] || "").toUpperCase().replace(/[^A-Z]/g, ""),
+    args: words.slice(1).join(" ").trim(),
+  };
+}
+
+function getStoreContactDetails() {
+  return {
+    name: process.env.STORE_NAME || "Kaushalya Art Jewellery",
+    phone: process.env.STORE_SUPPORT_PHONE || "",
+    email: process.env.STORE_SUPPORT_EMAIL || "",
+    hours: process.env.STORE_SUPPORT_HOURS || "",
+    website: process.env.STORE_WEBSITE_URL || "https://www.kaushalyaartjewellery.com",
+  };
+}
+
+function buildHelpReply() {
+  const store = getStoreContactDetails();
+  return [
+    `${store.name} support`,
+    store.phone ? `Phone: ${store.phone}` : null,
+    store.email ? `Email: ${store.email}` : null,
+    store.hours ? `Hours: ${store.hours}` : null,
+    store.website ? `Website: ${store.website}` : null,
+    "",
+    "Reply TRACK to see your latest order status, or STOP to unsubscribe.",
+  ]
+    .filter((line) => line !== null)
+    .join("\n");
+}
+
+function describeOrderTracking(order, fulfillment) {
+  if (order?.cancelled_at) return `${order.name}: cancelled`;
+  if (!fulfillment) return `${order.name}: being prepared, not shipped yet`;
+
+  const tracking = formatTracking(fulfillment);
+  return [
+    `${order.name}: ${String(tracking.status).replace(/_/g, " ")}`,
+    `Courier: ${tracking.courier}`,
+    `Tracking no.: ${tracking.tracking_number}`,
+    tracking.tracking_url ? `Track: ${tracking.tracking_url}` : null,
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+async function buildTrackReply(from, args) {
+  const target = lastTenDigits(from);
+  let orders = [];
+
+  const orderNumber = String(args || "").replace(/[^0-9A-Za-z-]/g, "");
+  if (orderNumber) {
+    const resp = await client.get({
+      path: "orders",
+      query: { name: orderNumber, limit: 1, status: "any" },
+    });
+    // Only share tracking for orders placed with the sender's number.
+    orders = (resp.body.orders || []).filter((o) =>
+      extractOrderPhones(o).includes(target),
+    );
+  } else {
+    orders = (await findOrdersByPhone(from))
+      .sort((a, b) => parseDateMs(b.created_at) - parseDateMs(a.created_at))
+      .slice(0, INBOUND_RECENT_ORDERS_LIMIT);
+  }
+
+  if (!orders.length) {
+    return orderNumber
+      ? `We couldn't find order ${orderNumber} for this number. Reply HELP to reach us.`
+      : "We couldn't find any orders for this number. Reply HELP to reach us.";
+  }
+
+  const parts = [];
+  for (const order of orders) {
+    parts.push(describeOrderTracking(order, await getLatestFulfillment(order.id)));
+  }
+  return parts.join("\n\n");
+}
+
+function summarizeOrderForSupport(order) {
+  return {
+    id: order.id,
+    name: order.name,
+    createdAt: order.created_at,
+    total: formatMoney(order.total_price, order.currency),
+    financialStatus: order.financial_status || null,
+    fulfillmentStatus: order.fulfillment_status || "unfulfilled",
+    cancelled: Boolean(order.cancelled_at),
+  };
+}
+
+// SUPPORT_FORWARD_WEBHOOK_URL receives JSON (helpdesk / Slack relay);
+// SUPPORT_WHATSAPP_NUMBER gets a text summary. Either or both may be set.
+async function forwardInboundToSupport(provider, message) {
+  let recentOrders = [];
+  try {
+    recentOrders = (await findOrdersByPhone(message.from))
+      .sort((a, b) => parseDateMs(b.created_at) - parseDateMs(a.created_at))
+      .slice(0, INBOUND_RECENT_ORDERS_LIMIT)
+      .map(summarizeOrderForSupport);
+  } catch (err) {
+    console.error("Failed to load recent orders for inbound message:", err?.message || err);
+  }
+
+  const result = { recentOrders: recentOrders.map((o) => o.name), targets: [] };
+
+  const webhookUrl = String(process.env.SUPPORT_FORWARD_WEBHOOK_URL || "").trim();
+  if (webhookUrl) {
+    try {
+      await axios.post(webhookUrl, {
+        provider,
+        from: message.from,
+        name: message.name || null,
+        text: message.text,
+        receivedAt: message.at,
+        recentOrders,
+      });
+      result.targets.push({ type: "webhook", ok: true });
+    } catch (err) {
+      result.targets.push({ type: "webhook", ok: false, error: err?.message || String(err) });
+    }
+  }
+
+  const supportNumber = String(process.env.SUPPORT_WHATSAPP_NUMBER || "").trim();
+  if (supportNumber) {
+    const text = [
+      `WhatsApp message from ${message.name || "customer"} (+${message.from}):`,
+      `"${message.text}"`,
+      "",
+      recentOrders.length ? "Recent orders:" : "No orders found for this number.",
+      ...recentOrders.map(
+        (o) =>
+          `${o.name} · ${String(o.createdAt || "").slice(0, 10)} · ${o.total} · ${o.financialStatus || "-"} / ${o.cancelled ? "cancelled" : o.fulfillmentStatus}`,
+      ),
+    ].join("\n");
+    try {
+      await sendTextMessage({ to: supportNumber, text }, { provider });
+      result.targets.push({ type: "whatsapp", ok: true });
+    } catch (err) {
+      result.targets.push({
+        type: "whatsapp",
+        ok: false,
+        error: err?.response?.data || err?.message || String(err),
+      });
+    }
+  }
+
+  return result;
+}
+
+// `authenticatedBy` says how the webhook proved it came from the provider
+// ("signature" or "token"); COD answers are only acted on when it is set.
+async function handleInboundMessage(provider, message, { authenticatedBy = null } = {}) {
+  if (message.messageId) {
+    const seen = loadSet(dataFiles.inboundMessages, "set");
+    const key = `${provider}:${message.messageId}`;
+    if (seen.has(key)) return;
+    saveSet(dataFiles.inboundMessages, seen, key);
+  }
+
+  const { command, args } = parseInboundCommand(message.text || message.buttonPayload);
+  let action;
+  let reply = null;
+  let forwarded = null;
+  const codReply = authenticatedBy ? matchCodConfirmationReply(message) : null;
+
+  if (codReply) {
+    action = `cod_${codReply.decision}`;
+    reply = await handleCodConfirmationReply(codReply, message, { authenticatedBy });
+  } else if (INBOUND_STOP_COMMANDS.includes(command)) {
+    action = "opt_out";
+    setWhatsAppConsent(message.from, "opted_out", {
+      scope: "all",
+      source: "inbound_stop",
+      note: message.text,
+    });
+    reply = "You have been unsubscribed from WhatsApp updates. Reply START to subscribe again.";
+  } else if (INBOUND_START_COMMANDS.includes(command)) {
+    action = "opt_in";
+    setWhatsAppConsent(message.from, "opted_in", { source: "inbound_start" });
+    reply = "You are subscribed to WhatsApp updates again. Reply STOP to unsubscribe.";
+  } else if (command === "TRACK") {
+    action = "track";
+    reply = await buildTrackReply(message.from, args);
+  } else if (command === "HELP") {
+    action = "help";
+    reply = buildHelpReply();
+  } else {
+    action = "forward_to_support";
+    forwarded = await forwardInboundToSupport(provider, message);
+  }
+
+  let replyResult = null;
+  if (reply) {
+    try {
+      const resp = await sendTextMessage({ to: message.from, text: reply }, { provider });
+      replyResult = { ok: true, providerResponse: resp?.data ?? null };
+    } catch (err) {
+      replyResult = { ok: false, error: err?.response?.data || err?.message || String(err) };
+    }
+  }
+
+  appendJsonlLog(inboundMessageLogFile, {
+    event: "inbound_message",
+    provider,
+    message_id: message.messageId || null,
+    from: message.from,
+    text: message.text,
+    action,
+    reply: replyResult,
+    forwarded,
+    result:
+      replyResult && !replyResult.ok
+        ? "reply_failed"
+        : forwarded && !forwarded.targets.length
+          ? "not_forwarded"
+          : "handled",
+  });
+}
+
+// --- Admin API ---
+// All /admin routes require ADMIN_API_TOKEN, sent as "Authorization: Bearer <token>"
+// or "X-Admin-Token: <token>".
+function requireAdminToken(req, res, next) {
+  const expected = String(process.env.ADMIN_API_TOKEN || "").trim();
+  if (!expected) {
+    return res.status(503).json({ error: "ADMIN_API_TOKEN is not configured" });
+  }
+
+  const header = String(req.get("Authorization") || "");
+  const provided = (
+    header.toLowerCase().startsWith("bearer ")
+      ? header.slice(7)
+      : req.get("X-Admin-Token") || ""
+  ).trim();
+
+  const a = Buffer.from(provided, "utf8");
+  const b = Buffer.from(expected, "utf8");
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+  return next();
+}
+
+// --- Admin: Failed Messages (dead-letter inspection + replay) ---
+const failedSendLogSources = [
+  { name: "delivery", file: deliveryWebhookLogFile },
+  { name: "store_credit_refund", file: storeCreditRefundWebhookLogFile },
+  { name: "pickup_ready", file: pickupReadyWebhookLogFile },
+  { name: "review", file: deliveryReviewLogFile },
+];
+
+function readJsonlTail(filePath, limit) {
+  try {
+    const lines = fs.readFileSync(filePath, "utf8").split("\n").filter(Boolean);
+    return lines.slice(-limit).flatMap((line) => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        return [];
+      }
+    });
+  } catch {
+    return [];
+  }
+}
+
+function parseFailedMessageFilter(source) {
+  const statuses = String(source?.status || "dead")
+    .split(",")
+    .map((v) => v.trim())
+    .filter(Boolean);
+  const ids = Array.isArray(source?.ids)
+    ? source.ids.map(String)
+    : String(source?.ids || "")
+      .split(",")
+      .map((v) => v.trim())
+      .filter(Boolean);
+
+  return {
+    statuses: statuses.includes("all") ? ["retrying", "dead"] : statuses,
+    event: String(source?.event || "").trim() || null,
+    templateName: String(source?.templateName || source?.template || "").trim() || null,
+    sinceMs: parseDateMs(source?.since),
+    untilMs: parseDateMs(source?.until),
+    ids,
+  };
+}
+
+function listFailedOutboxEntries(filter) {
+  return Object.values(loadOutbox())
+    .filter(Boolean)
+    .filter((e) => filter.statuses.includes(e.status))
+    .filter((e) => !filter.event || e.event === filter.event)
+    .filter(
+      (e) => !filter.templateName || e.message?.templateName === filter.templateName,
+    )
+    .filter((e) => !filter.ids.length || filter.ids.includes(e.id))
+    .filter((e) => {
+      const created = parseDateMs(e.createdAt);
+      if (filter.sinceMs && created < filter.sinceMs) return false;
+      if (filter.untilMs && created > filter.untilMs) return false;
+      return true;
+    })
+    .sort((a, b) => parseDateMs(b.updatedAt) - parseDateMs(a.updatedAt));
+}
+
+// Re-queue a failed entry and send it now. The idempotency set is consulted
+// first, so an entry whose message went out some other way is never re-sent.
+async function replayOutboxEntry(id) {
+  const outbox = loadOutbox();
+  const entry = outbox[id];
+  if (!entry) return { id, result: "not_found" };
+
+  if (!["dead", "retrying"].includes(entry.status)) {
+    return { id, result: "ignored", reason: `status_${entry.status}` };
+  }
+
+  if (isIdempotencyKeyMarked(entry.idempotency)) {
+    updateOutboxEntry(id, { status: "skipped", reason: "already_notified" });
+    return { id, result: "ignored", reason: "already_notified" };
+  }
+
+  const active = findActiveOutboxEntry(outbox, entry.idempotency);
+  if (active && active.id !== id) {
+    return { id, result: "ignored", reason: "already_queued", active_id: active.id };
+  }
+
+  updateOutboxEntry(id, {
+    status: "pending",
+    attempts: 0,
+    nextAttemptAtMs: Date.now(),
+    replayCount: Number(entry.replayCount || 0) + 1,
+    replayedAt: new Date().toISOString(),
+  });
+
+  const after = await deliverOutboxEntry(id);
+  appendJsonlLog(outboxLogFile, {
+    event: entry.event,
+    outbox_id: id,
+    result: "replayed",
+    status: after?.status || null,
+    idempotency: entry.idempotency,
+  });
+
+  return {
+    id,
+    result: after?.status || "unknown",
+    error: after?.status === "sent" ? undefined : after?.lastError || undefined,
+  };
+}
+
+app.get("/admin/failed-messages", requireAdminToken, (req, res) => {
+  const filter = parseFailedMessageFilter(req.query);
+  const limit = Math.min(Number(req.query.limit) || 100, 1000);
+
+  const outboxEntries = listFailedOutboxEntries(filter)
+    .slice(0, limit)
+    .map((e) => ({
+      source: "outbox",
+      replayable: true,
+      id: e.id,
+      event: e.event,
+      status: e.status,
+      templateName: e.message?.templateName || null,
+      to: e.message?.to || null,
+      attempts: e.attempts,
+      error: e.lastError,
+      idempotency: e.idempotency,
+      payload: e.message,
+      createdAt: e.createdAt,
+      updatedAt: e.updatedAt,
+    }));
+
+  // Failures recorded before the outbox existed, or outside a send (e.g. order
+  // lookups), only live in the per-webhook logs. They're listed for context.
+  const includeLogs = String(req.query.includeLogs || "true").toLowerCase() !== "false";
+  const logEntries = includeLogs
+    ? failedSendLogSources
+      .flatMap(({ name, file }) =>
+        readJsonlTail(file, 1000)
+          .filter((row) => row?.result === "error")
+          .map((row) => ({ source: `log:${name}`, replayable: false, ...row })),
+      )
+      .filter((row) => {
+        const ts = parseDateMs(row.ts);
+        if (filter.sinceMs && ts < filter.sinceMs) return false;
+        if (filter.untilMs && ts > filter.untilMs) return false;
+        return true;
+      })
+      .sort((a, b) => parseDateMs(b.ts) - parseDateMs(a.ts))
+      .slice(0, limit)
+    : [];
+
+  res.json({ outbox: outboxEntries, logs: logEntries });
+});
+
+app.post("/admin/failed-messages/:id/replay", requireAdminToken, async (req, res) => {
+  try {
+    const result = await replayOutboxEntry(String(req.params.id));
+    const status = result.result === "not_found" ? 404 : 200;
+    res.status(status).json(result);
+  } catch (err) {
+    res.status(500).json({ error: err?.message || String(err) });
+  }
+});
+
+// Body: { event?, templateName?, since?, until?, ids?, status?, dryRun? }
+app.post("/admin/failed-messages/replay", requireAdminToken, async (req, res) => {
+  const body = req.body || {};
+  const filter = parseFailedMessageFilter(body);
+  if (!filter.event && !filter.templateName && !filter.ids.length && !filter.sinceMs) {
+    return res.status(400).json({
+      error: "Provide at least one of event, templateName, ids or since",
+    });
+  }
+
+  const entries = listFailedOutboxEntries(filter).sort(
+    (a, b) => parseDateMs(a.createdAt) - parseDateMs(b.createdAt),
+  );
+
+  if (body.dryRun) {
+    return res.json({
+      dryRun: true,
+      matched: entries.length,
+      ids: entries.map((e) => e.id),
+    });
+  }
+
+  const results = [];
+  for (const entry of entries) {
+    try {
+      results.push(await replayOutboxEntry(entry.id));
+    } catch (err) {
+      results.push({ id: entry.id, result: "error", error: err?.message || String(err) });
+    }
+  }
+
+  res.json({
+    matched: entries.length,
+    sent: results.filter((r) => r.result === "sent").length,
+    results,
+  });
+});
+
+// --- Admin: Message Delivery Stats ---
+// Per-template counts from provider status callbacks. "delivered" includes
+// messages that were later read.
+app.get("/admin/message-stats", requireAdminToken, (req, res) => {
+  const sinceMs = req.query.since ? parseDateMs(req.query.since) : null;
+  const untilMs = req.query.until ? parseDateMs(req.query.until) : null;
+  const event = req.query.event ? String(req.query.event) : null;
+
+  const byTemplate = {};
+  for (const rec of Object.values(loadMessageStatuses())) {
+    const sentAtMs = parseDateMs(rec?.sentAt);
+    if (sinceMs && (!sentAtMs || sentAtMs < sinceMs)) continue;
+    if (untilMs && (!sentAtMs || sentAtMs > untilMs)) continue;
+    if (event && rec.event !== event) continue;
+
+    const key = `${rec.templateName || "unknown"}|${rec.event || "unknown"}`;
+    const row = (byTemplate[key] ||= {
+      templateName: rec.templateName || null,
+      event: rec.event || null,
+      sent: 0,
+      delivered: 0,
+      read: 0,
+      failed: 0,
+      noReceipt: 0,
+    });
+    row.sent += 1;
+    if (rec.status === "delivered" || rec.status === "read") row.delivered += 1;
+    if (rec.status === "read") row.read += 1;
+    if (rec.status === "failed") row.failed += 1;
+    if (rec.status === "accepted") row.noReceipt += 1;
+  }
+
+  const rate = (n, d) => (d ? Number((n / d).toFixed(4)) : null);
+  const templates = Object.values(byTemplate)
+    .map((row) => ({
+      ...row,
+      deliveryRate: rate(row.delivered, row.sent),
+      readRate: rate(row.read, row.sent),
+      failureRate: rate(row.failed, row.sent),
+    }))
+    .sort((a, b) => b.sent - a.sent);
+
+  res.json({ templates });
+});
+
+// --- Admin: Short Link Clicks ---
+// Click-through rate per template for tracked buttons: clickedLinks / links.
+// `since` / `until` filter on when the message was sent.
+app.get("/admin/link-clicks", requireAdminToken, (req, res) => {
+  res.json({
+    templates: summarizeShortLinks({
+      sinceMs: req.query.since ? parseDateMs(req.query.since) : null,
+      untilMs: req.query.until ? parseDateMs(req.query.until) : null,
+      event: req.query.event ? String(req.query.event) : null,
+    }),
+  });
+});
+
+// --- Admin: Abandoned Checkout Recovery ---
+// Reminders sent and orders recovered per template and step. `since` /
+// `until` filter on when the reminder was sent; a recovered order counts
+// for the step that was sent last before it.
+app.get("/admin/abandoned-checkout-report", requireAdminToken, (req, res) => {
+  const sinceMs = req.query.since ? parseDateMs(req.query.since) : null;
+  const untilMs = req.query.until ? parseDateMs(req.query.until) : null;
+  const inRange = (value) => {
+    const ms = parseDateMs(value);
+    if (sinceMs && (!ms || ms < sinceMs)) return false;
+    if (untilMs && (!ms || ms > untilMs)) return false;
+    return true;
+  };
+
+  const rows = {};
+  const rowFor = ({ step, event, templateName }) =>
+    (rows[`${step}|${event}`] ||= {
+      step,
+      event,
+      templateName: templateName || null,
+      remindersSent: 0,
+      carts: new Set(),
+      ordersRecovered: 0,
+      recoveredRevenue: 0,
+      convertMs: [],
+    });
+
+  const totals = { carts: 0, remindersSent: 0, ordersRecovered: 0, recoveredRevenue: 0 };
+  const allConvertMs = [];
+  for (const record of Object.values(loadCheckoutRecoveries())) {
+    const reminders = (record?.reminders || []).filter((r) => inRange(r.sentAt));
+    if (!reminders.length) continue;
+    totals.carts += 1;
+
+    for (const reminder of reminders) {
+      const row = rowFor(reminder);
+      row.remindersSent += 1;
+      row.carts.add(record.cartToken);
+      totals.remindersSent += 1;
+    }
+
+    const recovered = record.recoveredOrder;
+    if (!recovered) continue;
+    const credited = reminders.find(
+      (r) => r.step === recovered.step && r.event === recovered.event,
+    );
+    if (!credited) continue;
+    const row = rowFor(recovered);
+    row.ordersRecovered += 1;
+    row.recoveredRevenue += Number(recovered.totalPrice) || 0;
+    row.convertMs.push(recovered.timeToConvertMs);
+    totals.ordersRecovered += 1;
+    totals.recoveredRevenue += Number(recovered.totalPrice) || 0;
+    allConvertMs.push(recovered.timeToConvertMs);
+  }
+
+  const rate = (n, d) => (d ? Number((n / d).toFixed(4)) : null);
+  const minutes = (ms) => (ms == null ? null : Math.round(ms / 60000));
+  const convertStats = (list) => {
+    if (!list.length) return { avgMinutesToConvert: null, medianMinutesToConvert: null };
+    const sorted = [...list].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    const median = sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    return {
+      avgMinutesToConvert: minutes(sorted.reduce((sum, ms) => sum + ms, 0) / sorted.length),
+      medianMinutesToConvert: minutes(median),
+    };
+  };
+
+  const steps = Object.values(rows)
+    .map(({ carts, convertMs, ...row }) => ({
+      ...row,
+      carts: carts.size,
+      recoveredRevenue: Number(row.recoveredRevenue.toFixed(2)),
+      recoveryRate: rate(row.ordersRecovered, carts.size),
+      ...convertStats(convertMs),
+    }))
+    .sort((a, b) => a.step - b.step || String(a.event).localeCompare(String(b.event)));
+
+  res.json({
+    totals: {
+      ...totals,
+      recoveredRevenue: Number(totals.recoveredRevenue.toFixed(2)),
+      recoveryRate: rate(totals.ordersRecovered, totals.carts),
+      ...convertStats(allConvertMs),
+    },
+    steps,
+  });
+});
+
+// --- Admin: Payment Reconciliation ---
+// GET lists the queue (?status=proposed,failed); dry-run scans recent captured
+// payments without writing anything; scan does the same and queues proposals.
+app.get("/admin/payment-reconciliation", requireAdminToken, (req, res) => {
+  const statuses = String(req.query.status || "")
+    .split(",")
+    .map((v) => v.trim())
+    .filter(Boolean);
+  const payments = Object.values(loadReconciliations())
+    .filter(Boolean)
+    .filter((r) => !statuses.length || statuses.includes(r.status))
+    .sort((a, b) => parseDateMs(b.proposedAt) - parseDateMs(a.proposedAt))
+    .map(summarizeReconciliation);
+  res.json({ payments });
+});
+
+app.get("/admin/payment-reconciliation/dry-run", requireAdminToken, async (req, res) => {
+  try {
+    res.json(await scanOrphanPayments({ hours: Number(req.query.hours) || 24 }));
+  } catch (err) {
+    res.status(502).json({ error: err?.message || String(err) });
+  }
+});
+
+app.post("/admin/payment-reconciliation/scan", requireAdminToken, async (req, res) => {
+  try {
+    res.json(
+      await scanOrphanPayments({ hours: Number(req.body?.hours) || 24, record: true }),
+    );
+  } catch (err) {
+    res.status(502).json({ error: err?.message || String(err) });
+  }
+});
+
+app.post(
+  "/admin/payment-reconciliation/:paymentId/approve",
+  requireAdminToken,
+  async (req, res) => {
+    const result = await approvePaymentReconciliation(req.params.paymentId, {
+      approvedBy: req.body?.approvedBy,
+      note: req.body?.note,
+    });
+    const status = { created: 200, not_found: 404, ignored: 409 }[result.result] || 502;
+    res.status(status).json(result);
+  },
+);
+
+app.post(
+  "/admin/payment-reconciliation/:paymentId/dismiss",
+  requireAdminToken,
+  (req, res) => {
+    const result = dismissPaymentReconciliation(req.params.paymentId, {
+      dismissedBy: req.body?.dismissedBy,
+      reason: req.body?.reason,
+    });
+    const status = { dismissed: 200, not_found: 404, ignored: 409 }[result.result] || 500;
+    res.status(status).json(result);
+  },
+);
+
+// --- Admin: Messaging Consent ---
+// GET ?phone=... returns one record and what it allows; without a phone it
+// lists every record that blocks at least one category.
+app.get("/admin/consent", requireAdminToken, (req, res) => {
+  if (req.query.phone) {
+    const phone = consentPhoneKey(req.query.phone);
+    return res.json({
+      phone,
+      record: getConsentRecord(phone),
+      transactional: checkConsent(phone, "transactional"),
+      marketing: checkConsent(phone, "marketing"),
+    });
+  }
+  return res.json({ suppressed: listSuppressedConsentRecords() });
+});
+
+// Body: { phone, whatsapp: "opted_out" | "opted_in" | null, scope: "all" | "marketing", note }
+app.put("/admin/consent", requireAdminToken, (req, res) => {
+  const { phone, whatsapp = null, scope = "all", note = null } = req.body || {};
+  if (!extractDigitsPhone(phone)) {
+    return res.status(400).json({ error: "Provide phone (with country code)" });
+  }
+
+  let record;
+  try {
+    record = setWhatsAppConsent(phone, whatsapp || null, { scope, source: "admin", note });
+  } catch (err) {
+    return res.status(400).json({ error: err?.message || String(err) });
+  }
+
+  appendJsonlLog(consentLogFile, {
+    event: "admin_consent_update",
+    phone: record.phone,
+    whatsapp: whatsapp || null,
+    scope,
+    note,
+  });
+  return res.json({
+    phone: record.phone,
+    record,
+    transactional: checkConsent(record.phone, "transactional"),
+    marketing: checkConsent(record.phone, "marketing"),
+  });
+});
+
+// --- Admin: Customer Language Preferences ---
+app.get("/admin/language-preferences", requireAdminToken, (req, res) => {
+  res.json({ preferences: loadLanguagePreferences() });
+});
+
+// Body: { phone, language } — an empty language clears the preference.
+app.put("/admin/language-preferences", requireAdminToken, (req, res) => {
+  const { phone, language } = req.body || {};
+  if (!extractDigitsPhone(phone)) {
+    return res.status(400).json({ error: "Provide phone (with country code)" });
+  }
+  const saved = setLanguagePreference(phone, language || null, "admin");
+  return res.json({ phone: extractDigitsPhone(phone), preference: saved });
+});
+
 // --- Start server ---
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
@@ -3598,4 +7728,15 @@ app.listen(PORT, () => {
   setInterval(() => {
     runReviewSchedulerOnce().catch(() => { });
   }, intervalMs);
+
+  // --- Abandoned checkout pipeline ---
+  recoverAbandonedCheckoutPipeline();
+
+  // --- Outbox retry worker ---
+  recoverInterruptedOutboxEntries();
+  setInterval(() => {
+    processOutboxOnce().catch((err) =>
+      console.error("Outbox worker error:", err?.message || err),
+    );
+  }, OUTBOX_POLL_INTERVAL_MS);
 });
@@ -0,0 +1,852 @@
+const crypto = require("crypto");
+const axios = require("axios");
+
+// WhatsApp/SMS providers (BSPs) behind one interface.
+// Every adapter exposes `sendTemplate(message)` and resolves with the raw axios
+// response, so callers keep reading `resp.data` as before.
+// `extractMessageIds(data)` pulls the provider's message ids out of that
+// response and `parseStatusCallback(body)` turns a delivery-receipt webhook
+// into [{ messageId, status: sent|delivered|read|failed, at, error }].
+// `parseInboundMessages(body)` turns a customer-message webhook into
+// [{ messageId, from, name, text, buttonPayload, at }] and `sendText` replies
+// inside the 24h customer-service window.
+// `verifyWebhookSignature({ rawBody, body, url, header })` checks the
+// provider's own webhook signature: true / false, or null when the provider
+// doesn't sign webhooks (or its secret isn't configured).
+//
+// message = {
+//   to, templateName, language, bodyPlaceholders,
+//   headerImageUrl, headerFilename, buttonUrl, quickReplyPayloads,
+//   carouselCards: [{ headerImageUrl, bodyPlaceholders, buttonUrl }],
+// }
+// quickReplyPayloads set the payload of the template's quick-reply buttons, in
+// button order. Gupshup and Twilio fix payloads when the template is approved,
+// so they ignore it and replies arrive with the button's own payload or text.
+// carouselCards are only sent by the Meta adapter; the others refuse them
+// rather than send the template without its cards.
+
+const DOUBLETICK_TEMPLATE_ENDPOINT =
+  "https://public.doubletick.io/whatsapp/message/template";
+const DOUBLETICK_TEXT_ENDPOINT =
+  "https://public.doubletick.io/whatsapp/message/text";
+
+const DEFAULT_FROM_NUMBER = "+919136524727";
+
+function digitsOnly(value) {
+  return String(value || "").replace(/\D/g, "");
+}
+
+function normalizeToDoubleTickTo(to) {
+  const digits = digitsOnly(to);
+  if (!digits) return "";
+
+  // DoubleTick examples use countrycode+number without '+' (e.g. 91XXXXXXXXXX)
+  if (digits.length === 10) return `91${digits}`;
+  return digits;
+}
+
+function stringifyPlaceholders(bodyPlaceholders) {
+  return (bodyPlaceholders || []).map((v) =>
+    v === null || v === undefined ? "" : String(v),
+  );
+}
+
+function parseJsonEnv(name) {
+  const raw = String(process.env[name] || "").trim();
+  if (!raw) return {};
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch {
+    console.error(`Invalid JSON in ${name}; ignoring it`);
+    return {};
+  }
+}
+
+function requireValue(value, message) {
+  if (!value) throw new Error(message);
+  return value;
+}
+
+function rejectCarousel(providerName, carouselCards) {
+  if (Array.isArray(carouselCards) && carouselCards.length) {
+    throw new Error(`${providerName} does not support carousel templates; pin the template to "meta"`);
+  }
+}
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a || ""), "utf8");
+  const y = Buffer.from(String(b || ""), "utf8");
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+function asArray(value) {
+  if (Array.isArray(value)) return value;
+  return value === undefined || value === null ? [] : [value];
+}
+
+// Provider-specific status names -> sent | delivered | read | failed
+function normalizeDeliveryStatus(status) {
+  const s = String(status || "").trim().toLowerCase();
+  if (["sent", "enqueued", "accepted", "queued", "submitted"].includes(s)) return "sent";
+  if (["delivered"].includes(s)) return "delivered";
+  if (["read", "seen"].includes(s)) return "read";
+  if (["failed", "undelivered", "error", "rejected", "deleted"].includes(s)) return "failed";
+  return null;
+}
+
+function toIsoTimestamp(value) {
+  if (value === undefined || value === null || value === "") {
+    return new Date().toISOString();
+  }
+  const n = Number(value);
+  if (Number.isFinite(n)) {
+    // Unix seconds vs milliseconds
+    return new Date(n < 1e12 ? n * 1000 : n).toISOString();
+  }
+  const t = Date.parse(value);
+  return Number.isFinite(t) ? new Date(t).toISOString() : new Date().toISOString();
+}
+
+class DoubleTickProvider {
+  constructor() {
+    this.name = "doubletick";
+  }
+
+  // DoubleTick doesn't sign webhooks; MESSAGING_WEBHOOK_TOKEN protects them.
+  verifyWebhookSignature() {
+    return null;
+  }
+
+  isConfigured() {
+    return Boolean(process.env.DOUBLETICK_API_KEY);
+  }
+
+  async sendTemplate({
+    to,
+    templateName,
+    language = "en",
+    bodyPlaceholders = [],
+    headerImageUrl,
+    headerFilename,
+    buttonUrl,
+    quickReplyPayloads = [],
+    carouselCards,
+  }) {
+    rejectCarousel("DoubleTick", carouselCards);
+    const apiKey = requireValue(
+      process.env.DOUBLETICK_API_KEY,
+      "Missing DOUBLETICK_API_KEY env var (set it to the 'key_...' value)",
+    );
+    requireValue(templateName, "Missing DoubleTick templateName");
+
+    const toNormalized = requireValue(
+      normalizeToDoubleTickTo(to),
+      "Missing/invalid destination phone number",
+    );
+
+    const payload = {
+      messages: [
+        {
+          to: toNormalized,
+          from: process.env.DOUBLETICK_FROM_NUMBER || DEFAULT_FROM_NUMBER,
+          content: {
+            templateName,
+            language,
+            templateData: {
+              ...(headerImageUrl
+                ? {
+                  header: {
+                    type: "IMAGE",
+                    mediaUrl: headerImageUrl,
+                    filename: headerFilename || "image.jpeg",
+                  },
+                }
+                : {}),
+              body: {
+                placeholders: stringifyPlaceholders(bodyPlaceholders),
+              },
+              ...(buttonUrl || quickReplyPayloads.length
+                ? {
+                  buttons: [
+                    ...(buttonUrl ? [{ type: "URL", parameter: String(buttonUrl) }] : []),
+                    ...quickReplyPayloads.map((payload) => ({
+                      type: "QUICK_REPLY",
+                      parameter: String(payload),
+                    })),
+                  ],
+                }
+                : {}),
+            },
+          },
+        },
+      ],
+    };
+
+    return axios.post(DOUBLETICK_TEMPLATE_ENDPOINT, payload, {
+      headers: {
+        Authorization: apiKey,
+        "Content-Type": "application/json",
+      },
+    });
+  }
+
+  extractMessageIds(data) {
+    const list = Array.isArray(data) ? data : asArray(data?.messages || data);
+    return list
+      .map((m) => m?.messageId || m?.id || m?.message_id)
+      .filter(Boolean)
+      .map(String);
+  }
+
+  // DoubleTick posts one status per request; accept a batch too.
+  parseStatusCallback(body) {
+    const list = Array.isArray(body) ? body : asArray(body?.data || body);
+    return list
+      .map((e) => ({
+        messageId: e?.messageId || e?.message_id || e?.id,
+        status: normalizeDeliveryStatus(e?.status || e?.messageStatus || e?.event),
+        at: toIsoTimestamp(e?.timestamp || e?.updatedAt),
+        error: e?.errorMessage || e?.error || e?.failureReason || null,
+      }))
+      .filter((e) => e.messageId && e.status);
+  }
+
+  async sendText({ to, text }) {
+    const apiKey = requireValue(
+      process.env.DOUBLETICK_API_KEY,
+      "Missing DOUBLETICK_API_KEY env var (set it to the 'key_...' value)",
+    );
+    const toNormalized = requireValue(
+      normalizeToDoubleTickTo(to),
+      "Missing/invalid destination phone number",
+    );
+
+    return axios.post(
+      DOUBLETICK_TEXT_ENDPOINT,
+      {
+        to: toNormalized,
+        from: process.env.DOUBLETICK_FROM_NUMBER || DEFAULT_FROM_NUMBER,
+        content: { text: String(text || "") },
+      },
+      {
+        headers: {
+          Authorization: apiKey,
+          "Content-Type": "application/json",
+        },
+      },
+    );
+  }
+
+  parseInboundMessages(body) {
+    const list = Array.isArray(body) ? body : asArray(body?.data || body);
+    return list
+      .map((e) => {
+        const message = e?.message || {};
+        return {
+          messageId: e?.messageId || message?.messageId || e?.id || null,
+          from: digitsOnly(e?.from || e?.customerPhone || e?.waId),
+          name: e?.customerName || e?.contact?.name || e?.profileName || "",
+          text: String(message?.text || message?.body || e?.text || "").trim(),
+          buttonPayload: message?.payload || message?.buttonPayload || e?.buttonPayload || null,
+          at: toIsoTimestamp(e?.timestamp || e?.receivedAt),
+        };
+      })
+      .filter((m) => m.from && (m.text || m.buttonPayload));
+  }
+}
+
+// Meta WhatsApp Cloud API (graph.facebook.com). Template names are shared with
+// the WABA, so no name mapping is needed.
+class MetaCloudProvider {
+  constructor() {
+    this.name = "meta";
+  }
+
+  // X-Hub-Signature-256: "sha256=" + hex HMAC of the raw body with the app secret.
+  verifyWebhookSignature({ rawBody, header }) {
+    const secret = process.env.META_APP_SECRET;
+    if (!secret) return null;
+    const expected = crypto
+      .createHmac("sha256", secret)
+      .update(Buffer.isBuffer(rawBody) ? rawBody : Buffer.from(rawBody || "", "utf8"))
+      .digest("hex");
+    return safeEqual(header("X-Hub-Signature-256"), `sha256=${expected}`);
+  }
+
+  isConfigured() {
+    return Boolean(
+      process.env.META_WHATSAPP_TOKEN && process.env.META_WHATSAPP_PHONE_NUMBER_ID,
+    );
+  }
+
+  async sendTemplate({
+    to,
+    templateName,
+    language = "en",
+    bodyPlaceholders = [],
+    headerImageUrl,
+    buttonUrl,
+    quickReplyPayloads = [],
+    carouselCards = [],
+  }) {
+    const token = requireValue(
+      process.env.META_WHATSAPP_TOKEN,
+      "Missing META_WHATSAPP_TOKEN env var",
+    );
+    const phoneNumberId = requireValue(
+      process.env.META_WHATSAPP_PHONE_NUMBER_ID,
+      "Missing META_WHATSAPP_PHONE_NUMBER_ID env var",
+    );
+    requireValue(templateName, "Missing Meta templateName");
+
+    const toNormalized = requireValue(
+      normalizeToDoubleTickTo(to),
+      "Missing/invalid destination phone number",
+    );
+
+    const components = [];
+    if (headerImageUrl) {
+      components.push({
+        type: "header",
+        parameters: [{ type: "image", image: { link: headerImageUrl } }],
+      });
+    }
+    components.push({
+      type: "body",
+      parameters: stringifyPlaceholders(bodyPlaceholders).map((text) => ({
+        type: "text",
+        text,
+      })),
+    });
+    if (buttonUrl) {
+      components.push({
+        type: "button",
+        sub_type: "url",
+        index: "0",
+        parameters: [{ type: "text", text: String(buttonUrl) }],
+      });
+    }
+    quickReplyPayloads.forEach((payload, i) => {
+      components.push({
+        type: "button",
+        sub_type: "quick_reply",
+        index: String(i + (buttonUrl ? 1 : 0)),
+        parameters: [{ type: "payload", payload: String(payload) }],
+      });
+    });
+    if (carouselCards.length) {
+      components.push({
+        type: "carousel",
+        cards: carouselCards.map((card, i) => ({
+          card_index: i,
+          components: [
+            {
+              type: "header",
+              parameters: [{ type: "image", image: { link: card.headerImageUrl } }],
+            },
+            {
+              type: "body",
+              parameters: stringifyPlaceholders(card.bodyPlaceholders).map((text) => ({
+                type: "text",
+                text,
+              })),
+            },
+            ...(card.buttonUrl
+              ? [
+                {
+                  type: "button",
+                  sub_type: "url",
+                  index: "0",
+                  parameters: [{ type: "text", text: String(card.buttonUrl) }],
+                },
+              ]
+              : []),
+          ],
+        })),
+      });
+    }
+
+    const apiVersion = process.env.META_GRAPH_API_VERSION || "v20.0";
+    return axios.post(
+      `https://graph.facebook.com/${apiVersion}/${phoneNumberId}/messages`,
+      {
+        messaging_product: "whatsapp",
+        to: toNormalized,
+        type: "template",
+        template: {
+          name: templateName,
+          language: { code: language },
+          components,
+        },
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json",
+        },
+      },
+    );
+  }
+
+  extractMessageIds(data) {
+    return asArray(data?.messages).map((m) => m?.id).filter(Boolean).map(String);
+  }
+
+  parseStatusCallback(body) {
+    const statuses = asArray(body?.entry)
+      .flatMap((entry) => asArray(entry?.changes))
+      .flatMap((change) => asArray(change?.value?.statuses));
+    return statuses
+      .map((st) => ({
+        messageId: st?.id,
+        status: normalizeDeliveryStatus(st?.status),
+        at: toIsoTimestamp(st?.timestamp),
+        error: st?.errors?.[0]?.title || st?.errors?.[0]?.message || null,
+      }))
+      .filter((e) => e.messageId && e.status);
+  }
+
+  async sendText({ to, text }) {
+    const token = requireValue(
+      process.env.META_WHATSAPP_TOKEN,
+      "Missing META_WHATSAPP_TOKEN env var",
+    );
+    const phoneNumberId = requireValue(
+      process.env.META_WHATSAPP_PHONE_NUMBER_ID,
+      "Missing META_WHATSAPP_PHONE_NUMBER_ID env var",
+    );
+    const toNormalized = requireValue(
+      normalizeToDoubleTickTo(to),
+      "Missing/invalid destination phone number",
+    );
+
+    const apiVersion = process.env.META_GRAPH_API_VERSION || "v20.0";
+    return axios.post(
+      `https://graph.facebook.com/${apiVersion}/${phoneNumberId}/messages`,
+      {
+        messaging_product: "whatsapp",
+        to: toNormalized,
+        type: "text",
+        text: { body: String(text || "") },
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json",
+        },
+      },
+    );
+  }
+
+  parseInboundMessages(body) {
+    const values = asArray(body?.entry)
+      .flatMap((entry) => asArray(entry?.changes))
+      .map((change) => change?.value || {});
+    return values
+      .flatMap((value) =>
+        asArray(value.messages).map((m) => ({
+          messageId: m?.id || null,
+          from: digitsOnly(m?.from),
+          name:
+            asArray(value.contacts).find((c) => c?.wa_id === m?.from)?.profile?.name || "",
+          text: String(
+            m?.text?.body || m?.button?.text || m?.interactive?.button_reply?.title || "",
+          ).trim(),
+          buttonPayload: m?.button?.payload || m?.interactive?.button_reply?.id || null,
+          at: toIsoTimestamp(m?.timestamp),
+        })),
+      )
+      .filter((m) => m.from && (m.text || m.buttonPayload));
+  }
+}
+
+// Gupshup addresses templates by id. GUPSHUP_TEMPLATE_IDS maps our template
+// names to those ids, e.g. {"kaj_order_confirmation_v3":"a1b2-..."}.
+class GupshupProvider {
+  constructor() {
+    this.name = "gupshup";
+  }
+
+  // Gupshup doesn't sign webhooks; MESSAGING_WEBHOOK_TOKEN protects them.
+  verifyWebhookSignature() {
+    return null;
+  }
+
+  isConfigured() {
+    return Boolean(process.env.GUPSHUP_API_KEY && process.env.GUPSHUP_SOURCE_NUMBER);
+  }
+
+  async sendTemplate({
+    to,
+    templateName,
+    bodyPlaceholders = [],
+    headerImageUrl,
+    buttonUrl,
+    carouselCards,
+  }) {
+    rejectCarousel("Gupshup", carouselCards);
+    const apiKey = requireValue(
+      process.env.GUPSHUP_API_KEY,
+      "Missing GUPSHUP_API_KEY env var",
+    );
+    const source = requireValue(
+      digitsOnly(process.env.GUPSHUP_SOURCE_NUMBER),
+      "Missing GUPSHUP_SOURCE_NUMBER env var",
+    );
+    requireValue(templateName, "Missing Gupshup templateName");
+
+    const toNormalized = requireValue(
+      normalizeToDoubleTickTo(to),
+      "Missing/invalid destination phone number",
+    );
+
+    const templateIds = parseJsonEnv("GUPSHUP_TEMPLATE_IDS");
+    const params = stringifyPlaceholders(bodyPlaceholders);
+    // URL button suffixes are passed as the trailing template param.
+    if (buttonUrl) params.push(String(buttonUrl));
+
+    const form = new URLSearchParams();
+    form.set("channel", "whatsapp");
+    form.set("source", source);
+    form.set("destination", toNormalized);
+    form.set("src.name", process.env.GUPSHUP_APP_NAME || "");
+    form.set(
+      "template",
+      JSON.stringify({ id: templateIds[templateName] || templateName, params }),
+    );
+    if (headerImageUrl) {
+      form.set(
+        "message",
+        JSON.stringify({ type: "image", image: { link: headerImageUrl } }),
+      );
+    }
+
+    return axios.post("https://api.gupshup.io/wa/api/v1/template/msg", form, {
+      headers: {
+        apikey: apiKey,
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+    });
+  }
+
+  extractMessageIds(data) {
+    return [data?.messageId].filter(Boolean).map(String);
+  }
+
+  // Gupshup "message-event" callbacks carry our id in payload.gsId (or id).
+  parseStatusCallback(body) {
+    if (body?.type !== "message-event") return [];
+    const payload = body?.payload || {};
+    return [
+      {
+        messageId: payload.gsId || payload.id,
+        status: normalizeDeliveryStatus(payload.type),
+        at: toIsoTimestamp(body?.timestamp),
+        error: payload?.payload?.reason || null,
+      },
+    ].filter((e) => e.messageId && e.status);
+  }
+
+  async sendText({ to, text }) {
+    const apiKey = requireValue(
+      process.env.GUPSHUP_API_KEY,
+      "Missing GUPSHUP_API_KEY env var",
+    );
+    const source = requireValue(
+      digitsOnly(process.env.GUPSHUP_SOURCE_NUMBER),
+      "Missing GUPSHUP_SOURCE_NUMBER env var",
+    );
+    const toNormalized = requireValue(
+      normalizeToDoubleTickTo(to),
+      "Missing/invalid destination phone number",
+    );
+
+    const form = new URLSearchParams();
+    form.set("channel", "whatsapp");
+    form.set("source", source);
+    form.set("destination", toNormalized);
+    form.set("src.name", process.env.GUPSHUP_APP_NAME || "");
+    form.set("message", JSON.stringify({ type: "text", text: String(text || "") }));
+
+    return axios.post("https://api.gupshup.io/wa/api/v1/msg", form, {
+      headers: {
+        apikey: apiKey,
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+    });
+  }
+
+  parseInboundMessages(body) {
+    if (body?.type !== "message") return [];
+    const payload = body?.payload || {};
+    const isButton = ["button_reply", "quick_reply"].includes(payload.type);
+    return [
+      {
+        messageId: payload.id || null,
+        from: digitsOnly(payload.source || payload.sender?.phone),
+        name: payload.sender?.name || "",
+        text: String(payload.payload?.text || payload.payload?.title || "").trim(),
+        buttonPayload: isButton
+          ? payload.payload?.postbackText || payload.payload?.id || null
+          : null,
+        at: toIsoTimestamp(body?.timestamp),
+      },
+    ].filter((m) => m.from && (m.text || m.buttonPayload));
+  }
+}
+
+// Twilio sends approved templates as Content API items. TWILIO_CONTENT_SIDS
+// maps our template names to content SIDs. TWILIO_CHANNEL=sms drops the
+// "whatsapp:" prefix so the same templates can go out as plain SMS.
+class TwilioProvider {
+  constructor() {
+    this.name = "twilio";
+  }
+
+  // X-Twilio-Signature: base64 HMAC-SHA1 (auth token) of the full callback URL
+  // followed by every POST parameter name and value, sorted by name.
+  verifyWebhookSignature({ body, url, header }) {
+    const authToken = process.env.TWILIO_AUTH_TOKEN;
+    if (!authToken) return null;
+    const params = body && typeof body === "object" ? body : {};
+    const data = Object.keys(params)
+      .sort()
+      .reduce((acc, key) => acc + key + String(params[key] ?? ""), String(url || ""));
+    const expected = crypto.createHmac("sha1", authToken).update(data, "utf8").digest("base64");
+    return safeEqual(header("X-Twilio-Signature"), expected);
+  }
+
+  isConfigured() {
+    return Boolean(
+      process.env.TWILIO_ACCOUNT_SID &&
+      process.env.TWILIO_AUTH_TOKEN &&
+      process.env.TWILIO_FROM_NUMBER,
+    );
+  }
+
+  async sendTemplate({ to, templateName, bodyPlaceholders = [], buttonUrl, carouselCards }) {
+    rejectCarousel("Twilio", carouselCards);
+    const accountSid = requireValue(
+      process.env.TWILIO_ACCOUNT_SID,
+      "Missing TWILIO_ACCOUNT_SID env var",
+    );
+    const authToken = requireValue(
+      process.env.TWILIO_AUTH_TOKEN,
+      "Missing TWILIO_AUTH_TOKEN env var",
+    );
+    const fromNumber = requireValue(
+      digitsOnly(process.env.TWILIO_FROM_NUMBER),
+      "Missing TWILIO_FROM_NUMBER env var",
+    );
+    requireValue(templateName, "Missing Twilio templateName");
+
+    const contentSids = parseJsonEnv("TWILIO_CONTENT_SIDS");
+    const contentSid = requireValue(
+      contentSids[templateName],
+      `No Twilio content SID configured for template ${templateName}`,
+    );
+
+    const toNormalized = requireValue(
+      normalizeToDoubleTickTo(to),
+      "Missing/invalid destination phone number",
+    );
+
+    const prefix =
+      String(process.env.TWILIO_CHANNEL || "whatsapp").toLowerCase() === "sms"
+        ? ""
+        : "whatsapp:";
+
+    const variables = {};
+    stringifyPlaceholders(bodyPlaceholders).forEach((v, i) => {
+      variables[String(i + 1)] = v;
+    });
+    if (buttonUrl) {
+      variables[String(Object.keys(variables).length + 1)] = String(buttonUrl);
+    }
+
+    const form = new URLSearchParams();
+    form.set("From", `${prefix}+${fromNumber}`);
+    form.set("To", `${prefix}+${toNormalized}`);
+    form.set("ContentSid", contentSid);
+    form.set("ContentVariables", JSON.stringify(variables));
+
+    return axios.post(
+      `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`,
+      form,
+      {
+        auth: { username: accountSid, password: authToken },
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      },
+    );
+  }
+
+  extractMessageIds(data) {
+    return [data?.sid].filter(Boolean).map(String);
+  }
+
+  parseStatusCallback(body) {
+    return [
+      {
+        messageId: body?.MessageSid || body?.SmsSid,
+        status: normalizeDeliveryStatus(body?.MessageStatus || body?.SmsStatus),
+        at: toIsoTimestamp(),
+        error: body?.ErrorMessage || body?.ErrorCode || null,
+      },
+    ].filter((e) => e.messageId && e.status);
+  }
+
+  async sendText({ to, text }) {
+    const accountSid = requireValue(
+      process.env.TWILIO_ACCOUNT_SID,
+      "Missing TWILIO_ACCOUNT_SID env var",
+    );
+    const authToken = requireValue(
+      process.env.TWILIO_AUTH_TOKEN,
+      "Missing TWILIO_AUTH_TOKEN env var",
+    );
+    const fromNumber = requireValue(
+      digitsOnly(process.env.TWILIO_FROM_NUMBER),
+      "Missing TWILIO_FROM_NUMBER env var",
+    );
+    const toNormalized = requireValue(
+      normalizeToDoubleTickTo(to),
+      "Missing/invalid destination phone number",
+    );
+
+    const prefix =
+      String(process.env.TWILIO_CHANNEL || "whatsapp").toLowerCase() === "sms"
+        ? ""
+        : "whatsapp:";
+
+    const form = new URLSearchParams();
+    form.set("From", `${prefix}+${fromNumber}`);
+    form.set("To", `${prefix}+${toNormalized}`);
+    form.set("Body", String(text || ""));
+
+    return axios.post(
+      `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`,
+      form,
+      {
+        auth: { username: accountSid, password: authToken },
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      },
+    );
+  }
+
+  // Inbound messages arrive form-encoded; status callbacks share the shape
+  // but have no Body.
+  parseInboundMessages(body) {
+    if (!body?.Body && !body?.ButtonPayload) return [];
+    return [
+      {
+        messageId: body?.MessageSid || body?.SmsSid || null,
+        from: digitsOnly(body?.From),
+        name: body?.ProfileName || "",
+        text: String(body?.Body || body?.ButtonText || "").trim(),
+        buttonPayload: body?.ButtonPayload || null,
+        at: toIsoTimestamp(),
+      },
+    ].filter((m) => m.from && (m.text || m.buttonPayload));
+  }
+}
+
+const providers = {
+  doubletick: new DoubleTickProvider(),
+  meta: new MetaCloudProvider(),
+  gupshup: new GupshupProvider(),
+  twilio: new TwilioProvider(),
+};
+
+function getProvider(name) {
+  const provider = providers[String(name || "").trim().toLowerCase()];
+  if (!provider) {
+    throw new Error(`Unknown messaging provider: ${name}`);
+  }
+  return provider;
+}
+
+// MESSAGING_PROVIDER_BY_TEMPLATE="kaj_order_review_v2=gupshup,kaj_order_delivered_v3=meta"
+function parseTemplateProviderOverrides() {
+  const raw = String(process.env.MESSAGING_PROVIDER_BY_TEMPLATE || "").trim();
+  const overrides = {};
+  if (!raw) return overrides;
+
+  for (const pair of raw.split(",")) {
+    const [templateName, providerName] = pair.split("=").map((s) => s.trim());
+    if (templateName && providerName) {
+      overrides[templateName] = providerName.toLowerCase();
+    }
+  }
+  return overrides;
+}
+
+function resolveProviderName(templateName, preferred) {
+  if (preferred) return String(preferred).toLowerCase();
+
+  const overrides = parseTemplateProviderOverrides();
+  if (templateName && overrides[templateName]) return overrides[templateName];
+
+  return String(process.env.MESSAGING_PROVIDER || "doubletick").toLowerCase();
+}
+
+// Only outages are worth failing over for; a 4xx means the request itself is
+// wrong and would be rejected by the next provider too.
+function isProviderOutageError(err) {
+  const status = Number(err?.response?.status);
+  if (!err?.response) return Boolean(err?.code || err?.request);
+  return status === 429 || status >= 500;
+}
+
+async function sendTemplateMessage(message, { provider: preferred } = {}) {
+  const primaryName = resolveProviderName(message?.templateName, preferred);
+  const primary = getProvider(primaryName);
+
+  try {
+    const resp = await primary.sendTemplate(message);
+    if (resp && typeof resp === "object") resp.provider = primary.name;
+    return resp;
+  } catch (err) {
+    const fallbackName = String(process.env.MESSAGING_FALLBACK_PROVIDER || "")
+      .trim()
+      .toLowerCase();
+    if (!fallbackName || fallbackName === primary.name || !isProviderOutageError(err)) {
+      if (err && typeof err === "object") err.provider = primary.name;
+      throw err;
+    }
+
+    const fallback = getProvider(fallbackName);
+    console.error(
+      `Messaging provider ${primary.name} failed (${err?.response?.status || err?.code || err?.message}); failing over to ${fallback.name}`,
+    );
+    try {
+      const resp = await fallback.sendTemplate(message);
+      if (resp && typeof resp === "object") resp.provider = fallback.name;
+      return resp;
+    } catch (fallbackErr) {
+      if (fallbackErr && typeof fallbackErr === "object") {
+        fallbackErr.provider = fallback.name;
+      }
+      throw fallbackErr;
+    }
+  }
+}
+
+// Free-form replies go out through the provider that received the customer's
+// message (the session window belongs to that number), so there is no failover.
+async function sendTextMessage({ to, text }, { provider: preferred } = {}) {
+  const provider = getProvider(resolveProviderName(null, preferred));
+  const resp = await provider.sendText({ to, text });
+  if (resp && typeof resp === "object") resp.provider = provider.name;
+  return resp;
+}
+
+module.exports = {
+  providers,
+  getProvider,
+  normalizeDeliveryStatus,
+  resolveProviderName,
+  isProviderOutageError,
+  sendTemplateMessage,
+  sendTextMessage,
+};
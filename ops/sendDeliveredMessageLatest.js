@@ -1,7 +1,5 @@
 require("dotenv").config();
 
-const axios = require("axios");
-const { countries } = require("country-data");
 const {
   shopifyApi,
   LATEST_API_VERSION,
@@ -10,9 +8,14 @@ const {
 const { nodeAdapter } = require("@shopify/shopify-api/adapters/node");
 const fs = require("fs");
 const path = require("path");
-
-const DOUBLETICK_TEMPLATE_ENDPOINT =
-  "https://public.doubletick.io/whatsapp/message/template";
+const { sendTemplateMessage } = require("../messagingProviders");
+const {
+  loadTemplateRegistry,
+  renderTemplateMessage,
+  resolveLanguageCandidates,
+} = require("../templateRegistry");
+const { checkConsent } = require("../consentRegistry");
+const { resolveRecipient } = require("../phoneNumbers");
 
 const dataFiles = {
   deliveries: path.resolve(__dirname, "..", "processed-deliveries.json"),
@@ -28,30 +31,6 @@ function hasFlag(name) {
   return process.argv.includes(`--${name}`);
 }
 
-function extractDigitsPhone(value) {
-  return String(value || "").replace(/\D/g, "");
-}
-
-function isLikelyValidWhatsAppNumberDigits(digits) {
-  return Boolean(digits) && digits.length >= 10;
-}
-
-function getDialCode(countryCode) {
-  try {
-    const country = countries[String(countryCode || "").toUpperCase()];
-    return country ? `${country.countryCallingCodes[0]}` : "+91";
-  } catch {
-    return "+91";
-  }
-}
-
-function normalizeToDoubleTickTo(to) {
-  const digitsOnly = String(to || "").replace(/\D/g, "");
-  if (!digitsOnly) return "";
-  if (digitsOnly.length === 10) return `91${digitsOnly}`;
-  return digitsOnly;
-}
-
 function loadSet(filePath) {
   try {
     const data = JSON.parse(fs.readFileSync(filePath));
@@ -65,75 +44,6 @@ function saveSet(filePath, set) {
   fs.writeFileSync(filePath, JSON.stringify(Array.from(set)));
 }
 
-async function resolveRecipientForDelivery({ client, order, fulfillment }) {
-  const dest = fulfillment?.destination || {};
-  const shipping = order?.shipping_address || {};
-  const billing = order?.billing_address || {};
-  const customer = order?.customer || {};
-
-  const baseCountryCode =
-    dest.country_code || shipping.country_code || billing.country_code || "IN";
-  const name =
-    shipping.first_name ||
-    dest.first_name ||
-    customer.first_name ||
-    billing.first_name ||
-    "Customer";
-
-  const candidates = [
-    dest.phone,
-    shipping.phone,
-    billing.phone,
-    customer.phone,
-    order?.phone,
-    customer?.default_address?.phone,
-  ];
-
-  for (const cand of candidates) {
-    const d = extractDigitsPhone(cand);
-    if (isLikelyValidWhatsAppNumberDigits(d)) {
-      return { name, countryCode: baseCountryCode, digits: d };
-    }
-  }
-
-  return { name, countryCode: baseCountryCode, digits: extractDigitsPhone(order?.phone) };
-}
-
-async function sendDoubleTickTemplateMessage({ to, templateName, language, bodyPlaceholders }) {
-  const apiKey = process.env.DOUBLETICK_API_KEY;
-  if (!apiKey) throw new Error("Missing DOUBLETICK_API_KEY");
-
-  const toNormalized = normalizeToDoubleTickTo(to);
-  if (!toNormalized) throw new Error("Missing/invalid destination phone number");
-
-  const payload = {
-    messages: [
-      {
-        to: toNormalized,
-        from: "+919136524727",
-        content: {
-          templateName,
-          language,
-          templateData: {
-            body: {
-              placeholders: (bodyPlaceholders || []).map((v) =>
-                v === null || v === undefined ? "" : String(v),
-              ),
-            },
-          },
-        },
-      },
-    ],
-  };
-
-  return axios.post(DOUBLETICK_TEMPLATE_ENDPOINT, payload, {
-    headers: {
-      Authorization: apiKey,
-      "Content-Type": "application/json",
-    },
-  });
-}
-
 async function main() {
   const shop = process.env.SHOPIFY_DOMAIN;
   const token = process.env.SHOPIFY_ADMIN_TOKEN;
@@ -217,17 +127,13 @@ async function main() {
     return;
   }
 
-  const recipient = await resolveRecipientForDelivery({ client, order, fulfillment });
-  if (!isLikelyValidWhatsAppNumberDigits(recipient.digits)) {
+  const recipient = resolveRecipient({ fulfillment, order });
+  if (!recipient.to) {
     throw new Error("No valid phone number found on order/fulfillment");
   }
+  const phoneNumberInternationalFormat = recipient.to;
 
-  const dialCode = getDialCode(recipient.countryCode || "IN") || "+91";
-  const cleanedPhone = recipient.digits.slice(-10);
-  const phoneNumberInternationalFormat = dialCode + cleanedPhone;
-
-  const templateName = process.env.OD_CAMPAIGN_NAME || "kaj_order_delivered_v2";
-  const language = process.env.DT_LANGUAGE || "en";
+  loadTemplateRegistry();
 
   const orderName = fulfillment?.name
     ? String(fulfillment.name).replace("#", "").split(".")[0]
@@ -237,12 +143,39 @@ async function main() {
 
   const payload = {
     to: phoneNumberInternationalFormat,
-    templateName,
-    language,
-    bodyPlaceholders: [recipient.name || "Customer", `${orderName}`],
+    ...renderTemplateMessage("delivered", {
+      name: recipient.name || "Customer",
+      orderName,
+    }, {
+      languages: resolveLanguageCandidates({
+        to: phoneNumberInternationalFormat,
+        order,
+      }),
+    }),
   };
 
-  const resp = await sendDoubleTickTemplateMessage(payload);
+  // --force only skips the idempotency check, never the customer's consent.
+  const consent = checkConsent(payload.to, payload.category);
+  if (!consent.allowed) {
+    console.log(
+      JSON.stringify(
+        {
+          ok: true,
+          skipped: true,
+          reason: consent.reason,
+          orderId: order.id,
+          orderName: order.name,
+          fulfillmentId,
+          to: phoneNumberInternationalFormat,
+        },
+        null,
+        2,
+      ),
+    );
+    return;
+  }
+
+  const resp = await sendTemplateMessage(payload, { provider: payload.provider });
 
   notified.add(idempotencyKey);
   saveSet(dataFiles.deliveries, notified);
@@ -256,7 +189,8 @@ async function main() {
         orderName: order.name,
         fulfillmentId,
         to: phoneNumberInternationalFormat,
-        templateName,
+        recipientSource: recipient.source,
+        templateName: payload.templateName,
         providerResponse: resp?.data,
       },
       null,
@@ -2,10 +2,16 @@ require("dotenv").config();
 
 const fs = require("fs");
 const path = require("path");
-const axios = require("axios");
-
-const DOUBLETICK_TEMPLATE_ENDPOINT =
-  "https://public.doubletick.io/whatsapp/message/template";
+const { sendTemplateMessage } = require("../messagingProviders");
+const {
+  loadTemplateRegistry,
+  renderTemplateMessage,
+  resolveLanguageCandidates,
+} = require("../templateRegistry");
+const { checkConsent } = require("../consentRegistry");
+const { getQuietHoursDeferral } = require("../quietHours");
+const { normalizePhoneE164 } = require("../phoneNumbers");
+const { applyTrackedButton } = require("../shortLinks");
 
 const DELIVERY_REVIEW_RECORDS = path.resolve(
   __dirname,
@@ -64,81 +70,6 @@ function unlockId(id) {
   saveLocks(locks);
 }
 
-function extractDigitsPhone(value) {
-  return String(value || "").replace(/\D/g, "");
-}
-
-function isLikelyValidWhatsAppNumberDigits(digits) {
-  return Boolean(digits) && String(digits).length >= 10;
-}
-
-function getDialCode(countryCode) {
-  const cc = String(countryCode || "IN").toUpperCase();
-  if (cc === "IN") return "+91";
-  // Keep minimal; most of your customers are IN. If needed, extend later.
-  return "+91";
-}
-
-function normalizeToDoubleTickTo(to) {
-  const digitsOnly = String(to || "").replace(/\D/g, "");
-  if (!digitsOnly) return "";
-  if (digitsOnly.length === 10) return `91${digitsOnly}`;
-  return digitsOnly;
-}
-
-async function sendDoubleTickTemplateMessage({
-  to,
-  templateName,
-  language = "en",
-  bodyPlaceholders = [],
-  buttonUrl,
-}) {
-  const apiKey = process.env.DOUBLETICK_API_KEY;
-  if (!apiKey) throw new Error("Missing DOUBLETICK_API_KEY env var");
-
-  const toNormalized = normalizeToDoubleTickTo(to);
-  if (!toNormalized) throw new Error("Missing/invalid destination phone number");
-
-  if (!templateName) throw new Error("Missing DoubleTick templateName");
-
-  const payload = {
-    messages: [
-      {
-        to: toNormalized,
-        from: "+919136524727",
-        content: {
-          templateName,
-          language,
-          templateData: {
-            body: {
-              placeholders: (bodyPlaceholders || []).map((v) =>
-                v === null || v === undefined ? "" : String(v),
-              ),
-            },
-            ...(buttonUrl
-              ? {
-                  buttons: [
-                    {
-                      type: "URL",
-                      parameter: String(buttonUrl),
-                    },
-                  ],
-                }
-              : {}),
-          },
-        },
-      },
-    ],
-  };
-
-  return axios.post(DOUBLETICK_TEMPLATE_ENDPOINT, payload, {
-    headers: {
-      Authorization: apiKey,
-      "Content-Type": "application/json",
-    },
-  });
-}
-
 function buildReviewButtonUrl({ orderId, orderName }) {
   const tmpl = process.env.REVIEW_BUTTON_URL_TEMPLATE;
   const base = process.env.REVIEW_BUTTON_URL;
@@ -156,11 +87,7 @@ async function main() {
   const records = loadJson(DELIVERY_REVIEW_RECORDS, {});
   const now = Date.now();
 
-  const effectiveTemplateName =
-    process.env.REVIEW_TEMPLATE_NAME ||
-    process.env.OR_CAMPAIGN_NAME ||
-    "kaj_order_review_v2";
-  const language = process.env.DT_LANGUAGE || "en";
+  loadTemplateRegistry();
   const parsedDelayMs = Number(process.env.REVIEW_DELAY_MS);
   const minAgeMs = Number.isFinite(parsedDelayMs) ? parsedDelayMs : FIVE_DAYS_MS;
 
@@ -210,16 +137,12 @@ async function main() {
       const recipient = latestRec.recipient || {};
       const name = recipient.name || "Customer";
       const countryCode = recipient.countryCode || "IN";
-      const digits = extractDigitsPhone(recipient.digits);
+      const to = normalizePhoneE164(recipient.to || recipient.digits, { countryCode });
 
-      if (!isLikelyValidWhatsAppNumberDigits(digits)) {
+      if (!to) {
         throw new Error("No valid recipient phone digits for review message");
       }
 
-      const dialCode = getDialCode(countryCode) || "+91";
-      const cleaned = digits.slice(-10);
-      const to = dialCode + cleaned;
-
       const buttonUrl = buildReviewButtonUrl({ orderId, orderName });
       if (!buttonUrl) {
         throw new Error(
@@ -227,12 +150,51 @@ async function main() {
         );
       }
 
-      const resp = await sendDoubleTickTemplateMessage({
+      const message = {
         to,
-        templateName: effectiveTemplateName,
-        language,
-        bodyPlaceholders: [name, String(orderName)],
-        buttonUrl,
+        ...renderTemplateMessage("review_request", {
+          name,
+          orderName: String(orderName),
+          orderId,
+          reviewUrl: buttonUrl,
+        }, {
+          languages: resolveLanguageCandidates({ to, locale: recipient.locale }),
+        }),
+      };
+      const consent = checkConsent(to, message.category);
+      if (!consent.allowed) {
+        appendJsonlLog(REVIEW_LOG_FILE, {
+          event: "review_message_sent",
+          order_id: orderId,
+          fulfillment_id: fulfillmentId,
+          order_name: orderName,
+          result: "suppressed",
+          reason: consent.reason,
+          to,
+        });
+        skipped += 1;
+        continue;
+      }
+
+      // Left unsent; the next run (or the server's review scheduler) picks it up.
+      const quietHours = getQuietHoursDeferral({
+        phone: to,
+        countryCode,
+        category: message.category,
+      });
+      if (quietHours) {
+        skipped += 1;
+        continue;
+      }
+
+      // Same reuse key as the server's sender, so both share one short link.
+      const tracked = applyTrackedButton(message, {
+        event: "review_request",
+        orderId,
+        reuseKey: `review_request:reviews:${fulfillmentId}`,
+      });
+      const resp = await sendTemplateMessage(tracked, {
+        provider: message.provider,
       });
 
       latest[String(fulfillmentId)] = {
@@ -251,7 +213,7 @@ async function main() {
         order_name: orderName,
         delivered_at: latestRec.deliveredAt,
         result: "notified",
-        template: effectiveTemplateName,
+        template: message.templateName,
         to,
         providerResponse: resp?.data || null,
       });
@@ -69,6 +69,22 @@ async function main() {
   };
 
   const desired = [
+    {
+      topic: "orders/create",
+      address: `${baseUrl}/webhook/order-confirmation`,
+    },
+    {
+      topic: "fulfillments/create",
+      address: `${baseUrl}/webhook/fulfillment-creation`,
+    },
+    {
+      topic: "checkouts/update",
+      address: `${baseUrl}/webhook/abandoned-checkouts`,
+    },
+    {
+      topic: "orders/cancelled",
+      address: `${baseUrl}/webhook/order-cancellation`,
+    },
     {
       topic: "fulfillments/update",
       address: `${baseUrl}/webhook/fulfillments/update`,
@@ -87,6 +103,11 @@ async function main() {
       topic: "orders/updated",
       address: `${baseUrl}/webhook/orders/updated-pickup`,
     },
+    {
+      // SMS / email marketing consent (consent registry)
+      topic: "customers/update",
+      address: `${baseUrl}/webhook/customers/update`,
+    },
     {
       // Admin label: "Fulfillment order line items are prepared for pickup"
       topic: "fulfillment_orders/line_items_prepared_for_pickup",
@@ -0,0 +1,205 @@
+const { countries } = require("country-data");
+
+// Phone normalisation and recipient resolution shared by every sender.
+//
+// normalizePhoneE164() turns whatever Shopify / Razorpay hand us
+// ("098765 43210", "+91 98765-43210", "919876543210", "0501234567" for AE)
+// into "+919876543210", using the address's country when the number has no
+// country code. resolveRecipient() walks the candidate fields in one fixed
+// order and reports which field it used:
+//
+//   payment.contact (when a payment is given)
+//   fulfillment.destination.phone
+//   shipping_address.phone
+//   billing_address.phone
+//   customer.phone
+//   customer.default_address.phone
+//   order.phone / checkout.phone
+//   note_attributes (phone / whatsapp / mobile / contact keys)
+
+const DEFAULT_COUNTRY_CODE = "IN";
+const MIN_E164_DIGITS = 10;
+const MAX_E164_DIGITS = 15;
+
+// National (significant) number lengths for the markets we ship to, checked
+// before the dial code is added so short junk ("91234567") isn't padded into
+// a plausible-looking number. Other countries only get the E.164 bounds.
+const NATIONAL_NUMBER_LENGTHS = {
+  IN: [10],
+  AE: [8, 9],
+  SA: [9],
+  QA: [8],
+  KW: [8],
+  OM: [8],
+  BH: [8],
+  SG: [8],
+  NP: [10],
+  BD: [10],
+  LK: [9],
+  US: [10],
+  CA: [10],
+  GB: [10],
+  AU: [9],
+};
+
+function getNationalNumberLengths(countryCode) {
+  return NATIONAL_NUMBER_LENGTHS[String(countryCode || "").toUpperCase()] || null;
+}
+
+function extractDigitsPhone(value) {
+  return String(value || "").replace(/\D/g, "");
+}
+
+// "IN" -> "+91". Unknown or missing codes fall back to India.
+function getDialCode(countryCode) {
+  try {
+    const country = countries[String(countryCode || DEFAULT_COUNTRY_CODE).toUpperCase()];
+    const code = country?.countryCallingCodes?.[0];
+    return code ? `+${extractDigitsPhone(code)}` : "+91";
+  } catch {
+    return "+91";
+  }
+}
+
+// Returns "+<country code><number>" or null when the value can't be a
+// WhatsApp-reachable number.
+function normalizePhoneE164(value, { countryCode = DEFAULT_COUNTRY_CODE } = {}) {
+  const raw = String(value || "").trim();
+  if (!raw) return null;
+
+  let digits = extractDigitsPhone(raw);
+  if (!digits) return null;
+
+  let international = raw.startsWith("+");
+  if (!international && digits.startsWith("00")) {
+    digits = digits.slice(2);
+    international = true;
+  }
+
+  const country = String(countryCode || DEFAULT_COUNTRY_CODE).toUpperCase();
+  const dial = extractDigitsPhone(getDialCode(country));
+  const lengths = getNationalNumberLengths(country);
+
+  if (!international) {
+    // Already carries the country code (e.g. "919876543210")
+    const hasDialCode = lengths
+      ? digits.startsWith(dial) && lengths.includes(digits.length - dial.length)
+      : digits.startsWith(dial) && digits.length >= dial.length + 8 && digits.length > 10;
+    if (hasDialCode) {
+      international = true;
+    } else {
+      // Drop the national trunk prefix ("09876543210" -> "9876543210")
+      const national = digits.replace(/^0+/, "");
+      if (lengths && !lengths.includes(national.length)) return null;
+      digits = `${dial}${national}`;
+    }
+  } else if (lengths && digits.startsWith(dial) && !lengths.includes(digits.length - dial.length)) {
+    // "+91 91234567": the country's own code with a national number of the
+    // wrong length.
+    return null;
+  }
+
+  if (digits.length < MIN_E164_DIGITS || digits.length > MAX_E164_DIGITS) return null;
+  return `+${digits}`;
+}
+
+function isSamePhoneNumber(a, b, { countryCode = DEFAULT_COUNTRY_CODE } = {}) {
+  const left = normalizePhoneE164(a, { countryCode });
+  const right = normalizePhoneE164(b, { countryCode });
+  return Boolean(left && right && left === right);
+}
+
+function isPhoneNoteAttribute(name) {
+  const key = String(name || "").toLowerCase();
+  return ["phone", "whatsapp", "mobile", "contact"].some((k) => key.includes(k));
+}
+
+function listRecipientCandidates({ payment, fulfillment, order, checkout, customer } = {}) {
+  const payload = order || checkout || {};
+  const payloadName = order ? "order" : "checkout";
+  const cust = customer || payload.customer || {};
+  const dest = fulfillment?.destination || {};
+  const shipping = payload.shipping_address || {};
+  const billing = payload.billing_address || {};
+
+  const defaultCountry =
+    shipping.country_code ||
+    dest.country_code ||
+    billing.country_code ||
+    cust.default_address?.country_code ||
+    payload.country_code ||
+    DEFAULT_COUNTRY_CODE;
+
+  const candidates = [
+    { source: "payment.contact", value: payment?.contact },
+    { source: "fulfillment.destination.phone", value: dest.phone, countryCode: dest.country_code },
+    { source: "shipping_address.phone", value: shipping.phone, countryCode: shipping.country_code },
+    { source: "billing_address.phone", value: billing.phone, countryCode: billing.country_code },
+    { source: "customer.phone", value: cust.phone },
+    {
+      source: "customer.default_address.phone",
+      value: cust.default_address?.phone,
+      countryCode: cust.default_address?.country_code,
+    },
+    { source: `${payloadName}.phone`, value: payload.phone },
+    ...(Array.isArray(payload.note_attributes) ? payload.note_attributes : [])
+      .filter((attr) => isPhoneNoteAttribute(attr?.name))
+      .map((attr) => ({ source: `note_attributes.${attr.name}`, value: attr.value })),
+  ];
+
+  return candidates
+    .filter((c) => c.value)
+    .map((c) => ({ ...c, countryCode: c.countryCode || defaultCountry }));
+}
+
+// Picks the first candidate that normalises to a valid number.
+// Returns { to, digits, countryCode, name, source, locale }; `to` is null
+// (source "none") when no field holds a usable number.
+function resolveRecipient(sources = {}) {
+  const payload = sources.order || sources.checkout || {};
+  const customer = sources.customer || payload.customer || {};
+  const dest = sources.fulfillment?.destination || {};
+  const shipping = payload.shipping_address || {};
+  const billing = payload.billing_address || {};
+
+  const name =
+    dest.first_name ||
+    shipping.first_name ||
+    customer.first_name ||
+    billing.first_name ||
+    "Customer";
+  const locale = payload.customer_locale || customer.locale || null;
+
+  const candidates = listRecipientCandidates(sources);
+  for (const candidate of candidates) {
+    const to = normalizePhoneE164(candidate.value, { countryCode: candidate.countryCode });
+    if (to) {
+      return {
+        to,
+        digits: to.slice(1),
+        countryCode: candidate.countryCode,
+        name,
+        source: candidate.source,
+        locale,
+      };
+    }
+  }
+
+  return {
+    to: null,
+    digits: "",
+    countryCode: candidates[0]?.countryCode || DEFAULT_COUNTRY_CODE,
+    name,
+    source: "none",
+    locale,
+  };
+}
+
+module.exports = {
+  extractDigitsPhone,
+  getDialCode,
+  normalizePhoneE164,
+  isSamePhoneNumber,
+  listRecipientCandidates,
+  resolveRecipient,
+};
@@ -0,0 +1,172 @@
+// Quiet hours in the recipient's local time.
+// Non-urgent message categories (QUIET_HOURS_CATEGORIES, default "marketing")
+// are not sent between QUIET_HOURS_START and QUIET_HOURS_END; callers defer
+// them to the end of the window. Transactional messages are never held back.
+//
+// The timezone comes from the recipient's country: the ISO country code when
+// the caller has one, otherwise the phone number's dial code.
+// QUIET_HOURS_TIMEZONES='{"1":"America/Chicago","AU":"Australia/Perth"}'
+// overrides individual entries.
+
+const DEFAULT_TIMEZONE = "Asia/Kolkata";
+
+const COUNTRY_TIMEZONES = {
+  IN: "Asia/Kolkata",
+  AE: "Asia/Dubai",
+  SA: "Asia/Riyadh",
+  QA: "Asia/Qatar",
+  KW: "Asia/Kuwait",
+  OM: "Asia/Muscat",
+  BH: "Asia/Bahrain",
+  NP: "Asia/Kathmandu",
+  BD: "Asia/Dhaka",
+  LK: "Asia/Colombo",
+  SG: "Asia/Singapore",
+  MY: "Asia/Kuala_Lumpur",
+  HK: "Asia/Hong_Kong",
+  GB: "Europe/London",
+  DE: "Europe/Berlin",
+  FR: "Europe/Paris",
+  NL: "Europe/Amsterdam",
+  ZA: "Africa/Johannesburg",
+  AU: "Australia/Sydney",
+  NZ: "Pacific/Auckland",
+  US: "America/New_York",
+  CA: "America/Toronto",
+};
+
+const DIAL_CODE_TIMEZONES = {
+  91: "Asia/Kolkata",
+  971: "Asia/Dubai",
+  966: "Asia/Riyadh",
+  974: "Asia/Qatar",
+  965: "Asia/Kuwait",
+  968: "Asia/Muscat",
+  973: "Asia/Bahrain",
+  977: "Asia/Kathmandu",
+  880: "Asia/Dhaka",
+  94: "Asia/Colombo",
+  65: "Asia/Singapore",
+  60: "Asia/Kuala_Lumpur",
+  852: "Asia/Hong_Kong",
+  44: "Europe/London",
+  49: "Europe/Berlin",
+  33: "Europe/Paris",
+  31: "Europe/Amsterdam",
+  27: "Africa/Johannesburg",
+  61: "Australia/Sydney",
+  64: "Pacific/Auckland",
+  1: "America/New_York",
+};
+
+function parseTimezoneOverrides() {
+  const raw = String(process.env.QUIET_HOURS_TIMEZONES || "").trim();
+  if (!raw) return {};
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch {
+    console.error("Invalid JSON in QUIET_HOURS_TIMEZONES; ignoring it");
+    return {};
+  }
+}
+
+// "21:00" -> 1260
+function parseClockMinutes(value, fallback) {
+  const m = String(value || "").trim().match(/^(\d{1,2}):?(\d{2})?$/);
+  if (!m) return fallback;
+  const hours = Number(m[1]);
+  const minutes = Number(m[2] || 0);
+  if (hours > 23 || minutes > 59) return fallback;
+  return hours * 60 + minutes;
+}
+
+function getQuietHoursConfig() {
+  return {
+    enabled: String(process.env.QUIET_HOURS_ENABLED || "true").toLowerCase() !== "false",
+    startMinutes: parseClockMinutes(process.env.QUIET_HOURS_START, 21 * 60),
+    endMinutes: parseClockMinutes(process.env.QUIET_HOURS_END, 9 * 60),
+    categories: String(process.env.QUIET_HOURS_CATEGORIES || "marketing")
+      .split(",")
+      .map((c) => c.trim().toLowerCase())
+      .filter(Boolean),
+    defaultTimezone: process.env.QUIET_HOURS_DEFAULT_TIMEZONE || DEFAULT_TIMEZONE,
+  };
+}
+
+function isValidTimezone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function resolveRecipientTimezone({ phone, countryCode } = {}) {
+  const overrides = parseTimezoneOverrides();
+  const { defaultTimezone } = getQuietHoursConfig();
+
+  const cc = String(countryCode || "").trim().toUpperCase();
+  let tz = cc ? overrides[cc] || COUNTRY_TIMEZONES[cc] : null;
+
+  if (!tz) {
+    let digits = String(phone || "").replace(/\D/g, "");
+    // Bare 10-digit numbers are Indian everywhere else in this app.
+    if (digits.length === 10) digits = `91${digits}`;
+    for (const len of [3, 2, 1]) {
+      const prefix = digits.slice(0, len);
+      if (overrides[prefix] || DIAL_CODE_TIMEZONES[prefix]) {
+        tz = overrides[prefix] || DIAL_CODE_TIMEZONES[prefix];
+        break;
+      }
+    }
+  }
+
+  return tz && isValidTimezone(tz) ? tz : defaultTimezone;
+}
+
+function getLocalMinutes(nowMs, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-GB", {
+    timeZone,
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(new Date(nowMs));
+  const hour = Number(parts.find((p) => p.type === "hour")?.value || 0);
+  const minute = Number(parts.find((p) => p.type === "minute")?.value || 0);
+  return hour * 60 + minute;
+}
+
+function isQuietMinute(minutes, startMinutes, endMinutes) {
+  if (startMinutes === endMinutes) return false;
+  if (startMinutes < endMinutes) {
+    return minutes >= startMinutes && minutes < endMinutes;
+  }
+  // Window wraps midnight (e.g. 21:00-09:00)
+  return minutes >= startMinutes || minutes < endMinutes;
+}
+
+// Returns null when the message may go out now, otherwise
+// { untilMs, until, timeZone } for the end of the recipient's quiet window.
+function getQuietHoursDeferral({ phone, countryCode, category, nowMs = Date.now() } = {}) {
+  const config = getQuietHoursConfig();
+  if (!config.enabled) return null;
+  if (!config.categories.includes(String(category || "transactional").toLowerCase())) {
+    return null;
+  }
+
+  const timeZone = resolveRecipientTimezone({ phone, countryCode });
+  const localMinutes = getLocalMinutes(nowMs, timeZone);
+  if (!isQuietMinute(localMinutes, config.startMinutes, config.endMinutes)) return null;
+
+  const minutesLeft = (config.endMinutes - localMinutes + 24 * 60) % (24 * 60);
+  const startOfMinuteMs = nowMs - (nowMs % (60 * 1000));
+  const untilMs = startOfMinuteMs + minutesLeft * 60 * 1000;
+  return { untilMs, until: new Date(untilMs).toISOString(), timeZone };
+}
+
+module.exports = {
+  resolveRecipientTimezone,
+  getQuietHoursDeferral,
+};
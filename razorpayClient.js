@@ -12,6 +12,90 @@ const razorpay = new Razorpay({
   key_secret: RAZORPAY_API_SECRET,
 });
 
+// Razorpay returns at most 100 payments per request
+const MAX_PAGE_SIZE = 100;
+// Stops a runaway loop if the API keeps returning full pages
+const MAX_PAGES = 100;
+const DEFAULT_TIMEZONE = process.env.STORE_TIMEZONE || "Asia/Kolkata";
+
+// Offset of `timeZone` from UTC at the given instant, in ms
+function getTimezoneOffsetMs(timestampMs, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(new Date(timestampMs))
+      .map((p) => [p.type, p.value])
+  );
+  const asUtc = Date.UTC(
+    Number(parts.year),
+    Number(parts.month) - 1,
+    Number(parts.day),
+    Number(parts.hour),
+    Number(parts.minute),
+    Number(parts.second)
+  );
+  return asUtc - (timestampMs - (timestampMs % 1000));
+}
+
+// Wall-clock time in `timeZone` -> unix ms
+function zonedTimeToMs(year, month, day, hour, minute, second, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+  const first = guess - getTimezoneOffsetMs(guess, timeZone);
+  // Re-check once in case the guess fell on the other side of a DST change
+  return guess - getTimezoneOffsetMs(first, timeZone);
+}
+
+// "YYYY-MM-DD" in `timeZone` for the given instant
+function getZonedDate(timestampMs, timeZone) {
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(new Date(timestampMs));
+}
+
+// Accepts unix seconds, a Date, or a "YYYY-MM-DD[THH:mm[:ss]]" wall-clock
+// time in `timeZone`. A date without a time means the start of that day, or
+// its last second when `endOfDay` is set. Returns unix seconds.
+function toUnixSeconds(value, { timeZone = DEFAULT_TIMEZONE, endOfDay = false } = {}) {
+  if (value instanceof Date) return Math.floor(value.getTime() / 1000);
+  if (typeof value === "number") return Math.floor(value);
+
+  const m = String(value || "")
+    .trim()
+    .match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (!m) {
+    throw new Error(`Invalid payment range boundary: ${value}`);
+  }
+
+  const [year, month, day] = [Number(m[1]), Number(m[2]), Number(m[3])];
+  if (m[4] === undefined) {
+    const startMs = zonedTimeToMs(year, month, day, 0, 0, 0, timeZone);
+    if (!endOfDay) return Math.floor(startMs / 1000);
+    const nextDayMs = zonedTimeToMs(year, month, day + 1, 0, 0, 0, timeZone);
+    return Math.floor(nextDayMs / 1000) - 1;
+  }
+  const ms = zonedTimeToMs(
+    year,
+    month,
+    day,
+    Number(m[4]),
+    Number(m[5]),
+    Number(m[6] || 0),
+    timeZone
+  );
+  return Math.floor(ms / 1000);
+}
+
 // Optional: Wrap in a custom client for consistency
 class RazorpayClient {
   constructor(instance) {
@@ -30,47 +114,83 @@ class RazorpayClient {
     return await this.instance.payments.capture(paymentId, amount);
   }
 
-  async fetchLastPayments(limit = 5) {
-    return await this.instance.payments.all({ count: limit });
+  // `params` as in Razorpay's Create Payment Link API (amount in paise)
+  async createPaymentLink(params) {
+    return await this.instance.paymentLink.create(params);
   }
 
-  async fetchTodaysPayments() {
-    const now = new Date();
-    // Set start of day (00:00:00) and end of current time
-    const from = Math.floor(
-      new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime() /
-        1000
-    ); // start of today
-    const to = Math.floor(now.getTime() / 1000); // current time
+  async fetchPaymentLink(paymentLinkId) {
+    return await this.instance.paymentLink.fetch(paymentLinkId);
+  }
 
-    return await this.instance.payments.all({ from, to, count: 100 });
+  async cancelPaymentLink(paymentLinkId) {
+    return await this.instance.paymentLink.cancel(paymentLinkId);
   }
 
-  async fetchYesterdaysPayments() {
-    const now = new Date();
+  async fetchLastPayments(limit = 5) {
+    return await this.instance.payments.all({ count: limit });
+  }
 
-    // Get yesterday's date
-    const yesterday = new Date(
-      now.getFullYear(),
-      now.getMonth(),
-      now.getDate() - 1
+  // Yields every payment created between `from` and `to`, a page at a time
+  // (newest first, as Razorpay returns them). See toUnixSeconds() for the
+  // accepted boundary formats; `timeZone` applies to date strings.
+  async *iteratePayments({
+    from,
+    to = Math.floor(Date.now() / 1000),
+    timeZone = DEFAULT_TIMEZONE,
+    pageSize = MAX_PAGE_SIZE,
+  } = {}) {
+    const params = {
+      from: toUnixSeconds(from, { timeZone }),
+      to: toUnixSeconds(to, { timeZone, endOfDay: true }),
+      count: Math.min(Math.max(Number(pageSize) || MAX_PAGE_SIZE, 1), MAX_PAGE_SIZE),
+    };
+
+    for (let page = 0; page < MAX_PAGES; page += 1) {
+      const res = await this.instance.payments.all({
+        ...params,
+        skip: page * params.count,
+      });
+      const items = res?.items || [];
+      for (const item of items) yield item;
+      if (items.length < params.count) return;
+    }
+    console.warn(
+      `Stopped listing Razorpay payments after ${MAX_PAGES} pages (${params.from}-${params.to})`
     );
+  }
 
-    // Start of yesterday (00:00:00)
-    const from = Math.floor(yesterday.getTime() / 1000);
-
-    // End of yesterday (23:59:59)
-    const endOfYesterday = new Date(
-      yesterday.getFullYear(),
-      yesterday.getMonth(),
-      yesterday.getDate(),
-      23,
-      59,
-      59
-    );
-    const to = Math.floor(endOfYesterday.getTime() / 1000);
+  // Same range as iteratePayments(), collected into { items, count } like
+  // payments.all() returns.
+  async fetchPaymentsInRange(range = {}) {
+    const items = [];
+    for await (const payment of this.iteratePayments(range)) {
+      items.push(payment);
+    }
+    return { entity: "collection", count: items.length, items };
+  }
 
-    return await this.instance.payments.all({ from, to, count: 100 });
+  async fetchTodaysPayments({ timeZone = DEFAULT_TIMEZONE } = {}) {
+    const now = Date.now();
+    return await this.fetchPaymentsInRange({
+      from: getZonedDate(now, timeZone),
+      to: Math.floor(now / 1000),
+      timeZone,
+    });
+  }
+
+  async fetchYesterdaysPayments({ timeZone = DEFAULT_TIMEZONE } = {}) {
+    const today = getZonedDate(Date.now(), timeZone);
+    const [year, month, day] = today.split("-").map(Number);
+    const yesterday = getZonedDate(
+      zonedTimeToMs(year, month, day - 1, 12, 0, 0, timeZone),
+      timeZone
+    );
+    return await this.fetchPaymentsInRange({
+      from: yesterday,
+      to: yesterday,
+      timeZone,
+    });
   }
 
   // Add more wrappers as needed
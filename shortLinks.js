@@ -0,0 +1,240 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// Click-tracking short links for template buttons.
+//
+// A registry button with "link" instead of "url" (see templateRegistry.js)
+// renders the real destination as `buttonLink`; applyTrackedButton() stores it
+// here and sends the short code as the button parameter instead, so the
+// template's button base URL is https://<app host>/l/. GET /l/:code logs the
+// click and redirects.
+//
+// Codes are 8 random characters plus the first 8 characters of an HMAC of
+// them (SHORT_LINK_SECRET), so they can't be guessed or forged and bad codes
+// are rejected without a lookup. Relative links resolve against
+// STORE_WEBSITE_URL. Store links (and SHORT_LINK_UTM_HOSTS) get utm_source,
+// utm_medium, utm_campaign (event) and utm_content (template) unless the
+// link already has them.
+
+const SHORT_LINKS_FILE = path.resolve(__dirname, "short-links.json");
+const SHORT_LINK_CLICK_LOG_FILE = path.resolve(__dirname, "short-link-clicks.jsonl");
+const DEFAULT_STORE_URL = "https://www.kaushalyaartjewellery.com";
+const ID_LENGTH = 8;
+const SIGNATURE_LENGTH = 8;
+
+function getRetentionMs() {
+  return (Number(process.env.SHORT_LINK_RETENTION_DAYS) || 90) * 24 * 60 * 60 * 1000;
+}
+
+function getSecret() {
+  const secret = String(process.env.SHORT_LINK_SECRET || "");
+  if (!secret) {
+    const err = new Error("Missing SHORT_LINK_SECRET env var for tracked button links");
+    err.code = "SHORT_LINK_SECRET_MISSING";
+    throw err;
+  }
+  return secret;
+}
+
+function signId(id) {
+  return crypto
+    .createHmac("sha256", getSecret())
+    .update(id)
+    .digest("base64url")
+    .slice(0, SIGNATURE_LENGTH);
+}
+
+// Returns true when the code carries a valid signature.
+function verifyShortLinkCode(code) {
+  const value = String(code || "");
+  if (!/^[A-Za-z0-9_-]+$/.test(value) || value.length !== ID_LENGTH + SIGNATURE_LENGTH) {
+    return false;
+  }
+  const expected = Buffer.from(signId(value.slice(0, ID_LENGTH)));
+  const given = Buffer.from(value.slice(ID_LENGTH));
+  return crypto.timingSafeEqual(expected, given);
+}
+
+function loadShortLinks() {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(SHORT_LINKS_FILE, "utf8"));
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+function saveShortLinks(links) {
+  fs.writeFileSync(SHORT_LINKS_FILE, JSON.stringify(links || {}, null, 2), "utf8");
+}
+
+function appendClickLog(entry) {
+  try {
+    fs.appendFileSync(
+      SHORT_LINK_CLICK_LOG_FILE,
+      `${JSON.stringify({ ts: new Date().toISOString(), ...entry })}\n`,
+      "utf8",
+    );
+  } catch (err) {
+    console.error("Failed to write short link click log:", err?.message || err);
+  }
+}
+
+function hostKey(host) {
+  return String(host || "").toLowerCase().replace(/^www\./, "");
+}
+
+function getUtmHosts() {
+  let storeHost = "";
+  try {
+    storeHost = new URL(process.env.STORE_WEBSITE_URL || DEFAULT_STORE_URL).hostname;
+  } catch {
+    // ignore — only the configured extra hosts get UTM parameters
+  }
+  return [storeHost, process.env.SHOPIFY_DOMAIN, ...String(process.env.SHORT_LINK_UTM_HOSTS || "").split(",")]
+    .map((h) => hostKey(String(h || "").trim()))
+    .filter(Boolean);
+}
+
+// Absolute destination with UTM parameters for store hosts.
+function buildDestination(link, { event, templateName }) {
+  const url = new URL(String(link), process.env.STORE_WEBSITE_URL || DEFAULT_STORE_URL);
+  if (!["http:", "https:"].includes(url.protocol)) {
+    throw new Error(`Tracked link must be http(s): ${link}`);
+  }
+  if (getUtmHosts().includes(hostKey(url.hostname))) {
+    const utm = {
+      utm_source: "whatsapp",
+      utm_medium: "message",
+      utm_campaign: event || "",
+      utm_content: templateName || "",
+    };
+    for (const [key, value] of Object.entries(utm)) {
+      if (value && !url.searchParams.has(key)) url.searchParams.set(key, value);
+    }
+  }
+  return url.toString();
+}
+
+// Returns the code for `link`. The same `reuseKey` (event + idempotency key)
+// and destination get the same code, so retries don't create extra links.
+function createShortLink(link, { event, templateName, orderId, cartToken, reuseKey } = {}) {
+  const destination = buildDestination(link, { event, templateName });
+  const links = loadShortLinks();
+  const now = Date.now();
+
+  for (const [code, record] of Object.entries(links)) {
+    if (Date.parse(record?.createdAt) < now - getRetentionMs()) delete links[code];
+  }
+
+  if (reuseKey) {
+    const existing = Object.values(links).find(
+      (r) => r.reuseKey === reuseKey && r.destination === destination,
+    );
+    if (existing) return existing.code;
+  }
+
+  const id = crypto.randomBytes(6).toString("base64url").slice(0, ID_LENGTH);
+  const code = `${id}${signId(id)}`;
+  links[code] = {
+    code,
+    destination,
+    event: event || null,
+    templateName: templateName || null,
+    orderId: orderId ? String(orderId) : null,
+    cartToken: cartToken || null,
+    reuseKey: reuseKey || null,
+    clicks: 0,
+    createdAt: new Date(now).toISOString(),
+  };
+  saveShortLinks(links);
+  return code;
+}
+
+// Swaps a rendered message's `buttonLink` for a short-link code in `buttonUrl`.
+function applyTrackedButton(message, details = {}) {
+  const { buttonLink, ...rest } = message;
+  if (!buttonLink) return rest;
+  return {
+    ...rest,
+    buttonUrl: createShortLink(buttonLink, { ...details, templateName: rest.templateName }),
+  };
+}
+
+// Logs the click and returns { destination }, or { rejected: reason }.
+function recordShortLinkClick(code, { userAgent = null } = {}) {
+  if (!verifyShortLinkCode(code)) {
+    appendClickLog({
+      event: "rejected",
+      code: String(code || "").slice(0, 64),
+      reason: "bad_signature",
+      user_agent: userAgent,
+    });
+    return { rejected: "bad_signature" };
+  }
+
+  const links = loadShortLinks();
+  const record = links[code];
+  if (!record) {
+    appendClickLog({ event: "rejected", code, reason: "not_found", user_agent: userAgent });
+    return { rejected: "not_found" };
+  }
+
+  const at = new Date().toISOString();
+  record.clicks = (Number(record.clicks) || 0) + 1;
+  record.firstClickAt = record.firstClickAt || at;
+  record.lastClickAt = at;
+  saveShortLinks(links);
+
+  appendClickLog({
+    event: "click",
+    code,
+    template_event: record.event,
+    template_name: record.templateName,
+    order_id: record.orderId,
+    cart_token: record.cartToken,
+    click_number: record.clicks,
+    user_agent: userAgent,
+  });
+  return { destination: record.destination };
+}
+
+// Links created and clicked per template; `sinceMs` / `untilMs` filter on
+// when the link was created (i.e. when the message was sent).
+function summarizeShortLinks({ sinceMs = null, untilMs = null, event = null } = {}) {
+  const rows = {};
+  for (const record of Object.values(loadShortLinks())) {
+    const createdMs = Date.parse(record?.createdAt);
+    if (sinceMs && !(createdMs >= sinceMs)) continue;
+    if (untilMs && !(createdMs <= untilMs)) continue;
+    if (event && record.event !== event) continue;
+
+    const key = `${record.templateName || "unknown"}|${record.event || "unknown"}`;
+    const row = (rows[key] ||= {
+      templateName: record.templateName || null,
+      event: record.event || null,
+      links: 0,
+      clickedLinks: 0,
+      clicks: 0,
+    });
+    row.links += 1;
+    if (record.clicks > 0) row.clickedLinks += 1;
+    row.clicks += Number(record.clicks) || 0;
+  }
+
+  return Object.values(rows)
+    .map((row) => ({
+      ...row,
+      clickThroughRate: row.links ? Number((row.clickedLinks / row.links).toFixed(4)) : null,
+    }))
+    .sort((a, b) => b.links - a.links);
+}
+
+module.exports = {
+  verifyShortLinkCode,
+  createShortLink,
+  applyTrackedButton,
+  recordShortLinkClick,
+  summarizeShortLinks,
+};
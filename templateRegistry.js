@@ -0,0 +1,607 @@
+const fs = require("fs");
+const path = require("path");
+const { providers } = require("./messagingProviders");
+
+// Declarative WhatsApp template registry.
+// message-templates.json maps each event to its template name, language,
+// placeholder expressions, header, button and quick-reply payloads, plus an
+// optional multiItem variant for carts with several lines, a tracked variant
+// with a short-link button and a redirect variant for shipping buttons. Expressions are plain strings
+// with {{key}} tokens filled from the context each sender passes in, e.g.
+// "₹{{amount}}". Point MESSAGE_TEMPLATES_FILE at another file to override.
+
+const DEFAULT_REGISTRY_FILE = path.resolve(__dirname, "message-templates.json");
+const LANGUAGE_PREFERENCES_FILE = path.resolve(
+  __dirname,
+  "customer-language-preferences.json",
+);
+
+// Line-item keys for cart and order messages (see cartSummary.js): itemCount
+// units, itemsSummary text, and items[] ({ title, variant, quantity, price,
+// imageUrl }) for carousel cards.
+const LINE_ITEM_CONTEXT_KEYS = ["itemCount", "itemsSummary", "items"];
+
+// discount* keys are empty unless the sequence step carries a discount code.
+const ABANDONED_CHECKOUT_CONTEXT_KEYS = [
+  "name",
+  "amount",
+  "cartToken",
+  "imageUrl",
+  "discountCode",
+  "discountValue",
+  "discountExpiresAt",
+  ...LINE_ITEM_CONTEXT_KEYS,
+];
+
+// Context keys every sender provides. Used to catch typos in the registry at
+// startup instead of sending a template with an empty placeholder.
+const EVENT_CONTEXT_KEYS = {
+  order_confirmed: [
+    "name",
+    "orderName",
+    "amount",
+    "imageUrl",
+    "orderStatusUrl",
+    ...LINE_ITEM_CONTEXT_KEYS,
+  ],
+  store_pickup_alert: ["name", "orderName", "amount", "orderStatusUrl"],
+  low_stock_alert: [
+    "productTitle",
+    "productCode",
+    "productOption",
+    "currentStock",
+    "threshold",
+    "inventoryUrl",
+    "imageUrl",
+  ],
+  shipped: [
+    "name",
+    "orderName",
+    "trackingNumber",
+    "trackingUrl",
+    "trackingRedirect",
+    "trackingRedirectUrl",
+    "amount",
+    "imageUrl",
+  ],
+  delivered: ["name", "orderName", "trackingNumber", "carrier"],
+  pickup_ready: ["name", "orderName"],
+  store_credit_refund: ["name", "amount", "orderName"],
+  review_request: ["name", "orderName", "orderId", "reviewUrl"],
+  order_cancelled: ["name", "orderName", "amount"],
+  refund_processed: ["amount", "method"],
+  abandoned_checkout: ABANDONED_CHECKOUT_CONTEXT_KEYS,
+  abandoned_checkout_followup: ABANDONED_CHECKOUT_CONTEXT_KEYS,
+  abandoned_checkout_final: ABANDONED_CHECKOUT_CONTEXT_KEYS,
+  payment_recovery: ["name", "amount", "cartToken", "paymentLinkUrl", "expiresAt"],
+  cod_prepaid_offer: [
+    "name",
+    "orderName",
+    "amount",
+    "prepaidAmount",
+    "discountValue",
+    "paymentLinkUrl",
+    "expiresAt",
+  ],
+  cod_prepaid_confirmed: ["name", "orderName", "amount"],
+  cod_confirmation: ["name", "orderName", "orderId", "amount"],
+};
+
+// Consent category per event (see consentRegistry.js). Events not listed are
+// transactional; a registry entry can override this with "category".
+const TEMPLATE_CATEGORIES = ["transactional", "marketing", "internal"];
+const DEFAULT_EVENT_CATEGORIES = {
+  abandoned_checkout: "marketing",
+  abandoned_checkout_followup: "marketing",
+  abandoned_checkout_final: "marketing",
+  payment_recovery: "marketing",
+  cod_prepaid_offer: "marketing",
+  review_request: "marketing",
+  low_stock_alert: "internal",
+};
+
+const TOKEN_PATTERN = /{{\s*([^{}]*?)\s*}}/g;
+const TEMPLATE_NAME_PATTERN = /^[a-z0-9_]+$/;
+const MAX_CAROUSEL_CARDS = 10;
+
+function extractTokens(expression) {
+  return Array.from(String(expression).matchAll(TOKEN_PATTERN), (m) => m[1]);
+}
+
+function renderExpression(expression, context) {
+  return String(expression).replace(TOKEN_PATTERN, (_, key) => {
+    const value = String(key)
+      .split(".")
+      .reduce((acc, part) => (acc == null ? undefined : acc[part]), context);
+    return value === null || value === undefined ? "" : String(value);
+  });
+}
+
+function validateExpression(errors, where, expression, allowedKeys) {
+  if (typeof expression !== "string") {
+    errors.push(`${where} must be a string`);
+    return;
+  }
+  const opens = (expression.match(/{{/g) || []).length;
+  const tokens = extractTokens(expression);
+  if (opens !== tokens.length) {
+    errors.push(`${where} has an unterminated {{ }} token: ${expression}`);
+  }
+  for (const token of tokens) {
+    const root = token.split(".")[0];
+    if (!/^[A-Za-z_][\w.]*$/.test(token)) {
+      errors.push(`${where} has an invalid token {{${token}}}`);
+    } else if (allowedKeys && !allowedKeys.includes(root)) {
+      errors.push(
+        `${where} uses unknown key {{${token}}} (available: ${allowedKeys.join(", ")})`,
+      );
+    }
+  }
+}
+
+// One template entry, or the multiItem variant inside it. Only a multiItem
+// variant may define minItems and a carousel, whose card expressions can also
+// use {{item.*}} (one line item per card).
+function validateTemplateDefinition(errors, where, def, allowedKeys, { multiItem = false } = {}) {
+  if (typeof def.templateName !== "string" || !TEMPLATE_NAME_PATTERN.test(def.templateName)) {
+    errors.push(`${where}.templateName must be a lowercase WhatsApp template name`);
+  }
+  if (
+    def.templateNameEnv !== undefined &&
+    (!Array.isArray(def.templateNameEnv) ||
+      !def.templateNameEnv.every((n) => typeof n === "string" && /^[A-Z][A-Z0-9_]*$/.test(n)))
+  ) {
+    errors.push(`${where}.templateNameEnv must be an array of env var names`);
+  }
+  if (def.language !== undefined && typeof def.language !== "string") {
+    errors.push(`${where}.language must be a string`);
+  }
+  if (
+    def.languages !== undefined &&
+    (!Array.isArray(def.languages) ||
+      !def.languages.every((l) => typeof l === "string" && l.trim()))
+  ) {
+    errors.push(`${where}.languages must be an array of language codes`);
+  }
+  if (def.category !== undefined && !TEMPLATE_CATEGORIES.includes(def.category)) {
+    errors.push(`${where}.category must be one of: ${TEMPLATE_CATEGORIES.join(", ")}`);
+  }
+  if (def.provider !== undefined && !providers[String(def.provider).toLowerCase()]) {
+    errors.push(
+      `${where}.provider "${def.provider}" is not one of: ${Object.keys(providers).join(", ")}`,
+    );
+  }
+
+  if (!Array.isArray(def.placeholders)) {
+    errors.push(`${where}.placeholders must be an array`);
+  } else {
+    def.placeholders.forEach((expr, i) =>
+      validateExpression(errors, `${where}.placeholders[${i}]`, expr, allowedKeys),
+    );
+  }
+
+  if (def.header !== undefined) {
+    if (!def.header || def.header.type !== "image") {
+      errors.push(`${where}.header.type must be "image"`);
+    } else {
+      validateExpression(errors, `${where}.header.url`, def.header.url, allowedKeys);
+      if (def.header.filename !== undefined && typeof def.header.filename !== "string") {
+        errors.push(`${where}.header.filename must be a string`);
+      }
+    }
+  }
+
+  if (def.button !== undefined) {
+    if (!def.button || typeof def.button !== "object") {
+      errors.push(`${where}.button must be an object`);
+    } else if (def.button.link !== undefined) {
+      if (def.button.url !== undefined) {
+        errors.push(`${where}.button takes either url or link, not both`);
+      }
+      validateExpression(errors, `${where}.button.link`, def.button.link, allowedKeys);
+    } else {
+      validateExpression(errors, `${where}.button.url`, def.button.url, allowedKeys);
+    }
+  }
+
+  if (def.quickReplies !== undefined) {
+    if (!Array.isArray(def.quickReplies)) {
+      errors.push(`${where}.quickReplies must be an array`);
+    } else {
+      def.quickReplies.forEach((expr, i) =>
+        validateExpression(errors, `${where}.quickReplies[${i}]`, expr, allowedKeys),
+      );
+    }
+  }
+
+  if (def.tracked !== undefined) {
+    const tracked = def.tracked;
+    if (!tracked || typeof tracked !== "object") {
+      errors.push(`${where}.tracked must be an object`);
+    } else {
+      if (
+        typeof tracked.templateName !== "string" ||
+        !TEMPLATE_NAME_PATTERN.test(tracked.templateName)
+      ) {
+        errors.push(`${where}.tracked.templateName must be a lowercase WhatsApp template name`);
+      }
+      if (!tracked.button || tracked.button.link === undefined) {
+        errors.push(`${where}.tracked.button.link is required`);
+      } else {
+        validateExpression(errors, `${where}.tracked.button.link`, tracked.button.link, allowedKeys);
+      }
+    }
+  }
+
+  if (def.redirect !== undefined) {
+    const redirect = def.redirect;
+    if (!redirect || typeof redirect !== "object") {
+      errors.push(`${where}.redirect must be an object`);
+    } else {
+      if (
+        typeof redirect.templateName !== "string" ||
+        !TEMPLATE_NAME_PATTERN.test(redirect.templateName)
+      ) {
+        errors.push(`${where}.redirect.templateName must be a lowercase WhatsApp template name`);
+      }
+      if (!redirect.button || redirect.button.url === undefined) {
+        errors.push(`${where}.redirect.button.url is required`);
+      } else {
+        validateExpression(errors, `${where}.redirect.button.url`, redirect.button.url, allowedKeys);
+      }
+    }
+  }
+
+  if (multiItem) {
+    if (def.minItems !== undefined && !(Number.isInteger(def.minItems) && def.minItems >= 2)) {
+      errors.push(`${where}.minItems must be an integer of at least 2`);
+    }
+  } else if (def.minItems !== undefined || def.carousel !== undefined) {
+    errors.push(`${where}: minItems and carousel are only allowed inside multiItem`);
+  }
+
+  if (multiItem && def.carousel !== undefined) {
+    const carousel = def.carousel;
+    const cardKeys = allowedKeys ? [...allowedKeys, "item"] : null;
+    if (!carousel || typeof carousel !== "object") {
+      errors.push(`${where}.carousel must be an object`);
+      return;
+    }
+    if (!(Number.isInteger(carousel.cards) && carousel.cards >= 2 && carousel.cards <= MAX_CAROUSEL_CARDS)) {
+      errors.push(`${where}.carousel.cards must be an integer from 2 to ${MAX_CAROUSEL_CARDS}`);
+    }
+    if (!carousel.header || carousel.header.type !== "image") {
+      errors.push(`${where}.carousel.header.type must be "image"`);
+    } else {
+      validateExpression(errors, `${where}.carousel.header.url`, carousel.header.url, cardKeys);
+    }
+    if (!Array.isArray(carousel.placeholders)) {
+      errors.push(`${where}.carousel.placeholders must be an array`);
+    } else {
+      carousel.placeholders.forEach((expr, i) =>
+        validateExpression(errors, `${where}.carousel.placeholders[${i}]`, expr, cardKeys),
+      );
+    }
+    if (carousel.button !== undefined) {
+      if (!carousel.button || typeof carousel.button !== "object") {
+        errors.push(`${where}.carousel.button must be an object`);
+      } else {
+        validateExpression(errors, `${where}.carousel.button.url`, carousel.button.url, cardKeys);
+      }
+    }
+  }
+}
+
+function validateTemplateRegistry(registry, { requiredEvents = [] } = {}) {
+  const errors = [];
+
+  if (!registry || typeof registry !== "object") {
+    return ["registry must be a JSON object"];
+  }
+  if (registry.defaultLanguage !== undefined && typeof registry.defaultLanguage !== "string") {
+    errors.push("defaultLanguage must be a string");
+  }
+
+  const events = registry.events;
+  if (!events || typeof events !== "object") {
+    return [...errors, "registry.events must be an object"];
+  }
+
+  for (const event of requiredEvents) {
+    if (!events[event]) errors.push(`missing template for event "${event}"`);
+  }
+
+  for (const [event, def] of Object.entries(events)) {
+    const where = `events.${event}`;
+    if (!def || typeof def !== "object") {
+      errors.push(`${where} must be an object`);
+      continue;
+    }
+
+    const allowedKeys = EVENT_CONTEXT_KEYS[event] || null;
+    validateTemplateDefinition(errors, where, def, allowedKeys);
+
+    if (def.multiItem !== undefined) {
+      if (!def.multiItem || typeof def.multiItem !== "object") {
+        errors.push(`${where}.multiItem must be an object`);
+      } else {
+        validateTemplateDefinition(errors, `${where}.multiItem`, def.multiItem, allowedKeys, {
+          multiItem: true,
+        });
+      }
+    }
+  }
+
+  return errors;
+}
+
+let cachedRegistry = null;
+
+// Reads and validates the registry; throws with every problem listed so a bad
+// config stops the process at boot rather than at the first send.
+function loadTemplateRegistry({ requiredEvents = Object.keys(EVENT_CONTEXT_KEYS) } = {}) {
+  const filePath = process.env.MESSAGE_TEMPLATES_FILE
+    ? path.resolve(process.env.MESSAGE_TEMPLATES_FILE)
+    : DEFAULT_REGISTRY_FILE;
+
+  let registry;
+  try {
+    registry = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (err) {
+    throw new Error(`Failed to read template registry ${filePath}: ${err?.message || err}`);
+  }
+
+  const errors = validateTemplateRegistry(registry, { requiredEvents });
+  if (errors.length) {
+    throw new Error(
+      `Invalid template registry ${filePath}:\n  - ${errors.join("\n  - ")}`,
+    );
+  }
+
+  cachedRegistry = registry;
+  return registry;
+}
+
+function getTemplateRegistry() {
+  return cachedRegistry || loadTemplateRegistry();
+}
+
+function getTemplateDefinition(event) {
+  const def = getTemplateRegistry().events[event];
+  if (!def) {
+    const err = new Error(`No template registered for event "${event}"`);
+    err.code = "UNKNOWN_TEMPLATE_EVENT";
+    throw err;
+  }
+  return def;
+}
+
+function getEventCategory(event) {
+  const def = getTemplateRegistry().events[event];
+  return def?.category || DEFAULT_EVENT_CATEGORIES[event] || "transactional";
+}
+
+// --- Recipient language ---
+// Stored preferences are keyed by the recipient's phone digits (with country
+// code) and win over whatever locale Shopify reports for the order.
+
+function phoneKey(value) {
+  return String(value || "").replace(/\D/g, "");
+}
+
+function loadLanguagePreferences() {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(LANGUAGE_PREFERENCES_FILE, "utf8"));
+    if (!parsed || typeof parsed !== "object") return {};
+    return parsed;
+  } catch {
+    return {};
+  }
+}
+
+function setLanguagePreference(phone, language, source = "admin") {
+  const key = phoneKey(phone);
+  if (!key) throw new Error("Missing phone for language preference");
+
+  const prefs = loadLanguagePreferences();
+  if (language) {
+    prefs[key] = {
+      language: String(language).trim(),
+      source,
+      updatedAt: new Date().toISOString(),
+    };
+  } else {
+    delete prefs[key];
+  }
+  fs.writeFileSync(LANGUAGE_PREFERENCES_FILE, JSON.stringify(prefs, null, 2), "utf8");
+  return prefs[key] || null;
+}
+
+function getLanguagePreference(phone) {
+  const key = phoneKey(phone);
+  if (!key) return null;
+  return loadLanguagePreferences()[key]?.language || null;
+}
+
+// Candidate languages for a recipient, most specific first:
+// stored preference, order/checkout customer_locale, customer locale.
+function resolveLanguageCandidates({ to, order, checkout, customer, locale } = {}) {
+  return [
+    getLanguagePreference(to),
+    locale,
+    order?.customer_locale,
+    checkout?.customer_locale,
+    customer?.locale,
+    order?.customer?.locale,
+    checkout?.customer?.locale,
+  ].filter(Boolean);
+}
+
+// "hi-IN" -> ["hi_IN", "hi"]; WhatsApp uses underscores for regional variants.
+function localeVariants(locale) {
+  const normalized = String(locale || "").trim().replace("-", "_");
+  if (!normalized) return [];
+  const [lang, region] = normalized.split("_");
+  const variants = [];
+  if (region) variants.push(`${lang.toLowerCase()}_${region.toUpperCase()}`);
+  variants.push(lang.toLowerCase());
+  return variants;
+}
+
+// DT_LANGUAGE, the language every template used before the registry, still
+// overrides defaultLanguage; an entry's own language wins over both.
+function pickTemplateLanguage(def, registry, candidates = []) {
+  const fallback =
+    def.language || String(process.env.DT_LANGUAGE || "").trim() || registry.defaultLanguage || "en";
+  const available = Array.isArray(def.languages) && def.languages.length
+    ? def.languages
+    : [fallback];
+
+  for (const candidate of candidates) {
+    const match = localeVariants(candidate).find((v) =>
+      available.some((a) => a.toLowerCase() === v.toLowerCase()),
+    );
+    if (match) return available.find((a) => a.toLowerCase() === match.toLowerCase());
+  }
+  return fallback;
+}
+
+// `templateNameEnv` lists env vars that override templateName (the first one
+// set wins), for deployments that named the template before the registry.
+function resolveTemplateName(def) {
+  for (const name of def.templateNameEnv || []) {
+    const value = String(process.env[name] || "").trim();
+    if (value) return value;
+  }
+  return def.templateName;
+}
+
+// Events named in a comma-separated env var, e.g.
+// MULTI_ITEM_TEMPLATE_EVENTS=order_confirmed,abandoned_checkout.
+function isEventListedInEnv(envName, event) {
+  return String(process.env[envName] || "")
+    .split(",")
+    .map((e) => e.trim())
+    .includes(event);
+}
+
+// Carts and orders with several lines use the event's multiItem variant when
+// one is configured and the event is listed in MULTI_ITEM_TEMPLATE_EVENTS
+// (i.e. the variant's template is approved): from minItems lines (default 2),
+// or, for a carousel, from as many lines as it has cards. Language and
+// provider are inherited.
+function pickTemplateVariant(event, def, context) {
+  const multi = isEventListedInEnv("MULTI_ITEM_TEMPLATE_EVENTS", event) ? def.multiItem : null;
+  if (!multi) return applyTrackedVariant(event, applyRedirectVariant(def));
+  const lines = Array.isArray(context.items) ? context.items.length : 0;
+  const needed = multi.carousel ? multi.carousel.cards : multi.minItems || 2;
+  if (lines < needed) return applyTrackedVariant(event, applyRedirectVariant(def));
+  return applyTrackedVariant(
+    event,
+    applyRedirectVariant({
+      language: def.language,
+      languages: def.languages,
+      provider: def.provider,
+      ...multi,
+    }),
+  );
+}
+
+// The `redirect` variant (a shipping template whose button goes through
+// /redirect_for_shipment) is only sent with SHIPMENT_REDIRECT_TEMPLATE_ENABLED=true,
+// i.e. once that template has been approved.
+function applyRedirectVariant(def) {
+  if (
+    !def.redirect ||
+    String(process.env.SHIPMENT_REDIRECT_TEMPLATE_ENABLED || "").toLowerCase() !== "true"
+  ) {
+    return def;
+  }
+  return {
+    ...def,
+    templateName: def.redirect.templateName,
+    templateNameEnv: [],
+    button: def.redirect.button,
+  };
+}
+
+// The `tracked` variant (a template whose button goes through /l/) replaces
+// templateName and button for events listed in SHORT_LINK_EVENTS, once
+// SHORT_LINK_SECRET is set; without it the short link couldn't be signed, so
+// the plain template is sent.
+function applyTrackedVariant(event, def) {
+  if (
+    !def.tracked ||
+    !String(process.env.SHORT_LINK_SECRET || "") ||
+    !isEventListedInEnv("SHORT_LINK_EVENTS", event)
+  ) {
+    return def;
+  }
+  return {
+    ...def,
+    templateName: def.tracked.templateName,
+    templateNameEnv: [],
+    button: def.tracked.button,
+  };
+}
+
+function renderCarouselCards(carousel, context) {
+  return context.items.slice(0, carousel.cards).map((item) => {
+    const cardContext = { ...context, item };
+    const buttonUrl = carousel.button ? renderExpression(carousel.button.url, cardContext) : "";
+    return {
+      headerImageUrl: renderExpression(carousel.header.url, cardContext),
+      bodyPlaceholders: (carousel.placeholders || []).map((expr) =>
+        renderExpression(expr, cardContext),
+      ),
+      ...(buttonUrl ? { buttonUrl } : {}),
+    };
+  });
+}
+
+// Returns the provider-facing part of a message (everything except `to`).
+// `languages` lists the recipient's preferred languages; the first one the
+// template has a variant for is used, otherwise the template's default.
+// A button with `link` instead of `url` returns `buttonLink`, the real
+// destination; the sender swaps it for a tracked short-link code.
+function renderTemplateMessage(event, context = {}, { languages = [] } = {}) {
+  const registry = getTemplateRegistry();
+  const def = pickTemplateVariant(event, getTemplateDefinition(event), context);
+
+  const headerImageUrl = def.header ? renderExpression(def.header.url, context) : "";
+  const buttonUrl = def.button?.url !== undefined ? renderExpression(def.button.url, context) : "";
+  const buttonLink = def.button?.link !== undefined ? renderExpression(def.button.link, context) : "";
+
+  return {
+    templateName: resolveTemplateName(def),
+    category: getEventCategory(event),
+    language: pickTemplateLanguage(def, registry, languages),
+    bodyPlaceholders: (def.placeholders || []).map((expr) =>
+      renderExpression(expr, context),
+    ),
+    ...(headerImageUrl
+      ? { headerImageUrl, headerFilename: def.header.filename || "image.jpeg" }
+      : {}),
+    ...(buttonUrl ? { buttonUrl } : {}),
+    ...(buttonLink ? { buttonLink } : {}),
+    ...(Array.isArray(def.quickReplies) && def.quickReplies.length
+      ? { quickReplyPayloads: def.quickReplies.map((expr) => renderExpression(expr, context)) }
+      : {}),
+    ...(def.carousel ? { carouselCards: renderCarouselCards(def.carousel, context) } : {}),
+    ...(def.provider ? { provider: String(def.provider).toLowerCase() } : {}),
+  };
+}
+
+module.exports = {
+  EVENT_CONTEXT_KEYS,
+  validateTemplateRegistry,
+  loadTemplateRegistry,
+  getTemplateDefinition,
+  resolveTemplateName,
+  getEventCategory,
+  renderTemplateMessage,
+  loadLanguagePreferences,
+  setLanguagePreference,
+  getLanguagePreference,
+  resolveLanguageCandidates,
+};
@@ -0,0 +1,65 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { getVariantOptions, formatLineItemTitle, summarizeLineItems } = require("../cartSummary");
+
+describe("summarizeLineItems", () => {
+  const lines = [
+    { title: "Kundan Necklace", variant_title: "Gold / Large", quantity: 2 },
+    { title: "Jhumka Earrings", variant_title: "Default Title", quantity: 1 },
+    { title: "Bangle Set", quantity: 1 },
+  ];
+
+  test("counts units and names the first lines with a +N more suffix", () => {
+    assert.deepEqual(summarizeLineItems(lines), {
+      itemCount: 4,
+      itemsSummary: "Kundan Necklace (Gold / Large) ×2, Jhumka Earrings +1 more",
+      moreCount: 1,
+    });
+  });
+
+  test("maxTitles controls how many lines are named", () => {
+    assert.equal(summarizeLineItems(lines, { maxTitles: 1 }).itemsSummary, "Kundan Necklace (Gold / Large) ×2 +2 more");
+    assert.equal(summarizeLineItems(lines, { maxTitles: 3 }).moreCount, 0);
+  });
+
+  test("reads CART_SUMMARY_MAX_TITLES and ignores invalid values", () => {
+    const saved = process.env.CART_SUMMARY_MAX_TITLES;
+    try {
+      process.env.CART_SUMMARY_MAX_TITLES = "3";
+      assert.equal(summarizeLineItems(lines).moreCount, 0);
+      process.env.CART_SUMMARY_MAX_TITLES = "0";
+      assert.equal(summarizeLineItems(lines).moreCount, 1);
+    } finally {
+      if (saved === undefined) delete process.env.CART_SUMMARY_MAX_TITLES;
+      else process.env.CART_SUMMARY_MAX_TITLES = saved;
+    }
+  });
+
+  test("skips removed lines and handles empty carts", () => {
+    const summary = summarizeLineItems([{ title: "Gone", quantity: 0 }, { title: "Ring", quantity: 1 }]);
+    assert.deepEqual(summary, { itemCount: 1, itemsSummary: "Ring", moreCount: 0 });
+    assert.deepEqual(summarizeLineItems(undefined), { itemCount: 0, itemsSummary: "", moreCount: 0 });
+  });
+});
+
+describe("formatLineItemTitle", () => {
+  test("keeps long titles on one short line", () => {
+    const title = formatLineItemTitle({
+      title: "Antique   Gold Plated\nTemple Jewellery Long Haram Necklace",
+      quantity: 1,
+    });
+    assert.equal(title.length, 40);
+    assert.ok(title.endsWith("…"));
+    assert.ok(!/\s{2}|\n/.test(title));
+  });
+
+  test("falls back to the line name and variant options", () => {
+    assert.equal(
+      formatLineItemTitle({ name: "Ring", variant_options: ["Silver", "Default Title", " 7 "] }),
+      "Ring (Silver / 7)",
+    );
+    assert.equal(formatLineItemTitle({}), "Item");
+    assert.equal(getVariantOptions({ variant_title: "Default Title" }), "");
+  });
+});
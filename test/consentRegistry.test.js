@@ -0,0 +1,135 @@
+const { describe, test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// consentRegistry.js keeps its files next to itself, so load a copy from a
+// temp directory instead of touching the real registry.
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "consent-test-"));
+fs.copyFileSync(
+  path.join(__dirname, "..", "consentRegistry.js"),
+  path.join(tmpDir, "consentRegistry.js"),
+);
+const {
+  consentPhoneKey,
+  setWhatsAppConsent,
+  recordShopifyMarketingConsent,
+  extractShopifyMarketingConsent,
+  checkConsent,
+  listSuppressedConsentRecords,
+} = require(path.join(tmpDir, "consentRegistry.js"));
+
+const PHONE = "+919876543210";
+
+describe("checkConsent", () => {
+  let savedOptIn;
+  before(() => {
+    savedOptIn = process.env.MARKETING_REQUIRES_OPT_IN;
+  });
+  beforeEach(() => {
+    fs.rmSync(path.join(tmpDir, "customer-consent.json"), { force: true });
+    fs.rmSync(path.join(tmpDir, "whatsapp-opt-outs.json"), { force: true });
+    delete process.env.MARKETING_REQUIRES_OPT_IN;
+  });
+  after(() => {
+    if (savedOptIn === undefined) delete process.env.MARKETING_REQUIRES_OPT_IN;
+    else process.env.MARKETING_REQUIRES_OPT_IN = savedOptIn;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test("allows everything for an unknown number", () => {
+    for (const category of ["transactional", "marketing", "internal"]) {
+      assert.deepEqual(checkConsent(PHONE, category), { allowed: true, reason: null });
+    }
+  });
+
+  test("a full opt-out blocks transactional and marketing but not internal", () => {
+    setWhatsAppConsent(PHONE, "opted_out", { scope: "all", source: "inbound_stop" });
+    assert.deepEqual(checkConsent(PHONE, "transactional"), { allowed: false, reason: "opted_out" });
+    assert.deepEqual(checkConsent(PHONE, "marketing"), { allowed: false, reason: "opted_out" });
+    assert.equal(checkConsent(PHONE, "internal").allowed, true);
+  });
+
+  test("a marketing opt-out only blocks marketing", () => {
+    setWhatsAppConsent(PHONE, "opted_out", { scope: "marketing" });
+    assert.equal(checkConsent(PHONE, "transactional").allowed, true);
+    assert.deepEqual(checkConsent(PHONE, "marketing"), {
+      allowed: false,
+      reason: "marketing_opted_out",
+    });
+  });
+
+  test("a Shopify unsubscribe blocks marketing unless the customer opted in on WhatsApp", () => {
+    recordShopifyMarketingConsent(PHONE, { sms: "unsubscribed", email: null });
+    assert.equal(checkConsent(PHONE, "marketing").reason, "shopify_marketing_unsubscribed");
+    assert.equal(checkConsent(PHONE, "transactional").allowed, true);
+
+    setWhatsAppConsent(PHONE, "opted_in", { source: "inbound_start" });
+    assert.equal(checkConsent(PHONE, "marketing").allowed, true);
+  });
+
+  test("MARKETING_REQUIRES_OPT_IN needs a WhatsApp or Shopify opt-in", () => {
+    process.env.MARKETING_REQUIRES_OPT_IN = "true";
+    assert.deepEqual(checkConsent(PHONE, "marketing"), {
+      allowed: false,
+      reason: "no_marketing_opt_in",
+    });
+    assert.equal(checkConsent(PHONE, "transactional").allowed, true);
+
+    recordShopifyMarketingConsent(PHONE, { sms: null, email: "subscribed" });
+    assert.equal(checkConsent(PHONE, "marketing").allowed, true);
+  });
+
+  test("numbers with and without the country code share a record", () => {
+    setWhatsAppConsent("98765 43210", "opted_out");
+    assert.equal(consentPhoneKey("9876543210"), "919876543210");
+    assert.equal(checkConsent(PHONE, "transactional").allowed, false);
+  });
+
+  test("imports opt-outs recorded before the registry existed", () => {
+    fs.writeFileSync(
+      path.join(tmpDir, "whatsapp-opt-outs.json"),
+      JSON.stringify({ 919876543210: { text: "STOP", optedOutAt: "2026-01-01T00:00:00.000Z" } }),
+    );
+    assert.equal(checkConsent(PHONE, "transactional").reason, "opted_out");
+  });
+
+  test("lists only records that block a category", () => {
+    setWhatsAppConsent(PHONE, "opted_out", { scope: "marketing" });
+    setWhatsAppConsent("+919811111111", "opted_in");
+    assert.deepEqual(
+      listSuppressedConsentRecords().map((r) => r.phone),
+      ["919876543210"],
+    );
+  });
+
+  test("rejects unknown statuses and scopes", () => {
+    assert.throws(() => setWhatsAppConsent(PHONE, "maybe"), /Invalid WhatsApp consent status/);
+    assert.throws(
+      () => setWhatsAppConsent(PHONE, "opted_out", { scope: "sms" }),
+      /Invalid WhatsApp consent scope/,
+    );
+  });
+});
+
+describe("extractShopifyMarketingConsent", () => {
+  test("reads customer consent states and checkout flags", () => {
+    assert.deepEqual(
+      extractShopifyMarketingConsent({
+        customer: {
+          id: 7,
+          sms_marketing_consent: { state: "subscribed" },
+          email_marketing_consent: { state: "unsubscribed" },
+        },
+      }),
+      { sms: "subscribed", email: "unsubscribed", customerId: 7 },
+    );
+    assert.deepEqual(extractShopifyMarketingConsent({ buyer_accepts_marketing: true }), {
+      sms: null,
+      email: "subscribed",
+      customerId: null,
+    });
+    assert.equal(extractShopifyMarketingConsent({ customer: {} }), null);
+  });
+});
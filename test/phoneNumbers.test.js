@@ -0,0 +1,90 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  getDialCode,
+  normalizePhoneE164,
+  isSamePhoneNumber,
+  resolveRecipient,
+} = require("../phoneNumbers");
+
+describe("normalizePhoneE164", () => {
+  test("formats the shapes Shopify and Razorpay send", () => {
+    assert.equal(normalizePhoneE164("098765 43210"), "+919876543210");
+    assert.equal(normalizePhoneE164("+91 98765-43210"), "+919876543210");
+    assert.equal(normalizePhoneE164("919876543210"), "+919876543210");
+    assert.equal(normalizePhoneE164("0091 9876543210"), "+919876543210");
+    assert.equal(normalizePhoneE164("0501234567", { countryCode: "AE" }), "+971501234567");
+  });
+
+  test("a 10-digit Indian number starting with 91 is not read as a dial code", () => {
+    assert.equal(normalizePhoneE164("9123456789"), "+919123456789");
+  });
+
+  test("rejects national numbers of the wrong length for the country", () => {
+    assert.equal(normalizePhoneE164("91234567"), null);
+    assert.equal(normalizePhoneE164("+9191234567"), null);
+    assert.equal(normalizePhoneE164("98765432101"), null);
+    assert.equal(normalizePhoneE164("5012345", { countryCode: "AE" }), null);
+  });
+
+  test("keeps numbers that already carry another country's code", () => {
+    assert.equal(normalizePhoneE164("+971 50 123 4567"), "+971501234567");
+    assert.equal(normalizePhoneE164("+44 7911 123456", { countryCode: "IN" }), "+447911123456");
+  });
+
+  test("only checks E.164 bounds for countries without known lengths", () => {
+    assert.equal(normalizePhoneE164("0612345678", { countryCode: "NL" }), "+31612345678");
+    assert.equal(normalizePhoneE164("12", { countryCode: "NL" }), null);
+  });
+
+  test("returns null for empty or digit-free values", () => {
+    assert.equal(normalizePhoneE164(""), null);
+    assert.equal(normalizePhoneE164(null), null);
+    assert.equal(normalizePhoneE164("n/a"), null);
+  });
+});
+
+describe("getDialCode", () => {
+  test("falls back to India for unknown or missing codes", () => {
+    assert.equal(getDialCode("AE"), "+971");
+    assert.equal(getDialCode(undefined), "+91");
+    assert.equal(getDialCode("ZZ"), "+91");
+  });
+});
+
+describe("isSamePhoneNumber", () => {
+  test("compares normalised numbers", () => {
+    assert.equal(isSamePhoneNumber("09876543210", "+91 98765 43210"), true);
+    assert.equal(isSamePhoneNumber("9876543210", "9876543211"), false);
+    assert.equal(isSamePhoneNumber("91234567", "91234567"), false);
+  });
+});
+
+describe("resolveRecipient", () => {
+  test("skips unusable fields and reports the one it used", () => {
+    const recipient = resolveRecipient({
+      order: {
+        shipping_address: { first_name: "Asha", phone: "12345", country_code: "IN" },
+        billing_address: { phone: "098765 43210", country_code: "IN" },
+      },
+    });
+    assert.equal(recipient.to, "+919876543210");
+    assert.equal(recipient.source, "billing_address.phone");
+    assert.equal(recipient.name, "Asha");
+  });
+
+  test("uses the address country for numbers without a dial code", () => {
+    const recipient = resolveRecipient({
+      checkout: { shipping_address: { phone: "0501234567", country_code: "AE" } },
+    });
+    assert.equal(recipient.to, "+971501234567");
+    assert.equal(recipient.countryCode, "AE");
+  });
+
+  test("returns source none without a usable number", () => {
+    const recipient = resolveRecipient({ order: { phone: "000" } });
+    assert.equal(recipient.to, null);
+    assert.equal(recipient.source, "none");
+  });
+});
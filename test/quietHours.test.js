@@ -0,0 +1,114 @@
+const { describe, test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { getQuietHoursDeferral, resolveRecipientTimezone } = require("../quietHours");
+
+const ENV_KEYS = [
+  "QUIET_HOURS_ENABLED",
+  "QUIET_HOURS_START",
+  "QUIET_HOURS_END",
+  "QUIET_HOURS_CATEGORIES",
+  "QUIET_HOURS_TIMEZONES",
+  "QUIET_HOURS_DEFAULT_TIMEZONE",
+];
+
+// Wall-clock time in India (UTC+5:30) as unix ms.
+function istMs(day, hour, minute) {
+  return Date.UTC(2026, 9, day, hour, minute) - 330 * 60 * 1000;
+}
+
+const INDIAN_PHONE = "+919876543210";
+
+describe("getQuietHoursDeferral", () => {
+  let savedEnv;
+  beforeEach(() => {
+    savedEnv = Object.fromEntries(ENV_KEYS.map((k) => [k, process.env[k]]));
+    for (const key of ENV_KEYS) delete process.env[key];
+  });
+  afterEach(() => {
+    for (const [key, value] of Object.entries(savedEnv)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+
+  const defer = (nowMs, extra = {}) =>
+    getQuietHoursDeferral({ phone: INDIAN_PHONE, category: "marketing", nowMs, ...extra });
+
+  test("the default 21:00-09:00 window starts at 21:00 sharp", () => {
+    assert.equal(defer(istMs(19, 20, 59)), null);
+    assert.equal(defer(istMs(19, 21, 0)).untilMs, istMs(20, 9, 0));
+  });
+
+  test("the window wraps midnight and ends at 09:00 sharp", () => {
+    assert.equal(defer(istMs(20, 0, 30)).untilMs, istMs(20, 9, 0));
+    assert.equal(defer(istMs(20, 8, 59)).untilMs, istMs(20, 9, 0));
+    assert.equal(defer(istMs(20, 9, 0)), null);
+  });
+
+  test("the deferral ends on a whole minute", () => {
+    const deferral = defer(istMs(19, 22, 15) + 42 * 1000);
+    assert.equal(deferral.untilMs, istMs(20, 9, 0));
+    assert.equal(deferral.timeZone, "Asia/Kolkata");
+    assert.equal(deferral.until, new Date(istMs(20, 9, 0)).toISOString());
+  });
+
+  test("uses the recipient's time zone", () => {
+    // 21:30 in India is 20:00 in Dubai
+    assert.equal(defer(istMs(19, 21, 30), { phone: "+971501234567" }), null);
+    assert.notEqual(defer(istMs(19, 21, 30), { phone: "+971501234567", countryCode: "IN" }), null);
+  });
+
+  test("transactional messages are never held back by default", () => {
+    assert.equal(defer(istMs(19, 23, 0), { category: "transactional" }), null);
+    assert.equal(defer(istMs(19, 23, 0), { category: undefined }), null);
+  });
+
+  test("honours QUIET_HOURS_CATEGORIES, START, END and ENABLED", () => {
+    process.env.QUIET_HOURS_CATEGORIES = "marketing, transactional";
+    assert.notEqual(defer(istMs(19, 23, 0), { category: "transactional" }), null);
+
+    process.env.QUIET_HOURS_START = "13:00";
+    process.env.QUIET_HOURS_END = "14:00";
+    assert.equal(defer(istMs(19, 12, 59)), null);
+    assert.equal(defer(istMs(19, 13, 0)).untilMs, istMs(19, 14, 0));
+    assert.equal(defer(istMs(19, 14, 0)), null);
+
+    process.env.QUIET_HOURS_ENABLED = "false";
+    assert.equal(defer(istMs(19, 13, 30)), null);
+  });
+
+  test("a window that starts and ends at the same time is never quiet", () => {
+    process.env.QUIET_HOURS_START = "10:00";
+    process.env.QUIET_HOURS_END = "10:00";
+    assert.equal(defer(istMs(19, 10, 0)), null);
+  });
+
+  test("invalid clock values fall back to the defaults", () => {
+    process.env.QUIET_HOURS_START = "25:00";
+    process.env.QUIET_HOURS_END = "nine";
+    assert.equal(defer(istMs(19, 20, 59)), null);
+    assert.notEqual(defer(istMs(19, 21, 0)), null);
+  });
+});
+
+describe("resolveRecipientTimezone", () => {
+  test("prefers the country code, then the dial code, then the default", () => {
+    assert.equal(resolveRecipientTimezone({ phone: "+919876543210", countryCode: "GB" }), "Europe/London");
+    assert.equal(resolveRecipientTimezone({ phone: "+971501234567" }), "Asia/Dubai");
+    assert.equal(resolveRecipientTimezone({ phone: "9876543210" }), "Asia/Kolkata");
+    assert.equal(resolveRecipientTimezone({ phone: "+99912345678" }), "Asia/Kolkata");
+  });
+
+  test("QUIET_HOURS_TIMEZONES overrides entries", () => {
+    const saved = process.env.QUIET_HOURS_TIMEZONES;
+    process.env.QUIET_HOURS_TIMEZONES = '{"1":"America/Chicago","AU":"Australia/Perth"}';
+    try {
+      assert.equal(resolveRecipientTimezone({ phone: "+12025550123" }), "America/Chicago");
+      assert.equal(resolveRecipientTimezone({ countryCode: "AU" }), "Australia/Perth");
+    } finally {
+      if (saved === undefined) delete process.env.QUIET_HOURS_TIMEZONES;
+      else process.env.QUIET_HOURS_TIMEZONES = saved;
+    }
+  });
+});
@@ -0,0 +1,114 @@
+const { describe, test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+// razorpayClient.js refuses to load without credentials; no request is made.
+process.env.RAZORPAY_API_KEY ||= "rzp_test_key";
+process.env.RAZORPAY_API_SECRET ||= "rzp_test_secret";
+const { razorpayClient } = require("../razorpayClient");
+
+// Serves `total` payments newest first, honouring count / skip like the API.
+function fakePayments(total) {
+  const calls = [];
+  const all = async (params) => {
+    calls.push(params);
+    const ids = Array.from({ length: total }, (_, i) => `pay_${i}`);
+    const items = ids.slice(params.skip, params.skip + params.count).map((id) => ({ id }));
+    return { entity: "collection", count: items.length, items };
+  };
+  return { calls, instance: { payments: { all } } };
+}
+
+async function collect(iterable) {
+  const items = [];
+  for await (const item of iterable) items.push(item);
+  return items;
+}
+
+describe("razorpayClient.iteratePayments", () => {
+  let realInstance;
+  beforeEach(() => {
+    realInstance = razorpayClient.instance;
+  });
+  afterEach(() => {
+    razorpayClient.instance = realInstance;
+  });
+
+  test("follows skip until a short page", async () => {
+    const fake = fakePayments(5);
+    razorpayClient.instance = fake.instance;
+
+    const items = await collect(razorpayClient.iteratePayments({ from: 1, to: 2, pageSize: 2 }));
+    assert.deepEqual(items.map((p) => p.id), ["pay_0", "pay_1", "pay_2", "pay_3", "pay_4"]);
+    assert.deepEqual(fake.calls.map((c) => c.skip), [0, 2, 4]);
+    assert.deepEqual(fake.calls[0], { from: 1, to: 2, count: 2, skip: 0 });
+  });
+
+  test("asks once more after an exactly full last page", async () => {
+    const fake = fakePayments(4);
+    razorpayClient.instance = fake.instance;
+
+    const items = await collect(razorpayClient.iteratePayments({ from: 1, to: 2, pageSize: 2 }));
+    assert.equal(items.length, 4);
+    assert.deepEqual(fake.calls.map((c) => c.skip), [0, 2, 4]);
+  });
+
+  test("clamps the page size to Razorpay's limit of 100", async () => {
+    const fake = fakePayments(0);
+    razorpayClient.instance = fake.instance;
+
+    await collect(razorpayClient.iteratePayments({ from: 1, to: 2, pageSize: 500 }));
+    await collect(razorpayClient.iteratePayments({ from: 1, to: 2, pageSize: 0 }));
+    assert.deepEqual(fake.calls.map((c) => c.count), [100, 100]);
+  });
+
+  test("stops after 100 pages if the API keeps returning full pages", async (t) => {
+    let calls = 0;
+    razorpayClient.instance = {
+      payments: {
+        all: async ({ count }) => {
+          calls += 1;
+          return { items: Array.from({ length: count }, () => ({})) };
+        },
+      },
+    };
+    const warn = t.mock.method(console, "warn", () => {});
+
+    const items = await collect(razorpayClient.iteratePayments({ from: 1, to: 2, pageSize: 1 }));
+    assert.equal(calls, 100);
+    assert.equal(items.length, 100);
+    assert.equal(warn.mock.callCount(), 1);
+  });
+
+  test("date strings are whole days in the given time zone", async () => {
+    const fake = fakePayments(0);
+    razorpayClient.instance = fake.instance;
+
+    await collect(
+      razorpayClient.iteratePayments({
+        from: "2026-10-01",
+        to: "2026-10-01",
+        timeZone: "Asia/Kolkata",
+      }),
+    );
+    assert.equal(fake.calls[0].from, Date.UTC(2026, 8, 30, 18, 30) / 1000);
+    assert.equal(fake.calls[0].to, Date.UTC(2026, 9, 1, 18, 30) / 1000 - 1);
+  });
+
+  test("rejects malformed boundaries", async () => {
+    razorpayClient.instance = fakePayments(0).instance;
+    await assert.rejects(
+      collect(razorpayClient.iteratePayments({ from: "01/10/2026" })),
+      /Invalid payment range boundary/,
+    );
+  });
+
+  test("fetchPaymentsInRange collects every page", async () => {
+    razorpayClient.instance = fakePayments(3).instance;
+    const result = await razorpayClient.fetchPaymentsInRange({ from: 1, to: 2, pageSize: 2 });
+    assert.deepEqual(result, {
+      entity: "collection",
+      count: 3,
+      items: [{ id: "pay_0" }, { id: "pay_1" }, { id: "pay_2" }],
+    });
+  });
+});
@@ -0,0 +1,123 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// shortLinks.js keeps its files next to itself, so load a copy from a temp
+// directory instead of touching the real link store.
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "short-links-test-"));
+fs.copyFileSync(path.join(__dirname, "..", "shortLinks.js"), path.join(tmpDir, "shortLinks.js"));
+const {
+  verifyShortLinkCode,
+  createShortLink,
+  applyTrackedButton,
+  recordShortLinkClick,
+  summarizeShortLinks,
+} = require(path.join(tmpDir, "shortLinks.js"));
+
+const ENV_KEYS = ["SHORT_LINK_SECRET", "STORE_WEBSITE_URL", "SHOPIFY_DOMAIN", "SHORT_LINK_UTM_HOSTS"];
+
+describe("short links", () => {
+  let savedEnv;
+  before(() => {
+    savedEnv = Object.fromEntries(ENV_KEYS.map((k) => [k, process.env[k]]));
+    for (const key of ENV_KEYS) delete process.env[key];
+    process.env.SHORT_LINK_SECRET = "test-secret";
+  });
+  after(() => {
+    for (const [key, value] of Object.entries(savedEnv)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test("codes carry a signature that verifies", () => {
+    const code = createShortLink("https://example.com/a", { event: "shipped" });
+    assert.match(code, /^[A-Za-z0-9_-]{16}$/);
+    assert.equal(verifyShortLinkCode(code), true);
+  });
+
+  test("altered, truncated and foreign codes are rejected", () => {
+    const code = createShortLink("https://example.com/b");
+    const flipped = `${code.slice(0, 15)}${code.endsWith("A") ? "B" : "A"}`;
+    assert.equal(verifyShortLinkCode(flipped), false);
+    const altered = code[7] === "x" ? "y" : "x";
+    assert.equal(verifyShortLinkCode(`${code.slice(0, 7)}${altered}${code.slice(8)}`), false);
+    assert.equal(verifyShortLinkCode(code.slice(0, 15)), false);
+    assert.equal(verifyShortLinkCode(`${code}/../x`), false);
+    assert.equal(verifyShortLinkCode(""), false);
+
+    process.env.SHORT_LINK_SECRET = "another-secret";
+    try {
+      assert.equal(verifyShortLinkCode(code), false);
+    } finally {
+      process.env.SHORT_LINK_SECRET = "test-secret";
+    }
+  });
+
+  test("a click on a bad code is logged and not looked up", () => {
+    assert.deepEqual(recordShortLinkClick("AAAAAAAAAAAAAAAA"), { rejected: "bad_signature" });
+    const log = fs.readFileSync(path.join(tmpDir, "short-link-clicks.jsonl"), "utf8");
+    assert.match(log, /"reason":"bad_signature"/);
+  });
+
+  test("store links get UTM parameters and clicks are counted", () => {
+    const code = createShortLink("checkouts/cn/cart1/information?discount=SAVE10", {
+      event: "abandoned_checkout",
+      templateName: "kaj_abandoned_checkout_tracked_v1",
+      cartToken: "cart1",
+    });
+    const { destination } = recordShortLinkClick(code);
+    const url = new URL(destination);
+    assert.equal(url.origin, "https://www.kaushalyaartjewellery.com");
+    assert.equal(url.searchParams.get("discount"), "SAVE10");
+    assert.equal(url.searchParams.get("utm_source"), "whatsapp");
+    assert.equal(url.searchParams.get("utm_campaign"), "abandoned_checkout");
+    assert.equal(url.searchParams.get("utm_content"), "kaj_abandoned_checkout_tracked_v1");
+
+    recordShortLinkClick(code);
+    const row = summarizeShortLinks({ event: "abandoned_checkout" })[0];
+    assert.deepEqual(
+      { links: row.links, clickedLinks: row.clickedLinks, clicks: row.clicks },
+      { links: 1, clickedLinks: 1, clicks: 2 },
+    );
+  });
+
+  test("other hosts keep their query untouched", () => {
+    const code = createShortLink("https://carrier.example/track?id=1");
+    assert.equal(recordShortLinkClick(code).destination, "https://carrier.example/track?id=1");
+  });
+
+  test("the same reuse key and destination reuse the code", () => {
+    const first = createShortLink("https://example.com/r", { reuseKey: "review_request:reviews:1" });
+    const again = createShortLink("https://example.com/r", { reuseKey: "review_request:reviews:1" });
+    const other = createShortLink("https://example.com/r", { reuseKey: "review_request:reviews:2" });
+    assert.equal(again, first);
+    assert.notEqual(other, first);
+  });
+
+  test("applyTrackedButton swaps buttonLink for a code", () => {
+    const message = applyTrackedButton({
+      to: "+919876543210",
+      templateName: "kaj_order_review_tracked_v1",
+      buttonLink: "https://example.com/review",
+    });
+    assert.equal(message.buttonLink, undefined);
+    assert.equal(verifyShortLinkCode(message.buttonUrl), true);
+    assert.deepEqual(applyTrackedButton({ buttonUrl: "x" }), { buttonUrl: "x" });
+  });
+
+  test("refuses non-http destinations and a missing secret", () => {
+    assert.throws(() => createShortLink("javascript:alert(1)"), /must be http/);
+    delete process.env.SHORT_LINK_SECRET;
+    try {
+      assert.throws(() => createShortLink("https://example.com/c"), {
+        code: "SHORT_LINK_SECRET_MISSING",
+      });
+    } finally {
+      process.env.SHORT_LINK_SECRET = "test-secret";
+    }
+  });
+});
@@ -0,0 +1,300 @@
+const { describe, test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  validateTemplateRegistry,
+  loadTemplateRegistry,
+  renderTemplateMessage,
+} = require("../templateRegistry");
+
+const shippedRegistry = JSON.parse(
+  fs.readFileSync(path.join(__dirname, "..", "message-templates.json"), "utf8"),
+);
+
+// A registry with one event; `def` is merged over a valid order_confirmed entry.
+function registryWith(def, event = "order_confirmed") {
+  return {
+    defaultLanguage: "en",
+    events: {
+      [event]: {
+        templateName: "kaj_order_confirmation_v3",
+        placeholders: ["{{name}}", "{{orderName}}"],
+        ...def,
+      },
+    },
+  };
+}
+
+function errorsFor(def, event) {
+  return validateTemplateRegistry(registryWith(def, event));
+}
+
+describe("validateTemplateRegistry", () => {
+  test("accepts the shipped message-templates.json", () => {
+    assert.deepEqual(validateTemplateRegistry(shippedRegistry), []);
+  });
+
+  test("the shipped entries keep reading the legacy template env vars", () => {
+    const events = shippedRegistry.events;
+    assert.deepEqual(events.order_confirmed.templateNameEnv, ["OC_CAMPAIGN_NAME", "OC_TEMPLATE_NAME"]);
+    assert.deepEqual(events.shipped.templateNameEnv, ["OST_CAMPAIGN_NAME", "OST_TEMPLATE_NAME"]);
+    assert.deepEqual(events.refund_processed.templateNameEnv, ["RP_TEMPLATE_NAME"]);
+  });
+
+  test("reports missing required events", () => {
+    assert.deepEqual(
+      validateTemplateRegistry(registryWith({}), { requiredEvents: ["order_confirmed", "shipped"] }),
+      ['missing template for event "shipped"'],
+    );
+  });
+
+  test("rejects non-object registries", () => {
+    assert.deepEqual(validateTemplateRegistry(null), ["registry must be a JSON object"]);
+    assert.deepEqual(validateTemplateRegistry({}), ["registry.events must be an object"]);
+  });
+
+  test("catches context key typos", () => {
+    const [error] = errorsFor({ placeholders: ["{{nmae}}"] });
+    assert.match(error, /events\.order_confirmed\.placeholders\[0\] uses unknown key \{\{nmae\}\}/);
+  });
+
+  test("catches unterminated and invalid tokens", () => {
+    assert.match(errorsFor({ placeholders: ["{{name"] })[0], /unterminated/);
+    assert.match(errorsFor({ placeholders: ["{{na-me}}"] })[0], /invalid token/);
+  });
+
+  test("requires lowercase template names and known providers and categories", () => {
+    assert.match(errorsFor({ templateName: "Order_Confirmed" })[0], /templateName must be/);
+    assert.match(errorsFor({ provider: "telegram" })[0], /provider "telegram" is not one of/);
+    assert.match(errorsFor({ category: "promo" })[0], /category must be one of/);
+  });
+
+  test("checks headers, buttons and quick replies", () => {
+    assert.match(errorsFor({ header: { type: "video", url: "x" } })[0], /header\.type/);
+    assert.match(errorsFor({ button: { url: "{{orderUrl}}" } })[0], /button\.url uses unknown key/);
+    assert.match(
+      errorsFor({ button: { url: "{{orderStatusUrl}}", link: "{{orderStatusUrl}}" } })[0],
+      /either url or link/,
+    );
+    assert.match(errorsFor({ quickReplies: "COD_CONFIRM" })[0], /quickReplies must be an array/);
+  });
+
+  test("checks templateNameEnv and tracked variants", () => {
+    assert.match(errorsFor({ templateNameEnv: ["lower_case"] })[0], /templateNameEnv/);
+    assert.deepEqual(errorsFor({ templateNameEnv: ["OC_CAMPAIGN_NAME"] }), []);
+    assert.match(
+      errorsFor({ tracked: { templateName: "kaj_tracked_v1", button: { url: "x" } } })[0],
+      /tracked\.button\.link is required/,
+    );
+    assert.deepEqual(
+      errorsFor({ tracked: { templateName: "kaj_tracked_v1", button: { link: "{{orderStatusUrl}}" } } }),
+      [],
+    );
+  });
+
+  test("checks redirect variants", () => {
+    assert.match(
+      errorsFor({ redirect: { templateName: "kaj_order_shipping_v2" } }, "shipped")[0],
+      /redirect\.button\.url is required/,
+    );
+    const redirect = { templateName: "kaj_order_shipping_v2", button: { url: "{{trackingLink}}" } };
+    assert.match(errorsFor({ redirect }, "shipped")[0], /redirect\.button\.url uses unknown key/);
+  });
+
+  test("only allows minItems and carousels inside multiItem", () => {
+    assert.match(errorsFor({ minItems: 2 })[0], /only allowed inside multiItem/);
+    const carousel = {
+      cards: 1,
+      header: { type: "image", url: "{{item.imageUrl}}" },
+      placeholders: ["{{item.title}}"],
+    };
+    assert.deepEqual(
+      errorsFor({ multiItem: { templateName: "kaj_order_carousel_v1", placeholders: [], carousel } }),
+      ["events.order_confirmed.multiItem.carousel.cards must be an integer from 2 to 10"],
+    );
+    assert.deepEqual(
+      errorsFor({
+        multiItem: {
+          templateName: "kaj_order_carousel_v1",
+          placeholders: [],
+          carousel: { ...carousel, cards: 3 },
+        },
+      }),
+      [],
+    );
+  });
+});
+
+describe("renderTemplateMessage", () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "templates-test-"));
+  const savedFile = process.env.MESSAGE_TEMPLATES_FILE;
+  after(() => {
+    if (savedFile === undefined) delete process.env.MESSAGE_TEMPLATES_FILE;
+    else process.env.MESSAGE_TEMPLATES_FILE = savedFile;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const context = {
+    name: "Asha",
+    orderName: "1001",
+    amount: "2100",
+    imageUrl: "https://cdn/ring.jpg",
+    orderStatusUrl: "orders/abc",
+    itemCount: 3,
+    itemsSummary: "Ring ×2, Chain",
+  };
+
+  // Loads a registry holding only `def` as order_confirmed and renders it.
+  function render(def, ctx = context) {
+    const file = path.join(tmpDir, "message-templates.json");
+    fs.writeFileSync(file, JSON.stringify(registryWith(def)));
+    process.env.MESSAGE_TEMPLATES_FILE = file;
+    loadTemplateRegistry({ requiredEvents: [] });
+    return renderTemplateMessage("order_confirmed", ctx);
+  }
+
+  test("fills placeholders, header and button from the context", () => {
+    const message = render({
+      placeholders: ["{{name}}", "{{orderName}}", "₹{{amount}}"],
+      header: { type: "image", url: "{{imageUrl}}", filename: "order.jpg" },
+      button: { url: "{{orderStatusUrl}}" },
+    });
+    assert.deepEqual(message, {
+      templateName: "kaj_order_confirmation_v3",
+      category: "transactional",
+      language: "en",
+      bodyPlaceholders: ["Asha", "1001", "₹2100"],
+      headerImageUrl: "https://cdn/ring.jpg",
+      headerFilename: "order.jpg",
+      buttonUrl: "orders/abc",
+    });
+  });
+
+  test("drops an empty header and button", () => {
+    const message = render(
+      {
+        language: "hi",
+        header: { type: "image", url: "{{imageUrl}}" },
+        button: { url: "{{orderStatusUrl}}" },
+      },
+      { name: "Asha" },
+    );
+    assert.equal(message.language, "hi");
+    assert.deepEqual(message.bodyPlaceholders, ["Asha", ""]);
+    assert.equal("headerImageUrl" in message, false);
+    assert.equal("buttonUrl" in message, false);
+  });
+
+  test("templateNameEnv overrides the template name", (t) => {
+    const saved = process.env.TEST_TEMPLATE_NAME;
+    process.env.TEST_TEMPLATE_NAME = "kaj_order_confirmation_v4";
+    t.after(() => {
+      if (saved === undefined) delete process.env.TEST_TEMPLATE_NAME;
+      else process.env.TEST_TEMPLATE_NAME = saved;
+    });
+    const message = render({ templateNameEnv: ["UNSET_TEMPLATE_NAME", "TEST_TEMPLATE_NAME"] });
+    assert.equal(message.templateName, "kaj_order_confirmation_v4");
+  });
+
+  test("DT_LANGUAGE replaces defaultLanguage but not an entry's language", (t) => {
+    const saved = process.env.DT_LANGUAGE;
+    process.env.DT_LANGUAGE = "en_US";
+    t.after(() => {
+      if (saved === undefined) delete process.env.DT_LANGUAGE;
+      else process.env.DT_LANGUAGE = saved;
+    });
+    assert.equal(render({}).language, "en_US");
+    assert.equal(render({ language: "hi" }).language, "hi");
+  });
+
+  test("renders button.link as buttonLink for a short link", () => {
+    const message = render({ button: { link: "{{orderStatusUrl}}" } });
+    assert.equal(message.buttonLink, "orders/abc");
+    assert.equal(message.buttonUrl, undefined);
+  });
+
+  test("uses the multiItem variant from two lines once the event is listed", (t) => {
+    const saved = process.env.MULTI_ITEM_TEMPLATE_EVENTS;
+    t.after(() => {
+      if (saved === undefined) delete process.env.MULTI_ITEM_TEMPLATE_EVENTS;
+      else process.env.MULTI_ITEM_TEMPLATE_EVENTS = saved;
+    });
+    const def = {
+      button: { url: "{{orderStatusUrl}}" },
+      multiItem: {
+        templateName: "kaj_order_confirmation_multi_v1",
+        placeholders: ["{{name}}", "{{orderName}}", "₹{{amount}}", "{{itemCount}}", "{{itemsSummary}}"],
+        button: { url: "{{orderStatusUrl}}" },
+      },
+    };
+    process.env.MULTI_ITEM_TEMPLATE_EVENTS = "abandoned_checkout";
+    assert.equal(render(def, { ...context, items: [{}, {}] }).templateName, "kaj_order_confirmation_v3");
+
+    process.env.MULTI_ITEM_TEMPLATE_EVENTS = "abandoned_checkout, order_confirmed";
+    const single = render(def, { ...context, items: [{}] });
+    const multi = render(def, { ...context, items: [{}, {}] });
+    assert.equal(single.templateName, "kaj_order_confirmation_v3");
+    assert.equal(multi.templateName, "kaj_order_confirmation_multi_v1");
+    assert.deepEqual(multi.bodyPlaceholders, ["Asha", "1001", "₹2100", "3", "Ring ×2, Chain"]);
+    assert.equal(multi.buttonUrl, "orders/abc");
+  });
+
+  test("uses the tracked variant for SHORT_LINK_EVENTS once SHORT_LINK_SECRET is set", (t) => {
+    const saved = {
+      SHORT_LINK_SECRET: process.env.SHORT_LINK_SECRET,
+      SHORT_LINK_EVENTS: process.env.SHORT_LINK_EVENTS,
+    };
+    t.after(() => {
+      for (const [key, value] of Object.entries(saved)) {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+      }
+    });
+    const def = {
+      button: { url: "{{orderStatusUrl}}" },
+      tracked: {
+        templateName: "kaj_order_confirmation_tracked_v1",
+        button: { link: "{{orderStatusUrl}}" },
+      },
+    };
+
+    process.env.SHORT_LINK_EVENTS = "order_confirmed";
+    delete process.env.SHORT_LINK_SECRET;
+    assert.equal(render(def).templateName, "kaj_order_confirmation_v3");
+
+    process.env.SHORT_LINK_SECRET = "test-secret";
+    process.env.SHORT_LINK_EVENTS = "review_request";
+    assert.equal(render(def).templateName, "kaj_order_confirmation_v3");
+
+    process.env.SHORT_LINK_EVENTS = "review_request,order_confirmed";
+    const message = render(def);
+    assert.equal(message.templateName, "kaj_order_confirmation_tracked_v1");
+    assert.equal(message.buttonLink, "orders/abc");
+    assert.equal(message.buttonUrl, undefined);
+  });
+
+  test("uses the redirect variant only with SHIPMENT_REDIRECT_TEMPLATE_ENABLED=true", (t) => {
+    const saved = process.env.SHIPMENT_REDIRECT_TEMPLATE_ENABLED;
+    t.after(() => {
+      if (saved === undefined) delete process.env.SHIPMENT_REDIRECT_TEMPLATE_ENABLED;
+      else process.env.SHIPMENT_REDIRECT_TEMPLATE_ENABLED = saved;
+    });
+    const def = {
+      button: { url: "https://kaushalyaartjewellery.logisy.tech/track-order/" },
+      redirect: { templateName: "kaj_order_shipping_v2", button: { url: "{{orderStatusUrl}}" } },
+    };
+
+    delete process.env.SHIPMENT_REDIRECT_TEMPLATE_ENABLED;
+    const plain = render(def);
+    assert.equal(plain.templateName, "kaj_order_confirmation_v3");
+    assert.equal(plain.buttonUrl, "https://kaushalyaartjewellery.logisy.tech/track-order/");
+
+    process.env.SHIPMENT_REDIRECT_TEMPLATE_ENABLED = "true";
+    const message = render(def);
+    assert.equal(message.templateName, "kaj_order_shipping_v2");
+    assert.equal(message.buttonUrl, "orders/abc");
+  });
+});